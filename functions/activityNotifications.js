@@ -0,0 +1,119 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * Adds an item to the activity stream of a user when they get a new follower.
+ */
+exports.addFollowActivity = functions.database.ref('/followers/{followedUid}/{followerUid}').onCreate(
+    async (snap, context) => {
+      const actor = await getActor(context.params.followerUid);
+      return addActivity(context.params.followedUid, {type: 'follow', actor: actor});
+    });
+
+/**
+ * Adds an item to the activity stream of the author of a post when the post is liked.
+ */
+exports.addLikeActivity = functions.database.ref('/likes/{postId}/{uid}').onCreate(async (snap, context) => {
+  const postId = context.params.postId;
+  const results = await Promise.all([getPostDetails(postId), getActor(context.params.uid)]);
+  const post = results[0];
+  if (!post) {
+    return null;
+  }
+  return addActivity(post.authorUid, {type: 'like', actor: results[1], post_id: postId, thumb_url: post.thumbUrl});
+});
+
+/**
+ * Adds an item to the activity stream of the author of a post when the post is commented on. For
+ * replies an item is also added to the activity stream of the author of the parent comment.
+ */
+exports.addCommentActivity = functions.database.ref('/comments/{postId}/{commentId}').onCreate(
+    async (snap, context) => {
+      const postId = context.params.postId;
+      const comment = snap.val();
+      const post = await getPostDetails(postId);
+      if (!post) {
+        return null;
+      }
+      const activity = {
+        actor: comment.author,
+        post_id: postId,
+        comment_id: comment.parent_id || context.params.commentId,
+        thumb_url: post.thumbUrl,
+      };
+      const tasks = [addActivity(post.authorUid, Object.assign({type: 'comment'}, activity))];
+
+      if (comment.parent_id) {
+        const parentAuthorSnap = await admin.database()
+            .ref(`/comments/${postId}/${comment.parent_id}/author/uid`).once('value');
+        // The author of the post already gets notified of the comment.
+        if (parentAuthorSnap.exists() && parentAuthorSnap.val() !== post.authorUid) {
+          tasks.push(addActivity(parentAuthorSnap.val(), Object.assign({type: 'reply'}, activity)));
+        }
+      }
+      return Promise.all(tasks);
+    });
+
+/**
+ * Adds the given activity item to the activity stream of the given user. Users do not get notified
+ * of their own actions.
+ */
+async function addActivity(uid, activity) {
+  if (!uid || activity.actor.uid === uid) {
+    return null;
+  }
+  await admin.database().ref(`/notifications/${uid}`).push(Object.assign({
+    timestamp: admin.database.ServerValue.TIMESTAMP,
+    read: false,
+  }, activity));
+  console.log(`Added ${activity.type} activity from ${activity.actor.uid} for ${uid}.`);
+}
+
+/**
+ * Returns the public profile details of the user with the given UID.
+ */
+async function getActor(uid) {
+  const snap = await admin.database().ref(`/people/${uid}`).once('value');
+  return {
+    uid: uid,
+    full_name: snap.child('full_name').val() || 'Anonymous',
+    profile_picture: snap.child('profile_picture').val() || null,
+  };
+}
+
+/**
+ * Returns the UID of the author and the thumbnail URL of the given post or `null` if the post
+ * does not exist.
+ */
+async function getPostDetails(postId) {
+  const results = await Promise.all([
+    admin.database().ref(`/posts/${postId}/author/uid`).once('value'),
+    admin.database().ref(`/posts/${postId}/thumb_url`).once('value'),
+  ]);
+  if (!results[0].exists()) {
+    return null;
+  }
+  return {authorUid: results[0].val(), thumbUrl: results[1].val()};
+}
+exports.getActor = getActor;
+exports.getPostDetails = getPostDetails;
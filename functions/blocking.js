@@ -0,0 +1,41 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * When a user blocks someone we remove the follows and the pending follow requests between the two
+ * users in both directions. The posts are removed from their home feeds by `updateFeedOnFollow`.
+ */
+exports.unfollowOnBlock = functions.database.ref('/blocking/{blockerUid}/{blockedUid}').onCreate(
+    async (snap, context) => {
+      const blockerUid = context.params.blockerUid;
+      const blockedUid = context.params.blockedUid;
+
+      const updates = {};
+      [[blockerUid, blockedUid], [blockedUid, blockerUid]].forEach((uids) => {
+        updates[`/followers/${uids[0]}/${uids[1]}`] = null;
+        updates[`/people/${uids[1]}/following/${uids[0]}`] = null;
+        updates[`/followRequests/${uids[0]}/${uids[1]}`] = null;
+      });
+      await admin.database().ref().update(updates);
+      console.log(`Removed follows between ${blockerUid} and ${blockedUid}.`);
+    });
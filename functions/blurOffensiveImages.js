@@ -27,12 +27,27 @@ const spawn = require('child-process-promise').spawn;
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
+// Storage prefix, only readable by admins, where the originals of the blurred images are kept.
+const ORIGINALS_PREFIX = 'moderation-originals';
+exports.ORIGINALS_PREFIX = ORIGINALS_PREFIX;
 
 /**
  * When an image is uploaded we check if it is flagged as Adult or Violence by the Cloud Vision
- * API and if it is we blur it using ImageMagick.
+ * API and if it is we blur it using ImageMagick. Other types of files are ignored.
  */
 exports.default = functions.runWith({memory: '2GB'}).storage.object().onFinalize(async (object) => {
+  // Videos are validated by the validateVideos function.
+  if (!object.contentType || !object.contentType.startsWith('image/')) {
+    return console.log('The file', object.name, 'is not an image.');
+  }
+  // Originals kept for appeals, blurred images and images restored by an admin have already been
+  // reviewed. The Storage security rules refuse this metadata on user uploads.
+  if (object.name.startsWith(`${ORIGINALS_PREFIX}/`) ||
+      (object.metadata && (object.metadata.moderation_approved === 'true' ||
+          object.metadata.moderation_blurred === 'true'))) {
+    return console.log('The image', object.name, 'has already been reviewed.');
+  }
+
   const image = {
     source: {imageUri: `gs://${object.bucket}/${object.name}`},
   };
@@ -43,21 +58,33 @@ exports.default = functions.runWith({memory: '2GB'}).storage.object().onFinalize
   const safeSearchResult = batchAnnotateImagesResponse[0].safeSearchAnnotation;
   const Likelihood = Vision.types.Likelihood;
 
-  if (Likelihood[safeSearchResult.adult] >= Likelihood.LIKELY ||
-      Likelihood[safeSearchResult.violence] >= Likelihood.LIKELY) {
-    await blurImage(object.name, object.bucket, object.metadata);
+  const blurReasons = ['adult', 'violence'].filter(
+      (category) => Likelihood[safeSearchResult[category]] >= Likelihood.LIKELY);
+  if (blurReasons.length > 0) {
+    const originalStorageUri = await blurImage(object.name, object.bucket, object.metadata);
     const filePathSplit = object.name.split(path.sep);
     const uid = filePathSplit[0];
-    const size = filePathSplit[1]; // 'thumb' or 'full'
+    const size = filePathSplit[1]; // 'thumb', 'full', 'story', 'messages' or 'profile'
     const postId = filePathSplit[2];
 
-    return refreshImages(uid, postId, size);
+    if (size === 'story') {
+      return refreshStoryImage(uid, postId);
+    }
+    if (size === 'profile') {
+      return refreshProfileImage(uid, object.name, originalStorageUri);
+    }
+    if (size === 'messages') {
+      return refreshMessageImage(postId, filePathSplit[3]);
+    }
+    return refreshImages(uid, postId, size, object.name, blurReasons.join(','), originalStorageUri);
   }
   console.log('The image', object.name, 'has been detected as OK.');
 });
 
 /**
- * Blurs the given image located in the given bucket using ImageMagick.
+ * Blurs the given image located in the given bucket using ImageMagick. The original image is first
+ * copied under the `moderation-originals/` prefix, unless a copy is already there because the image
+ * had been blurred before. Returns the Storage URI of that copy.
  */
 async function blurImage(filePath, bucketName, metadata) {
   const tempLocalFile = path.join(os.tmpdir(), filePath);
@@ -66,26 +93,40 @@ async function blurImage(filePath, bucketName, metadata) {
 
   // Create the temp directory where the storage file will be downloaded.
   await mkdirp(tempLocalDir);
+  // Keep a copy of the original so that it can be restored if the image was blurred by mistake.
+  // An existing copy is the real original so we don't overwrite it with an already blurred image.
+  const originalFilePath = `${ORIGINALS_PREFIX}/${filePath}`;
+  if ((await bucket.file(originalFilePath).exists())[0]) {
+    console.log('The original image has already been copied to', originalFilePath);
+  } else {
+    await bucket.file(filePath).copy(bucket.file(originalFilePath));
+    console.log('The original image has been copied to', originalFilePath);
+  }
   // Download file from bucket.
   await bucket.file(filePath).download({destination: tempLocalFile});
   console.log('The file has been downloaded to', tempLocalFile);
   // Blur the image using ImageMagick.
   await spawn('convert', [tempLocalFile, '-channel', 'RGBA', '-blur', '0x18', tempLocalFile]);
   console.log('Blurred image created at', tempLocalFile);
-  // Uploading the Blurred image.
+  // Uploading the Blurred image, keeping custom metadata and flagging it so that it isn't checked again.
   await bucket.upload(tempLocalFile, {
     destination: filePath,
-    metadata: {metadata: metadata}, // Keeping custom metadata.
+    metadata: {metadata: Object.assign({}, metadata, {moderation_blurred: 'true'})},
   });
   console.log('Blurred image uploaded to Storage at', filePath);
   fs.unlinkSync(tempLocalFile);
   console.log('Deleted local file', tempLocalFile);
+  return `gs://${bucketName}/${originalFilePath}`;
 }
+exports.blurImage = blurImage;
 
 /**
- * Changes the image URL slightly (add a `&blurred` query parameter) to force a refresh.
+ * Changes the URL of the image stored at `filePath` slightly (add a `&blurred` query parameter) to
+ * force a refresh. This updates the matching entry of the post's `images` list as well as the
+ * post's root image URL if the image is the first image of the post. The post is marked as `blurred`,
+ * with the time and reason of the blur, and the images point to their `originalStorageUri`.
  */
-async function refreshImages(uid, postId, size) {
+async function refreshImages(uid, postId, size, filePath, blurReason, originalStorageUri) {
   let app;
   try {
     // Create a Firebase app that will honor security rules for a specific user.
@@ -105,14 +146,162 @@ async function refreshImages(uid, postId, size) {
   const deleteApp = () => app.delete().catch(() => null);
 
   try {
-    const imageUrlRef = app.database().ref(`/posts/${postId}/${size}_url`);
-    const snap = await imageUrlRef.once('value');
-    const picUrl = snap.val();
-    await imageUrlRef.set(`${picUrl}&blurred`);
+    const postRef = app.database().ref(`/posts/${postId}`);
+    const snap = await postRef.once('value');
+    const isBlurredImage = (imageSnap) => {
+      const storageUri = imageSnap.child(`${size}_storage_uri`).val();
+      return !storageUri || storageUri.endsWith(filePath);
+    };
+    const updates = {};
+    if (isBlurredImage(snap)) {
+      updates[`${size}_url`] = `${snap.child(`${size}_url`).val()}&blurred`;
+    }
+    snap.child('images').forEach((imageSnap) => {
+      if (isBlurredImage(imageSnap)) {
+        updates[`images/${imageSnap.key}/${size}_url`] = `${imageSnap.child(`${size}_url`).val()}&blurred`;
+      }
+    });
+    await postRef.update(updates);
     console.log('Blurred image URL updated.');
+    if (snap.exists()) {
+      // Only a Cloud Function can record the blur so we use the default app.
+      const blurUpdates = {
+        blurred: true,
+        blurred_at: admin.database.ServerValue.TIMESTAMP,
+        blur_reason: blurReason || null,
+      };
+      const isImage = (imageSnap) => (imageSnap.child(`${size}_storage_uri`).val() || '').endsWith(filePath);
+      if (isImage(snap)) {
+        blurUpdates[`${size}_original_storage_uri`] = originalStorageUri;
+      }
+      snap.child('images').forEach((imageSnap) => {
+        if (isImage(imageSnap)) {
+          blurUpdates[`images/${imageSnap.key}/${size}_original_storage_uri`] = originalStorageUri;
+        }
+      });
+      await admin.database().ref(`/posts/${postId}`).update(blurUpdates);
+    }
     await deleteApp();
   } catch (err) {
     await deleteApp();
     throw err;
   }
 }
+exports.refreshImages = refreshImages;
+
+/**
+ * Restores the originals of the blurred images of the given post and deletes the copies kept under
+ * the `moderation-originals/` prefix. Returns the Database updates which revert the `&blurred` URLs
+ * and clear the blur details of the post.
+ */
+async function unblurPostImages(postSnap) {
+  const postPath = `/posts/${postSnap.key}`;
+  const updates = {};
+  updates[`${postPath}/blurred`] = null;
+  updates[`${postPath}/blurred_at`] = null;
+  updates[`${postPath}/blur_reason`] = null;
+
+  // The images of the post and the paths of their entries. The first image is also at the root.
+  const entries = [{snap: postSnap, path: postPath}];
+  postSnap.child('images').forEach((imageSnap) => {
+    entries.push({snap: imageSnap, path: `${postPath}/images/${imageSnap.key}`});
+  });
+  const restoredUris = {};
+  for (const entry of entries) {
+    for (const size of ['full', 'thumb']) {
+      const storageUri = entry.snap.child(`${size}_storage_uri`).val();
+      if (!storageUri) {
+        continue;
+      }
+      updates[`${entry.path}/${size}_original_storage_uri`] = null;
+      if (restoredUris[storageUri] === undefined) {
+        restoredUris[storageUri] = await restoreOriginal(storageUri,
+            entry.snap.child(`${size}_original_storage_uri`).val());
+      }
+      if (restoredUris[storageUri]) {
+        // Revert the `&blurred` URL change and change the URL slightly again to force a refresh.
+        const url = entry.snap.child(`${size}_url`).val().replace(/&(blurred|restored)/g, '');
+        updates[`${entry.path}/${size}_url`] = `${url}&restored`;
+      }
+    }
+  }
+  return updates;
+}
+exports.unblurPostImages = unblurPostImages;
+
+/**
+ * Copies the original of the image at the given Storage URI back in place and deletes the original.
+ * Older blurred images don't have a pointer to their original so it is looked up under the
+ * `moderation-originals/` prefix. Returns false if there is no original.
+ */
+async function restoreOriginal(storageUri, originalStorageUri) {
+  const match = storageUri.match(/^gs:\/\/([^/]+)\/(.+)$/);
+  const bucket = admin.storage().bucket(match[1]);
+  const filePath = match[2];
+  const originalFilePath = originalStorageUri ?
+      originalStorageUri.replace(`gs://${match[1]}/`, '') : `${ORIGINALS_PREFIX}/${filePath}`;
+  const original = bucket.file(originalFilePath);
+  if (!(await original.exists())[0]) {
+    console.log('There is no original for the image', storageUri);
+    return false;
+  }
+  // Restored images are flagged as approved so that they aren't blurred again.
+  const metadata = (await original.getMetadata())[0];
+  const restoredMetadata = Object.assign({}, metadata.metadata, {moderation_approved: 'true'});
+  delete restoredMetadata.moderation_blurred;
+  await original.copy(bucket.file(filePath), {metadata: {metadata: restoredMetadata}});
+  await original.delete();
+  console.log('The original image has been restored at', filePath);
+  return true;
+}
+
+/**
+ * Changes the URL of the profile picture or cover photo of the given user stored at `filePath`
+ * slightly (add a `&blurred` query parameter) to force a refresh, which is propagated to the author
+ * block of their posts and comments. The picture points to its `originalStorageUri`.
+ */
+async function refreshProfileImage(uid, filePath, originalStorageUri) {
+  const profileRef = admin.database().ref(`/people/${uid}`);
+  const updates = {};
+  await Promise.all(['profile_picture', 'cover_picture'].map(async (field) => {
+    const results = await Promise.all([
+      profileRef.child(field).once('value'),
+      profileRef.child(`${field}_storage_uri`).once('value'),
+    ]);
+    if (results[0].exists() && (results[1].val() || '').endsWith(filePath)) {
+      updates[field] = `${results[0].val()}&blurred`;
+      updates[`${field}_original_storage_uri`] = originalStorageUri;
+    }
+  }));
+  if (Object.keys(updates).length === 0) {
+    return console.log('The image', filePath, 'is not used in the profile of', uid);
+  }
+  await profileRef.update(updates);
+  console.log('Blurred profile image URL updated.');
+}
+
+/**
+ * Changes the URL of the image of the given story slightly (add a `&blurred` query parameter) to
+ * force a refresh.
+ */
+async function refreshStoryImage(uid, storyId) {
+  const urlRef = admin.database().ref(`/stories/${uid}/${storyId}/full_url`);
+  const snap = await urlRef.once('value');
+  if (snap.exists()) {
+    await urlRef.set(`${snap.val()}&blurred`);
+    console.log('Blurred story image URL updated.');
+  }
+}
+
+/**
+ * Changes the URL of the image of the given direct message slightly (add a `&blurred` query
+ * parameter) to force a refresh.
+ */
+async function refreshMessageImage(conversationId, messageId) {
+  const urlRef = admin.database().ref(`/conversations/${conversationId}/messages/${messageId}/image_url`);
+  const snap = await urlRef.once('value');
+  if (snap.exists()) {
+    await urlRef.set(`${snap.val()}&blurred`);
+    console.log('Blurred message image URL updated.');
+  }
+}
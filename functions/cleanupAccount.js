@@ -38,17 +38,49 @@ exports.cleanupAccount = functions.runWith({memory: '2GB', timeoutSeconds: 540})
   // The personal feed.
   personalPaths[`/feed/${deletedUid}`] = null;
 
-  // The list of followers.
+  // The list of followers and the pending follow requests.
   personalPaths[`/followers/${deletedUid}`] = null;
+  personalPaths[`/followRequests/${deletedUid}`] = null;
 
   // The profile.
   personalPaths[`/people/${deletedUid}`] = null;
 
+  // The activity stream and the push notifications rate limits.
+  personalPaths[`/notifications/${deletedUid}`] = null;
+  personalPaths[`/notificationThrottle/${deletedUid}`] = null;
+
+  // The users and hashtags muted by the user.
+  personalPaths[`/muting/${deletedUid}`] = null;
+
+  // The stories, their views and the stories seen by the user.
+  personalPaths[`/stories/${deletedUid}`] = null;
+  personalPaths[`/storyViews/${deletedUid}`] = null;
+  personalPaths[`/storiesSeen/${deletedUid}`] = null;
+
+  // The saved posts and their collections.
+  personalPaths[`/saved/${deletedUid}`] = null;
+  personalPaths[`/savedCollections/${deletedUid}`] = null;
+  personalPaths[`/savedIndex/${deletedUid}`] = null;
+
+  // The list of conversations of the user.
+  personalPaths[`/userConversations/${deletedUid}`] = null;
+
+  // The username change history of the user.
+  personalPaths[`/usernameChanges/${deletedUid}`] = null;
+
+  // The suspension of the user, if any.
+  personalPaths[`/suspensions/${deletedUid}`] = null;
+
+  // The list of posts the user has commented on.
+  personalPaths[`/commentedPosts/${deletedUid}`] = null;
+
   // Find all posts to delete.
   const findPosts = admin.database().ref('/posts/').orderByChild('author/uid').equalTo(deletedUid).once('value')
       .then((snap) => {
         snap.forEach((post) => {
           personalPaths[`/posts/${post.key}`] = null;
+          personalPaths[`/appeals/${post.key}`] = null;
+          personalPaths[`/moderationOriginals/${post.key}`] = null;
         });
       });
 
@@ -74,14 +106,29 @@ exports.cleanupAccount = functions.runWith({memory: '2GB', timeoutSeconds: 540})
     return Promise.all(allPostsPromises);
   });
 
+  // Find all conversations to leave.
+  const findConversations = admin.database().ref(`/userConversations/${deletedUid}`).once('value').then((snap) => {
+    snap.forEach((conversation) => {
+      personalPaths[`/conversations/${conversation.key}/members/${deletedUid}`] = null;
+    });
+  });
+
+  // Release the username of the user.
+  const findUsername = admin.database().ref(`/people/${deletedUid}/username`).once('value').then((snap) => {
+    if (snap.exists()) {
+      personalPaths[`/usernames/${snap.val()}`] = null;
+    }
+  });
+
   // Delete all personal Database path.
-  const deleteDatabase = Promise.all([findPosts, findLikes, findComments])
+  const deleteDatabase = Promise.all([findPosts, findLikes, findComments, findConversations, findUsername])
       .then(() => admin.database().ref('/').update(personalPaths));
 
-  // Delete all user's images stored in Storage.
+  // Delete all user's images stored in Storage, including the originals of their blurred images.
   const deleteStorage = admin.storage().bucket().deleteFiles({prefix: `${deletedUid}/`});
+  const deleteOriginals = admin.storage().bucket().deleteFiles({prefix: `moderation-originals/${deletedUid}/`});
 
-  return Promise.all([deleteDatabase, deleteStorage]);
+  return Promise.all([deleteDatabase, deleteStorage, deleteOriginals]);
 });
 
 /**
@@ -113,8 +160,6 @@ async function deleteOldPosts() {
     if (postSnap.val().author) {
       oldPosts.push({
         postId: postSnap.key,
-        picStorageUri: postSnap.val().picStorageUri,
-        thumbStorageUri: postSnap.val().thumbStorageUri,
         authorUid: postSnap.val().author.uid,
       });
     }
@@ -133,37 +178,43 @@ function deletePost(oldPosts) {
   }
 
   const oldPost = oldPosts.pop();
+  return deletePostData(oldPost.postId, oldPost.authorUid);
+}
 
-  const postId = oldPost.postId;
-  const picStorageUri = oldPost.picStorageUri;
-  const thumbStorageUri = oldPost.thumbStorageUri;
-  const authorUid = oldPost.authorUid;
-
+/**
+ * Deletes the given post with its comments, likes and revisions and the files stored in Storage.
+ */
+function deletePostData(postId, authorUid) {
   console.log(`Deleting ${postId}`);
   const updateObj = {};
   updateObj[`/people/${authorUid}/posts/${postId}`] = null;
   updateObj[`/comments/${postId}`] = null;
   updateObj[`/likes/${postId}`] = null;
+  updateObj[`/postRevisions/${postId}`] = null;
   updateObj[`/posts/${postId}`] = null;
   updateObj[`/feed/${authorUid}/${postId}`] = null;
+  updateObj[`/notificationThrottle/${authorUid}/${postId}`] = null;
+  updateObj[`/appeals/${postId}`] = null;
+  updateObj[`/moderationOriginals/${postId}`] = null;
   const deleteFromDatabase = admin.database().ref().update(updateObj);
 
-  if (picStorageUri) {
-    const picFileName = picStorageUri;
-    const thumbFileName = thumbStorageUri;
-    if (picStorageUr.startsWith('gs:/')) {
-      picFileName = picStorageUri.split('appspot.com/')[1];
-      thumbFileName = thumbStorageUri.split('appspot.com/')[1];
-    }
-    const deletePicFromStorage = admin.storage().bucket().file(picFileName).delete();
-    const deleteThumbFromStorage = admin.storage().bucket().file(thumbFileName).delete();
-    return Promise.all([deleteFromDatabase, deletePicFromStorage, deleteThumbFromStorage]);
-  }
-  return deleteFromDatabase.catch((error) => {
-    console.error('Deletion of old post', postId, 'failed:', error);
+  // Delete all the post's images and videos stored in Storage.
+  const deletePicsFromStorage = admin.storage().bucket().deleteFiles({prefix: `${authorUid}/full/${postId}/`});
+  const deleteThumbsFromStorage = admin.storage().bucket().deleteFiles({prefix: `${authorUid}/thumb/${postId}/`});
+  const deleteVideosFromStorage = admin.storage().bucket().deleteFiles({prefix: `${authorUid}/video/${postId}/`});
+  // Delete the originals of the post's blurred images.
+  const deleteOriginalPicsFromStorage = admin.storage().bucket().deleteFiles(
+      {prefix: `moderation-originals/${authorUid}/full/${postId}/`});
+  const deleteOriginalThumbsFromStorage = admin.storage().bucket().deleteFiles(
+      {prefix: `moderation-originals/${authorUid}/thumb/${postId}/`});
+
+  return Promise.all([deleteFromDatabase, deletePicsFromStorage, deleteThumbsFromStorage,
+    deleteVideosFromStorage, deleteOriginalPicsFromStorage, deleteOriginalThumbsFromStorage]).catch((error) => {
+    console.error('Deletion of post', postId, 'failed:', error);
     return null;
   });
 }
+exports.deletePostData = deletePostData;
 
 /**
  * When requested this Function will delete every user accounts that has been inactive for 30 days.
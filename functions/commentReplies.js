@@ -0,0 +1,42 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * When a comment is deleted we also delete all its replies.
+ */
+exports.deleteCommentReplies = functions.database.ref('/comments/{postId}/{commentId}').onDelete(
+    async (snap, context) => {
+      // Replies do not have replies of their own.
+      if (snap.child('parent_id').exists()) {
+        return null;
+      }
+      const postId = context.params.postId;
+      const repliesSnap = await admin.database().ref(`/comments/${postId}`)
+          .orderByChild('parent_id').equalTo(context.params.commentId).once('value');
+      const updates = {};
+      repliesSnap.forEach((replySnap) => {
+        updates[`/comments/${postId}/${replySnap.key}`] = null;
+      });
+      await admin.database().ref().update(updates);
+      console.log(`Deleted ${repliesSnap.numChildren()} replies of comment ${context.params.commentId}.`);
+    });
@@ -0,0 +1,161 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const secureCompare = require('secure-compare');
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * Keeps `/posts/{postId}/likes_count` in sync with the list of likes.
+ */
+exports.countLikes = functions.database.ref('/likes/{postId}/{uid}').onWrite(async (change, context) => {
+  const postRef = admin.database().ref(`/posts/${context.params.postId}`);
+  return updateCount(postRef, 'author', 'likes_count', getDelta(change));
+});
+
+/**
+ * Keeps `/posts/{postId}/comments_count` in sync with the list of comments and replies. Also keeps
+ * `/comments/{postId}/{commentId}/replies_count` of the parent comment in sync for replies.
+ */
+exports.countComments = functions.database.ref('/comments/{postId}/{commentId}').onWrite(async (change, context) => {
+  const delta = getDelta(change);
+  const postRef = admin.database().ref(`/posts/${context.params.postId}`);
+  const updates = [updateCount(postRef, 'author', 'comments_count', delta)];
+  const parentId = (change.after.exists() ? change.after : change.before).child('parent_id').val();
+  if (parentId) {
+    const parentRef = admin.database().ref(`/comments/${context.params.postId}/${parentId}`);
+    updates.push(updateCount(parentRef, 'author', 'replies_count', delta));
+  }
+  return Promise.all(updates);
+});
+
+/**
+ * Keeps `/people/{uid}/followers_count` of the followed user and `/people/{uid}/following_count` of
+ * the follower in sync with the list of followers.
+ */
+exports.countFollowers = functions.database.ref('/followers/{followedUid}/{followerUid}').onWrite(
+    async (change, context) => {
+      const delta = getDelta(change);
+      const followedRef = admin.database().ref(`/people/${context.params.followedUid}`);
+      const followerRef = admin.database().ref(`/people/${context.params.followerUid}`);
+      return Promise.all([
+        updateCount(followedRef, 'full_name', 'followers_count', delta),
+        updateCount(followerRef, 'full_name', 'following_count', delta),
+      ]);
+    });
+
+/**
+ * Keeps `/people/{uid}/posts_count` in sync with the user's list of posts.
+ */
+exports.countPosts = functions.database.ref('/people/{uid}/posts/{postId}').onWrite(async (change, context) => {
+  const userRef = admin.database().ref(`/people/${context.params.uid}`);
+  return updateCount(userRef, 'full_name', 'posts_count', getDelta(change));
+});
+
+/**
+ * One-off function that recomputes all the counters from the existing data. Use it once after
+ * deploying the counter functions on a database that already contains data.
+ * The request needs to be authorized by passing a 'key' query parameter in the URL. This key must
+ * match a key set as an environment variable using `firebase functions:config:set cron.key="YOUR_KEY"`.
+ */
+exports.recountCounters = functions.runWith({memory: '2GB', timeoutSeconds: 540}).https.onRequest(async (req, res) => {
+  const key = req.query.key;
+
+  // Exit if the keys don't match.
+  if (!secureCompare(key, functions.config().cron.key)) {
+    console.log('The key provided in the request does not match the key set in the environment. Check that', key,
+        'matches the cron.key attribute in `firebase env:get`');
+    res.status(403).send('Security key does not match. Make sure your "key" URL query parameter matches the ' +
+        'cron.key environment variable.');
+    return null;
+  }
+
+  const rootRef = admin.database().ref();
+  const results = await Promise.all([
+    rootRef.child('posts').once('value'),
+    rootRef.child('people').once('value'),
+    rootRef.child('likes').once('value'),
+    rootRef.child('comments').once('value'),
+    rootRef.child('followers').once('value'),
+  ]);
+  const postsSnap = results[0];
+  const peopleSnap = results[1];
+  const likesSnap = results[2];
+  const commentsSnap = results[3];
+  const followersSnap = results[4];
+
+  const updates = {};
+  postsSnap.forEach((postSnap) => {
+    updates[`/posts/${postSnap.key}/likes_count`] = likesSnap.child(postSnap.key).numChildren();
+    updates[`/posts/${postSnap.key}/comments_count`] = commentsSnap.child(postSnap.key).numChildren();
+  });
+  commentsSnap.forEach((postCommentsSnap) => {
+    const repliesCounts = {};
+    postCommentsSnap.forEach((commentSnap) => {
+      const parentId = commentSnap.child('parent_id').val();
+      if (parentId) {
+        repliesCounts[parentId] = (repliesCounts[parentId] || 0) + 1;
+      } else {
+        repliesCounts[commentSnap.key] = repliesCounts[commentSnap.key] || 0;
+      }
+    });
+    Object.keys(repliesCounts).forEach((commentId) => {
+      if (postCommentsSnap.child(commentId).exists()) {
+        updates[`/comments/${postCommentsSnap.key}/${commentId}/replies_count`] = repliesCounts[commentId];
+      }
+    });
+  });
+  peopleSnap.forEach((personSnap) => {
+    updates[`/people/${personSnap.key}/posts_count`] = personSnap.child('posts').numChildren();
+    updates[`/people/${personSnap.key}/following_count`] = personSnap.child('following').numChildren();
+    updates[`/people/${personSnap.key}/followers_count`] = followersSnap.child(personSnap.key).numChildren();
+  });
+  await rootRef.update(updates);
+
+  console.log(`Counters recomputed for ${postsSnap.numChildren()} posts and ${peopleSnap.numChildren()} users`);
+  res.send(`Counters recomputed for ${postsSnap.numChildren()} posts and ${peopleSnap.numChildren()} users`);
+});
+
+// Returns +1 if the given change is a creation, -1 if it is a deletion and 0 otherwise.
+function getDelta(change) {
+  if (!change.before.exists() && change.after.exists()) {
+    return 1;
+  } else if (change.before.exists() && !change.after.exists()) {
+    return -1;
+  }
+  return 0;
+}
+
+/**
+ * Adds `delta` to the `counterName` counter of the object at `ownerRef`.
+ * `requiredChild` must be a child that always exists on the owner object. It is used to make sure
+ * we do not re-create a counter on a post or a profile that has just been deleted.
+ */
+async function updateCount(ownerRef, requiredChild, counterName, delta) {
+  if (delta === 0) {
+    return null;
+  }
+  const snap = await ownerRef.child(requiredChild).once('value');
+  if (!snap.exists()) {
+    return console.log('Not updating', counterName, 'of', ownerRef.key, 'as it does not exist anymore.');
+  }
+  await ownerRef.child(counterName).transaction((current) => Math.max((current || 0) + delta, 0));
+  console.log(`Updated ${counterName} of ${ownerRef.key} by ${delta}.`);
+}
@@ -0,0 +1,120 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const pushNotifications = require('./pushNotifications');
+// Maximum length of the text of the last message displayed in the list of conversations.
+const MAX_PREVIEW_LENGTH = 100;
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * When a message is sent we update the last message of the conversation, bump the conversation in
+ * the list of conversations of all its members, increment the unread count of the other members
+ * and send them a push notification.
+ */
+exports.onNewMessage = functions.database.ref('/conversations/{conversationId}/messages/{messageId}').onCreate(
+    async (snap, context) => {
+      const conversationId = context.params.conversationId;
+      const message = snap.val();
+      const authorUid = message.author.uid;
+
+      const conversationRef = admin.database().ref(`/conversations/${conversationId}`);
+      const results = await Promise.all([
+        conversationRef.child('members').once('value'),
+        conversationRef.child('name').once('value'),
+      ]);
+      const memberUids = Object.keys(results[0].val() || {});
+      const conversationName = results[1].val();
+
+      const updates = {};
+      updates[`/conversations/${conversationId}/last_message`] = {
+        text: message.text ? message.text.substring(0, MAX_PREVIEW_LENGTH) : null,
+        has_image: !!message.image_url,
+        author_uid: authorUid,
+        author_name: message.author.full_name || 'Anonymous',
+        timestamp: message.timestamp,
+      };
+      memberUids.forEach((uid) => {
+        updates[`/userConversations/${uid}/${conversationId}/last_message_at`] = message.timestamp;
+      });
+      await admin.database().ref().update(updates);
+
+      // Members who blocked the author are not notified.
+      const recipientUids = await filterBlockingUsers(memberUids.filter((uid) => uid !== authorUid), authorUid);
+      const authorName = message.author.full_name || 'Someone';
+      const payload = {
+        notification: {
+          title: conversationName ? `${authorName} in ${conversationName}` : authorName,
+          body: message.text ? message.text.substring(0, MAX_PREVIEW_LENGTH) : 'Sent a photo',
+          icon: message.author.profile_picture || '/images/silhouette.jpg',
+          click_action: `https://friendly-pix.com/messages/${conversationId}`,
+        },
+      };
+      await Promise.all(recipientUids.map((uid) => Promise.all([
+        admin.database().ref(`/userConversations/${uid}/${conversationId}/unread_count`)
+            .transaction((count) => (count || 0) + 1),
+        pushNotifications.sendNotificationToUser(uid, payload, 'messages'),
+      ])));
+      console.log(`Message ${context.params.messageId} delivered to ${recipientUids.length} members.`);
+    });
+
+/**
+ * Keeps the list of conversations of users in sync with the members of the conversations. When the
+ * last member leaves a conversation, the conversation and its images are deleted.
+ */
+exports.updateConversationMembers = functions.database.ref('/conversations/{conversationId}/members/{uid}').onWrite(
+    async (change, context) => {
+      const conversationId = context.params.conversationId;
+      const uid = context.params.uid;
+      const userConversationRef = admin.database().ref(`/userConversations/${uid}/${conversationId}`);
+
+      if (change.after.exists()) {
+        // List the conversation right away so that new group conversations show up before the first
+        // message is sent.
+        return userConversationRef.child('last_message_at').transaction((timestamp) => timestamp || Date.now());
+      }
+
+      await userConversationRef.remove();
+      const conversationRef = admin.database().ref(`/conversations/${conversationId}`);
+      const membersSnap = await conversationRef.child('members').once('value');
+      if (membersSnap.exists()) {
+        return null;
+      }
+      const messagesSnap = await conversationRef.child('messages').once('value');
+      // The images of the messages are stored under their author's folder.
+      const authorUids = [];
+      messagesSnap.forEach((messageSnap) => {
+        const authorUid = messageSnap.child('author/uid').val();
+        if (messageSnap.child('image_url').exists() && authorUids.indexOf(authorUid) === -1) {
+          authorUids.push(authorUid);
+        }
+      });
+      await Promise.all(authorUids.map((authorUid) => admin.storage().bucket()
+          .deleteFiles({prefix: `${authorUid}/messages/${conversationId}/`})).concat(conversationRef.remove()));
+      console.log(`Conversation ${conversationId} deleted as it has no members left.`);
+    });
+
+/**
+ * Returns the UIDs of the given users who haven't blocked the user with the UID `blockedUid`.
+ */
+async function filterBlockingUsers(uids, blockedUid) {
+  const snaps = await Promise.all(uids.map((uid) => admin.database().ref(`/blocking/${uid}/${blockedUid}`).once('value')));
+  return uids.filter((uid, index) => snaps[index].val() !== true);
+}
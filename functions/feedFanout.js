@@ -0,0 +1,85 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+// Maximum number of feed entries written in a single database update.
+const MAX_UPDATES_PER_BATCH = 500;
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * When a user publishes or deletes a post we add it to or remove it from the home feed of all
+ * their followers.
+ */
+exports.fanOutPost = functions.runWith({timeoutSeconds: 540}).database.ref('/people/{uid}/posts/{postId}').onWrite(
+    async (change, context) => {
+      const uid = context.params.uid;
+      const postId = context.params.postId;
+      const isNewPost = !change.before.exists() && change.after.exists();
+      const isDeletedPost = change.before.exists() && !change.after.exists();
+      if (!isNewPost && !isDeletedPost) {
+        return null;
+      }
+
+      const followersSnap = await admin.database().ref(`/followers/${uid}`).once('value');
+      const updates = {};
+      followersSnap.forEach((followerSnap) => {
+        updates[`/feed/${followerSnap.key}/${postId}`] = isNewPost ? true : null;
+      });
+      await batchUpdate(updates);
+      console.log(`Post ${postId} ${isNewPost ? 'added to' : 'removed from'} ${followersSnap.numChildren()} feeds.`);
+    });
+
+/**
+ * When a user follows someone we add all the followed user's posts to the follower's home feed.
+ * When they un-follow we remove them.
+ */
+exports.updateFeedOnFollow = functions.database.ref('/followers/{followedUid}/{followerUid}').onWrite(
+    async (change, context) => {
+      const followedUid = context.params.followedUid;
+      const followerUid = context.params.followerUid;
+      const isFollow = !change.before.exists() && change.after.exists();
+      const isUnfollow = change.before.exists() && !change.after.exists();
+      if (!isFollow && !isUnfollow) {
+        return null;
+      }
+
+      const postsSnap = await admin.database().ref(`/people/${followedUid}/posts`).once('value');
+      const updates = {};
+      postsSnap.forEach((postSnap) => {
+        updates[`/feed/${followerUid}/${postSnap.key}`] = isFollow ? true : null;
+      });
+      await batchUpdate(updates);
+      console.log(`${postsSnap.numChildren()} posts of ${followedUid} ${isFollow ? 'added to' : 'removed from'}`,
+          `the feed of ${followerUid}.`);
+    });
+
+/**
+ * Applies the given multi-path update in batches of `MAX_UPDATES_PER_BATCH` paths.
+ */
+async function batchUpdate(updates) {
+  const paths = Object.keys(updates);
+  for (let i = 0; i < paths.length; i += MAX_UPDATES_PER_BATCH) {
+    const batch = {};
+    paths.slice(i, i + MAX_UPDATES_PER_BATCH).forEach((path) => {
+      batch[path] = updates[path];
+    });
+    await admin.database().ref().update(batch);
+  }
+}
@@ -17,48 +17,38 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const privateAccounts = require('./privateAccounts');
 try {
   admin.initializeApp();
 } catch (e) {}
 
 /**
- * Adds an index when posts are created with hashtags.
+ * Keeps the hashtags indexes in sync with the text of the posts: when a post is created, edited or
+ * deleted the post is added to the indexes of its new hashtags and removed from the indexes of the
+ * hashtags it no longer contains. Posts of private accounts are not indexed.
  */
-exports.addHashtagsIndex = functions.database.ref('/posts/{postId}/text').onCreate(async (snap, context) => {
-  const postText = snap.val();
-
-  // Find all hashtags in the post's text.
-  const hashtags = getHashtags(postText);
-
-  if (hashtags.length > 0) {
-    // Adds the post to all the hashtags indexes.
-    const postId = context.params.postId;
-    const updates = {};
-    hashtags.forEach((hashtag) => {
-      updates[`hashtags/${hashtag}/${postId}`] = true;
-    });
-    return admin.database().ref().update(updates);
+exports.updateHashtagsIndex = functions.database.ref('/posts/{postId}/text').onWrite(async (change, context) => {
+  const oldHashtags = change.before.exists() ? getHashtags(change.before.val()) : [];
+  let newHashtags = change.after.exists() ? getHashtags(change.after.val()) : [];
+  if (newHashtags.length > 0) {
+    const authorSnap = await change.after.ref.parent.child('author/uid').once('value');
+    if (await privateAccounts.isPrivateAccount(authorSnap.val())) {
+      newHashtags = [];
+    }
   }
-});
-
-/**
- * Removes an index when posts with hashtags are deleted.
- */
-exports.removeHashtagsIndex = functions.database.ref('/posts/{postId}/text').onDelete(async (snap, context) => {
-  const postText = snap.val();
-
-  // Find all hashtags in the post's text.
-  const hashtags = getHashtags(postText);
 
-  if (hashtags.length > 0) {
-    // Adds the post to all the hashtags indexes.
-    const postId = context.params.postId;
-    const updates = {};
-    hashtags.forEach((hashtag) => {
-      updates[`hashtags/${hashtag}/${postId}`] = null;
-    });
-    return admin.database().ref().update(updates);
+  const postId = context.params.postId;
+  const updates = {};
+  oldHashtags.filter((hashtag) => newHashtags.indexOf(hashtag) === -1).forEach((hashtag) => {
+    updates[`hashtags/${hashtag}/${postId}`] = null;
+  });
+  newHashtags.filter((hashtag) => oldHashtags.indexOf(hashtag) === -1).forEach((hashtag) => {
+    updates[`hashtags/${hashtag}/${postId}`] = true;
+  });
+  if (Object.keys(updates).length === 0) {
+    return null;
   }
+  return admin.database().ref().update(updates);
 });
 
 // Returns an array of all the hashtags in the given string.
@@ -71,3 +61,4 @@ function getHashtags(text) {
   });
   return hashtags;
 }
+exports.getHashtags = getHashtags;
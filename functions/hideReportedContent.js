@@ -0,0 +1,152 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+// Default weighted number of reports above which content is hidden pending review.
+const DEFAULT_REPORT_THRESHOLD = 3;
+// Reports from recent accounts weigh less so that throwaway accounts can't hide content on their own.
+const DAY = 24 * 60 * 60 * 1000;
+const REPORTER_WEIGHTS = [
+  {minAge: 30 * DAY, weight: 1},
+  {minAge: 7 * DAY, weight: 0.5},
+  {minAge: DAY, weight: 0.25},
+  {minAge: 0, weight: 0},
+];
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * Hides flagged posts and comments pending review once they have been reported by enough distinct
+ * users. The threshold can be changed with the `moderation.report_threshold` environment variable.
+ */
+exports.hideReportedComment = functions.database.ref('/commentFlags/{postId}/{commentId}/{uid}').onCreate(hideContent);
+exports.hideReportedPost = functions.database.ref('/postFlags/{postId}/{uid}').onCreate(hideContent);
+
+async function hideContent(snap, context) {
+  const postId = context.params.postId;
+  const commentId = context.params.commentId;
+  const contentRef = admin.database().ref(commentId ? `/comments/${postId}/${commentId}` : `/posts/${postId}`);
+
+  const results = await Promise.all([
+    contentRef.child('hidden_pending_review').once('value'),
+    snap.ref.parent.once('value'),
+  ]);
+  if (results[0].val() === true) {
+    return null;
+  }
+  const reporterUids = Object.keys(results[1].val() || {});
+  const weights = await Promise.all(reporterUids.map(getReporterWeight));
+  const score = weights.reduce((sum, weight) => sum + weight, 0);
+  const threshold = getReportThreshold();
+  console.log(`${commentId ? 'Comment' : 'Post'} ${commentId || postId} reported by ${reporterUids.length} users with a score of ${score}/${threshold}.`);
+  if (score < threshold) {
+    return null;
+  }
+
+  if (!commentId) {
+    // The security rules stop serving the post to everyone but its author and the admins.
+    // The post may have been deleted in the meantime, in which case it stays deleted.
+    return contentRef.transaction((post) => {
+      if (post === null || !post.author) {
+        return post;
+      }
+      post.hidden_pending_review = true;
+      return post;
+    });
+  }
+
+  // Comments are read as a list so their text and mentions are moved to `/hiddenComments`, which
+  // only their author and the admins can read. They are saved there first so that they can't be lost.
+  const hiddenRef = admin.database().ref(`/hiddenComments/${postId}/${commentId}`);
+  const commentSnap = await contentRef.once('value');
+  if (!commentSnap.child('author').exists()) {
+    return null;
+  }
+  await hiddenRef.set({text: commentSnap.child('text').val(), mentions: commentSnap.child('mentions').val()});
+  let hidden = null;
+  const result = await contentRef.transaction((comment) => {
+    if (comment === null || !comment.author) {
+      return comment;
+    }
+    hidden = {text: comment.text || null, mentions: comment.mentions || null};
+    comment.hidden_pending_review = true;
+    delete comment.text;
+    delete comment.mentions;
+    return comment;
+  });
+  if (!result.committed || !result.snapshot.child('author').exists()) {
+    // The comment has been deleted in the meantime.
+    return hiddenRef.remove();
+  }
+  // The comment may have been edited since it was saved.
+  return hiddenRef.set(hidden);
+}
+
+/**
+ * Restores the text and mentions of a comment hidden pending review, once reviewed by an admin, and
+ * returns the Database updates to apply.
+ */
+async function showHiddenComment(postId, commentId) {
+  const hiddenSnap = await admin.database().ref(`/hiddenComments/${postId}/${commentId}`).once('value');
+  const commentPath = `/comments/${postId}/${commentId}`;
+  const updates = {};
+  updates[`${commentPath}/hidden_pending_review`] = null;
+  if (hiddenSnap.exists()) {
+    updates[`${commentPath}/text`] = hiddenSnap.child('text').val();
+    updates[`${commentPath}/mentions`] = hiddenSnap.child('mentions').val();
+  }
+  updates[`/hiddenComments/${postId}/${commentId}`] = null;
+  return updates;
+}
+exports.showHiddenComment = showHiddenComment;
+
+/**
+ * Deletes the text kept aside of a comment hidden pending review when it is deleted.
+ */
+exports.deleteHiddenComment = functions.database.ref('/comments/{postId}/{commentId}').onDelete(
+    (snap, context) => {
+      if (snap.child('hidden_pending_review').val() !== true) {
+        return null;
+      }
+      return admin.database().ref(`/hiddenComments/${context.params.postId}/${context.params.commentId}`).remove();
+    });
+
+/**
+ * Returns the weight of the reports of the given user, based on the age of their account.
+ */
+async function getReporterWeight(uid) {
+  let user;
+  try {
+    user = await admin.auth().getUser(uid);
+  } catch (error) {
+    // Reports of deleted accounts don't count.
+    return 0;
+  }
+  const age = Date.now() - new Date(user.metadata.creationTime).getTime();
+  return REPORTER_WEIGHTS.find((reporterWeight) => age >= reporterWeight.minAge).weight;
+}
+
+/**
+ * Returns the weighted number of reports above which content is hidden pending review.
+ */
+function getReportThreshold() {
+  const moderationConfig = functions.config().moderation || {};
+  const threshold = parseFloat(moderationConfig.report_threshold);
+  return threshold > 0 ? threshold : DEFAULT_REPORT_THRESHOLD;
+}
@@ -25,17 +25,11 @@ if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'sendFollowerNot
 
 
 /**
- * Triggers when a new post is added, it will add search indexes if the post's descrition contains hashtags.
+ * Triggers when a post is added, edited or deleted, it will update the search indexes of the hashtags
+ * added to or removed from the post's description.
  */
-if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'addHashtagsIndex') {
-  exports.addHashtagsIndex = require('./hashtagsIndexer').addHashtagsIndex;
-}
-
-/**
- * Triggers when a post is deleted, it will remove search indexes if the post's descrition contained hashtags.
- */
-if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'removeHashtagsIndex') {
-  exports.removeHashtagsIndex = require('./hashtagsIndexer').removeHashtagsIndex;
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'updateHashtagsIndex') {
+  exports.updateHashtagsIndex = require('./hashtagsIndexer').updateHashtagsIndex;
 }
 
 /**
@@ -46,6 +40,14 @@ if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'blurOffensiveIm
   exports.blurOffensiveImages = require('./blurOffensiveImages').default;
 }
 
+/**
+ * When a video is uploaded we check that it is not too large or too long. If it is we delete it
+ * along with its post.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'validateVideos') {
+  exports.validateVideos = require('./validateVideos').default;
+}
+
 /**
  * When an account is deleted we delete all the user data in the store as well.
  */
@@ -81,6 +83,27 @@ if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'sendEmailOnPost
   exports.sendEmailOnPostReport = require('./sendEmailOnReport').sendEmailOnPostReport;
 }
 
+/**
+ * Hides a comment pending review once it has been reported by enough users.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'hideReportedComment') {
+  exports.hideReportedComment = require('./hideReportedContent').hideReportedComment;
+}
+
+/**
+ * Hides a post pending review once it has been reported by enough users.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'hideReportedPost') {
+  exports.hideReportedPost = require('./hideReportedContent').hideReportedPost;
+}
+
+/**
+ * Deletes the text kept aside of a comment hidden pending review when the comment is deleted.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'deleteHiddenComment') {
+  exports.deleteHiddenComment = require('./hideReportedContent').deleteHiddenComment;
+}
+
 /**
  * Mark some users as admins.
  */
@@ -115,3 +138,299 @@ if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'deleteInactiveA
 if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'deleteOldPosts') {
   exports.deleteOldPosts = require('./cleanupAccount').deleteOldPosts;
 }
+
+/**
+ * Cleanup all expired stories.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'deleteExpiredStories') {
+  exports.deleteExpiredStories = require('./stories').deleteExpiredStories;
+}
+
+/**
+ * Keeps the likes count of posts in sync.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'countLikes') {
+  exports.countLikes = require('./counters').countLikes;
+}
+
+/**
+ * Keeps the comments count of posts and the replies count of comments in sync.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'countComments') {
+  exports.countComments = require('./counters').countComments;
+}
+
+/**
+ * Keeps the followers and following counts of users in sync.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'countFollowers') {
+  exports.countFollowers = require('./counters').countFollowers;
+}
+
+/**
+ * Keeps the posts count of users in sync.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'countPosts') {
+  exports.countPosts = require('./counters').countPosts;
+}
+
+/**
+ * One-off backfill of all the counters.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'recountCounters') {
+  exports.recountCounters = require('./counters').recountCounters;
+}
+
+/**
+ * Adds new posts to, and removes deleted posts from, the home feed of the author's followers.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'fanOutPost') {
+  exports.fanOutPost = require('./feedFanout').fanOutPost;
+}
+
+/**
+ * Backfills or clears a user's home feed when they follow or un-follow someone.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'updateFeedOnFollow') {
+  exports.updateFeedOnFollow = require('./feedFanout').updateFeedOnFollow;
+}
+
+/**
+ * When a comment is deleted we also delete all its replies.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'deleteCommentReplies') {
+  exports.deleteCommentReplies = require('./commentReplies').deleteCommentReplies;
+}
+
+/**
+ * Notifies the people mentioned in new posts.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'notifyPostMentions') {
+  exports.notifyPostMentions = require('./mentionNotifications').notifyPostMentions;
+}
+
+/**
+ * Notifies the people mentioned in new comments.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'notifyCommentMentions') {
+  exports.notifyCommentMentions = require('./mentionNotifications').notifyCommentMentions;
+}
+
+/**
+ * Adds new followers to the activity stream of the followed user.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'addFollowActivity') {
+  exports.addFollowActivity = require('./activityNotifications').addFollowActivity;
+}
+
+/**
+ * Adds new likes to the activity stream of the post's author.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'addLikeActivity') {
+  exports.addLikeActivity = require('./activityNotifications').addLikeActivity;
+}
+
+/**
+ * Adds new comments and replies to the activity stream of the post's author and of the parent
+ * comment's author.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'addCommentActivity') {
+  exports.addCommentActivity = require('./activityNotifications').addCommentActivity;
+}
+
+/**
+ * Sends push notifications to the author of a post when it gets liked.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'sendLikeNotification') {
+  exports.sendLikeNotification = require('./postNotifications').sendLikeNotification;
+}
+
+/**
+ * Sends push notifications to the author of a post when it gets commented on.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'sendCommentNotification') {
+  exports.sendCommentNotification = require('./postNotifications').sendCommentNotification;
+}
+
+/**
+ * Sends the push notifications summarizing the likes and comments held back by the rate limit.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'sendHeldBackNotifications') {
+  exports.sendHeldBackNotifications = require('./postNotifications').sendHeldBackNotifications;
+}
+
+/**
+ * Adds new posts of public accounts to the list of recent posts.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'addToRecentPosts') {
+  exports.addToRecentPosts = require('./privateAccounts').addToRecentPosts;
+}
+
+/**
+ * Removes deleted posts from the list of recent posts.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'removeFromRecentPosts') {
+  exports.removeFromRecentPosts = require('./privateAccounts').removeFromRecentPosts;
+}
+
+/**
+ * Updates the public indexes and the pending follow requests when an account is made private or
+ * public.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'updatePrivateAccountIndexes') {
+  exports.updatePrivateAccountIndexes = require('./privateAccounts').updatePrivateAccountIndexes;
+}
+
+/**
+ * One-off backfill of the list of recent posts.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'backfillRecentPosts') {
+  exports.backfillRecentPosts = require('./privateAccounts').backfillRecentPosts;
+}
+
+/**
+ * Removes the follows between users when one blocks the other.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'unfollowOnBlock') {
+  exports.unfollowOnBlock = require('./blocking').unfollowOnBlock;
+}
+
+/**
+ * Updates the conversations and notifies their members when a direct message is sent.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'onNewMessage') {
+  exports.onNewMessage = require('./directMessages').onNewMessage;
+}
+
+/**
+ * Keeps the users' lists of conversations in sync with the conversations' members.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'updateConversationMembers') {
+  exports.updateConversationMembers = require('./directMessages').updateConversationMembers;
+}
+
+/**
+ * Keeps the full-text search index in sync with the posts' captions.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'indexPostText') {
+  exports.indexPostText = require('./searchIndexer').indexPostText;
+}
+
+/**
+ * Keeps the full-text search index in sync with the posts' comments.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'indexCommentText') {
+  exports.indexCommentText = require('./searchIndexer').indexCommentText;
+}
+
+/**
+ * One-off backfill of the full-text search index.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'backfillSearchIndex') {
+  exports.backfillSearchIndex = require('./searchIndexer').backfillSearchIndex;
+}
+
+/**
+ * Computes the trending hashtags.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'computeTrendingHashtags') {
+  exports.computeTrendingHashtags = require('./trending').computeTrendingHashtags;
+}
+
+/**
+ * Starts propagating the name changes of users to their posts and comments.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'propagateNameChange') {
+  exports.propagateNameChange = require('./profilePropagation').propagateNameChange;
+}
+
+/**
+ * Starts propagating the profile picture changes of users to their posts and comments.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'propagatePictureChange') {
+  exports.propagatePictureChange = require('./profilePropagation').propagatePictureChange;
+}
+
+/**
+ * Starts propagating the username changes of users to their posts and comments.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'propagateUsernameChange') {
+  exports.propagateUsernameChange = require('./profilePropagation').propagateUsernameChange;
+}
+
+/**
+ * Keeps the list of posts each user has commented on.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'indexCommentedPosts') {
+  exports.indexCommentedPosts = require('./profilePropagation').indexCommentedPosts;
+}
+
+/**
+ * Propagates the profile changes of users to their posts and comments in batches.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'propagateProfileBatch') {
+  exports.propagateProfileBatch = require('./profilePropagation').propagateProfileBatch;
+}
+
+/**
+ * Applies the moderation actions taken by admins on flagged content.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'moderateContent') {
+  exports.moderateContent = require('./moderation').moderateContent;
+}
+
+/**
+ * Lets admins accept or reject the appeals of the authors of moderated posts.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'resolveAppeal') {
+  exports.resolveAppeal = require('./moderation').resolveAppeal;
+}
+
+/**
+ * Lets admins restore the originals of images blurred by mistake.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'unblurImage') {
+  exports.unblurImage = require('./moderation').unblurImage;
+}
+
+/**
+ * Lets admins suspend users until a given date.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'suspendUser') {
+  exports.suspendUser = require('./suspensions').suspendUser;
+}
+
+/**
+ * Lets admins ban users indefinitely.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'banUser') {
+  exports.banUser = require('./suspensions').banUser;
+}
+
+/**
+ * Lets admins lift the suspension or ban of users.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'reinstateUser') {
+  exports.reinstateUser = require('./suspensions').reinstateUser;
+}
+
+/**
+ * Lifts the suspensions which have expired. Meant to be called regularly by a cron service.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'reinstateExpiredSuspensions') {
+  exports.reinstateExpiredSuspensions = require('./suspensions').reinstateExpiredSuspensions;
+}
+
+/**
+ * Restarts the stalled profile propagations.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'resumeProfilePropagations') {
+  exports.resumeProfilePropagations = require('./profilePropagation').resumeProfilePropagations;
+}
+
+/**
+ * One-off backfill of the lists of posts each user has commented on.
+ */
+if (!process.env.FUNCTION_NAME || process.env.FUNCTION_NAME === 'backfillCommentedPosts') {
+  exports.backfillCommentedPosts = require('./profilePropagation').backfillCommentedPosts;
+}
@@ -28,7 +28,8 @@ exports.byEmail = functions.database.ref('/admins/{index}/email').onCreate(async
   const adminEmail = snap.val();
   try {
     const user = await admin.auth().getUserByEmail(adminEmail);
-    await admin.auth().setCustomUserClaims(user.uid, {admin: true});
+    // Keep the other claims of the user, for instance if they are suspended.
+    await admin.auth().setCustomUserClaims(user.uid, Object.assign({}, user.customClaims, {admin: true}));
     console.log(`User ${adminEmail} successfully marked as an admin.`);
     await snap.ref.parent.update({
       email: user.email || null,
@@ -50,7 +51,7 @@ exports.byId = functions.database.ref('/admins/{index}/uid').onCreate(async (sna
   const uid = snap.val();
   try {
     const user = await admin.auth().getUser(uid);
-    await admin.auth().setCustomUserClaims(user.uid, {admin: true});
+    await admin.auth().setCustomUserClaims(user.uid, Object.assign({}, user.customClaims, {admin: true}));
     console.log(`User ${uid} successfully marked as an admin.`);
     await snap.ref.parent.update({
       email: user.email || null,
@@ -72,7 +73,9 @@ exports.removeAdmins = functions.database.ref('/admins/{index}').onDelete(async
   const adminEmail = snap.val().email;
   try {
     const user = await admin.auth().getUserByEmail(adminEmail);
-    await admin.auth().setCustomUserClaims(user.uid, {admin: null});
+    const claims = Object.assign({}, user.customClaims);
+    delete claims.admin;
+    await admin.auth().setCustomUserClaims(user.uid, claims);
     console.log(`User ${adminEmail} successfully unmarked as an admin.`);
   } catch (error) {
     console.error(`There was an error un-marking user ${adminEmail} as an admin.`, error);
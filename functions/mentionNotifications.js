@@ -0,0 +1,57 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const sendNotificationToUser = require('./pushNotifications').sendNotificationToUser;
+
+/**
+ * Notifies the people mentioned in a new post's caption.
+ */
+exports.notifyPostMentions = functions.database.ref('/posts/{postId}').onCreate(async (snap, context) => {
+  return notifyMentions(snap.val(), context.params.postId, 'mentioned you in a post');
+});
+
+/**
+ * Notifies the people mentioned in a new comment.
+ */
+exports.notifyCommentMentions = functions.database.ref('/comments/{postId}/{commentId}').onCreate(
+    async (snap, context) => {
+      return notifyMentions(snap.val(), context.params.postId, 'mentioned you in a comment');
+    });
+
+/**
+ * Sends a notification to all the people mentioned in the given post or comment. Authors are not
+ * notified when they mention themselves.
+ */
+async function notifyMentions(content, postId, action) {
+  const author = content.author || {};
+  const mentionedUids = Object.keys(content.mentions || {}).filter((uid) => uid !== author.uid);
+  if (mentionedUids.length === 0) {
+    return null;
+  }
+  console.log('Notifying', mentionedUids.length, 'mentioned users for post', postId);
+
+  const payload = {
+    notification: {
+      title: 'You have been mentioned!',
+      body: `${author.full_name || 'Anonymous'} ${action}.`,
+      icon: author.profile_picture || '/images/silhouette.jpg',
+      click_action: `https://friendly-pix.com/post/${postId}`,
+    },
+  };
+  return Promise.all(mentionedUids.map((uid) => sendNotificationToUser(uid, payload, 'mentions')));
+}
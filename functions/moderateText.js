@@ -41,11 +41,18 @@ function moderateText(change) {
 
     // Update the Firebase DB with checked message.
     console.log('Message has been moderated. Saving to DB: ', moderatedMessage);
-    return snap.ref.update({
+    const isModerated = comment.text !== moderatedMessage;
+    const moderation = {
       text: moderatedMessage,
       sanitized: true,
-      moderated: comment.text !== moderatedMessage,
-    });
+      moderated: isModerated,
+    };
+    // Keep the original text of posts so that it can be restored if the author's appeal is accepted.
+    if (isModerated && snap.ref.parent.key === 'posts') {
+      return admin.database().ref(`/moderationOriginals/${snap.key}/text`).set(comment.text)
+          .then(() => snap.ref.update(moderation));
+    }
+    return snap.ref.update(moderation);
   }
   return null;
 }
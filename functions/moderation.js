@@ -0,0 +1,306 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const blurOffensiveImages = require('./blurOffensiveImages');
+const cleanupAccount = require('./cleanupAccount');
+const hideReportedContent = require('./hideReportedContent');
+const pushNotifications = require('./pushNotifications');
+const suspensions = require('./suspensions');
+// The actions admins can take on flagged content.
+const ACTIONS = ['dismiss', 'delete', 'blur', 'warn', 'suspend'];
+// Duration of the suspensions decided from the moderation dashboard.
+const SUSPENSION_DURATION = 7 * 24 * 60 * 60 * 1000;
+// The author of the activity items sent by moderators.
+const MODERATORS_ACTOR = {uid: 'moderators', full_name: 'FriendlyPix moderators', profile_picture: null};
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * Applies the moderation action chosen by an admin on a flagged post or comment. The action is
+ * recorded in `/moderationLog` and the flags of the content are cleared.
+ */
+exports.moderateContent = functions.runWith({memory: '2GB'}).https.onCall(async (data, context) => {
+  if (!context.auth || context.auth.token.admin !== true) {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can moderate content.');
+  }
+  const action = data.action;
+  const postId = data.postId;
+  const commentId = data.commentId || null;
+  const reason = data.reason || null;
+  if (ACTIONS.indexOf(action) === -1 || typeof postId !== 'string' ||
+      (commentId !== null && typeof commentId !== 'string')) {
+    throw new functions.https.HttpsError('invalid-argument', 'Unknown moderation action or content.');
+  }
+
+  const contentPath = commentId ? `/comments/${postId}/${commentId}` : `/posts/${postId}`;
+  const flagsPath = commentId ? `/commentFlags/${postId}/${commentId}` : `/postFlags/${postId}`;
+  const results = await Promise.all([
+    admin.database().ref(contentPath).once('value'),
+    admin.database().ref(flagsPath).once('value'),
+    commentId ? admin.database().ref(`/hiddenComments/${postId}/${commentId}/text`).once('value') : null,
+  ]);
+  const contentSnap = results[0];
+  const nbReports = results[1].numChildren();
+  // The text of comments hidden pending review is kept aside.
+  const text = results[2] && results[2].exists() ? results[2].val() : contentSnap.child('text').val();
+  const authorUid = contentSnap.child('author/uid').val();
+  if (!contentSnap.exists() && action !== 'dismiss') {
+    throw new functions.https.HttpsError('not-found', 'The content does not exist anymore.');
+  }
+
+  const updates = {};
+  if (action === 'delete') {
+    if (commentId) {
+      updates[contentPath] = null;
+    } else {
+      await cleanupAccount.deletePostData(postId, authorUid);
+      // The flags of the comments of the post are not needed anymore.
+      updates[`/commentFlags/${postId}`] = null;
+    }
+  } else if (action === 'blur') {
+    if (commentId) {
+      throw new functions.https.HttpsError('failed-precondition', 'Comments have no images to blur.');
+    }
+    await blurPostImages(contentSnap);
+  } else if (action === 'warn') {
+    await warnAuthor(authorUid, postId, commentId, reason, contentSnap.child('thumb_url').val());
+  } else if (action === 'suspend') {
+    await suspensions.suspend(authorUid, reason, context.auth.uid, Date.now() + SUSPENSION_DURATION);
+  }
+
+  // The content has been reviewed so it is shown again unless it was deleted.
+  if (action !== 'delete' && contentSnap.exists()) {
+    if (commentId) {
+      Object.assign(updates, await hideReportedContent.showHiddenComment(postId, commentId));
+    } else {
+      updates[`${contentPath}/hidden_pending_review`] = null;
+    }
+  }
+
+  const logId = admin.database().ref('/moderationLog').push().key;
+  updates[flagsPath] = null;
+  updates[`/moderationLog/${logId}`] = {
+    action: action,
+    post_id: postId,
+    comment_id: commentId,
+    author_uid: authorUid,
+    text: text,
+    reason: reason,
+    nb_reports: nbReports,
+    admin_uid: context.auth.uid,
+    timestamp: admin.database.ServerValue.TIMESTAMP,
+  };
+  await admin.database().ref().update(updates);
+  console.log(`Admin ${context.auth.uid} applied the ${action} action on ${contentPath}.`);
+  return {logId: logId};
+});
+
+/**
+ * Resolves the appeal of the author of the moderated post `data.postId`. If `data.accept` is true
+ * the original text and images of the post are restored. The author is notified of the decision,
+ * with the optional `data.message` of the admin.
+ */
+exports.resolveAppeal = functions.runWith({memory: '1GB'}).https.onCall(async (data, context) => {
+  if (!context.auth || context.auth.token.admin !== true) {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can resolve appeals.');
+  }
+  const postId = data.postId;
+  const accept = data.accept === true;
+  const message = data.message || null;
+  if (typeof postId !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'Unknown post.');
+  }
+
+  const results = await Promise.all([
+    admin.database().ref(`/appeals/${postId}`).once('value'),
+    admin.database().ref(`/posts/${postId}`).once('value'),
+  ]);
+  const appealSnap = results[0];
+  const postSnap = results[1];
+  if (appealSnap.child('status').val() !== 'pending') {
+    throw new functions.https.HttpsError('failed-precondition', 'This appeal has already been resolved.');
+  }
+  const authorUid = appealSnap.child('author_uid').val();
+
+  const updates = {};
+  if (accept && postSnap.exists()) {
+    await restoreOriginals(postSnap, updates);
+  }
+  updates[`/appeals/${postId}/status`] = accept ? 'accepted' : 'rejected';
+  updates[`/appeals/${postId}/resolved_by`] = context.auth.uid;
+  updates[`/appeals/${postId}/resolved_at`] = admin.database.ServerValue.TIMESTAMP;
+  const logId = admin.database().ref('/moderationLog').push().key;
+  updates[`/moderationLog/${logId}`] = {
+    action: accept ? 'appeal_accepted' : 'appeal_rejected',
+    post_id: postId,
+    comment_id: null,
+    author_uid: authorUid,
+    text: appealSnap.child('reason').val(),
+    reason: message,
+    admin_uid: context.auth.uid,
+    timestamp: admin.database.ServerValue.TIMESTAMP,
+  };
+  await admin.database().ref().update(updates);
+
+  const title = accept ? 'Your appeal has been accepted' : 'Your appeal has been rejected';
+  const body = message || (accept ? 'A moderator restored your post.' :
+      'A moderator reviewed your appeal and kept the moderation.');
+  await notifyAuthor(authorUid, {
+    type: accept ? 'appeal_accepted' : 'appeal_rejected',
+    post_id: postId,
+    comment_id: null,
+    reason: message,
+    thumb_url: postSnap.child('thumb_url').val(),
+  }, title, body);
+  console.log(`Admin ${context.auth.uid} ${accept ? 'accepted' : 'rejected'} the appeal on /posts/${postId}.`);
+  return {logId: logId};
+});
+
+/**
+ * Restores the originals of the blurred images of the post `data.postId`, for instance when they
+ * were blurred by mistake. Only admins can unblur images.
+ */
+exports.unblurImage = functions.runWith({memory: '1GB'}).https.onCall(async (data, context) => {
+  if (!context.auth || context.auth.token.admin !== true) {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can unblur images.');
+  }
+  const postId = data.postId;
+  if (typeof postId !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'Unknown post.');
+  }
+  const postSnap = await admin.database().ref(`/posts/${postId}`).once('value');
+  if (postSnap.child('blurred').val() !== true) {
+    throw new functions.https.HttpsError('failed-precondition', 'The images of this post are not blurred.');
+  }
+
+  const updates = await blurOffensiveImages.unblurPostImages(postSnap);
+  const logId = admin.database().ref('/moderationLog').push().key;
+  updates[`/moderationLog/${logId}`] = {
+    action: 'unblur',
+    post_id: postId,
+    comment_id: null,
+    author_uid: postSnap.child('author/uid').val(),
+    text: postSnap.child('text').val(),
+    reason: postSnap.child('blur_reason').val(),
+    admin_uid: context.auth.uid,
+    timestamp: admin.database.ServerValue.TIMESTAMP,
+  };
+  await admin.database().ref().update(updates);
+  console.log(`Admin ${context.auth.uid} unblurred the images of /posts/${postId}.`);
+  return {logId: logId};
+});
+
+/**
+ * Returns the Storage URI and size of all the images of the given post.
+ */
+function getPostImages(postSnap) {
+  const images = [];
+  const addImage = (imageSnap, size) => {
+    const storageUri = imageSnap.child(`${size}_storage_uri`).val();
+    if (storageUri && !images.some((image) => image.storageUri === storageUri)) {
+      images.push({storageUri: storageUri, size: size});
+    }
+  };
+  ['full', 'thumb'].forEach((size) => {
+    addImage(postSnap, size);
+    postSnap.child('images').forEach((imageSnap) => addImage(imageSnap, size));
+  });
+  return images;
+}
+
+/**
+ * Returns the bucket name and file path of the given Storage URI.
+ */
+function parseStorageUri(storageUri) {
+  const match = storageUri.match(/^gs:\/\/([^/]+)\/(.+)$/);
+  return {bucketName: match[1], filePath: match[2]};
+}
+
+/**
+ * Blurs all the images of the given post, one after the other, and refreshes their URLs.
+ */
+async function blurPostImages(postSnap) {
+  const images = getPostImages(postSnap);
+  if (images.length === 0) {
+    throw new functions.https.HttpsError('failed-precondition', 'This post has no images to blur.');
+  }
+
+  for (const image of images) {
+    const location = parseStorageUri(image.storageUri);
+    const file = admin.storage().bucket(location.bucketName).file(location.filePath);
+    const metadata = (await file.getMetadata())[0];
+    const originalStorageUri = await blurOffensiveImages.blurImage(location.filePath, location.bucketName,
+        metadata.metadata);
+    await blurOffensiveImages.refreshImages(postSnap.child('author/uid').val(), postSnap.key, image.size,
+        location.filePath, 'moderator', originalStorageUri);
+  }
+}
+
+/**
+ * Adds to `updates` the changes restoring the original text and images of the given moderated post.
+ */
+async function restoreOriginals(postSnap, updates) {
+  const postId = postSnap.key;
+  const originalSnap = await admin.database().ref(`/moderationOriginals/${postId}`).once('value');
+  if (postSnap.child('moderated').val() === true && originalSnap.child('text').exists()) {
+    updates[`/posts/${postId}/text`] = originalSnap.child('text').val();
+    updates[`/posts/${postId}/moderated`] = false;
+  }
+  updates[`/moderationOriginals/${postId}`] = null;
+
+  if (postSnap.child('blurred').val() === true) {
+    Object.assign(updates, await blurOffensiveImages.unblurPostImages(postSnap));
+  }
+}
+
+/**
+ * Adds a warning to the activity stream of the author of the flagged content and notifies them.
+ */
+function warnAuthor(authorUid, postId, commentId, reason, thumbUrl) {
+  const body = reason || `A moderator reviewed your ${commentId ? 'comment' : 'post'}. Please follow the community rules.`;
+  return notifyAuthor(authorUid, {
+    type: 'warning',
+    post_id: postId,
+    comment_id: commentId,
+    reason: reason,
+    thumb_url: thumbUrl,
+  }, 'Your content has been reported', body);
+}
+
+/**
+ * Adds the given activity item from the moderators to the activity stream of the given author and
+ * sends them a push notification with the given title and body.
+ */
+async function notifyAuthor(authorUid, notification, title, body) {
+  await admin.database().ref(`/notifications/${authorUid}`).push(Object.assign({
+    actor: MODERATORS_ACTOR,
+    timestamp: admin.database.ServerValue.TIMESTAMP,
+    read: false,
+  }, notification));
+  const payload = {
+    notification: {
+      title: title,
+      body: body,
+      icon: '/images/silhouette.jpg',
+      click_action: `https://friendly-pix.com/post/${notification.post_id}`,
+    },
+  };
+  return pushNotifications.sendNotificationToUser(authorUid, payload);
+}
@@ -0,0 +1,150 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const secureCompare = require('secure-compare');
+const pushNotifications = require('./pushNotifications');
+const activityNotifications = require('./activityNotifications');
+// The title and text of the push notifications about posts, per type.
+const NOTIFICATION_DETAILS = {
+  likes: {title: 'New like!', action: 'liked your post'},
+  comments: {title: 'New comment!', action: 'commented on your post'},
+};
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * Sends a push notification to the author of a post when the post is liked. Bursts of likes are
+ * aggregated into a single notification.
+ */
+exports.sendLikeNotification = functions.database.ref('/likes/{postId}/{uid}').onCreate(async (snap, context) => {
+  const postId = context.params.postId;
+  const results = await Promise.all([
+    activityNotifications.getPostDetails(postId),
+    activityNotifications.getActor(context.params.uid),
+  ]);
+  const post = results[0];
+  const liker = results[1];
+  if (!post || post.authorUid === liker.uid) {
+    return null;
+  }
+  return sendPostNotification(post.authorUid, postId, 'likes', liker);
+});
+
+/**
+ * Sends a push notification to the author of a post when the post is commented on. Bursts of
+ * comments are aggregated into a single notification.
+ */
+exports.sendCommentNotification = functions.database.ref('/comments/{postId}/{commentId}').onCreate(
+    async (snap, context) => {
+      const postId = context.params.postId;
+      const comment = snap.val();
+      const post = await activityNotifications.getPostDetails(postId);
+      if (!post || !comment.author || post.authorUid === comment.author.uid) {
+        return null;
+      }
+      return sendPostNotification(post.authorUid, postId, 'comments', comment.author);
+    });
+
+/**
+ * Sends the push notifications summarizing the likes and comments held back by the rate limit when
+ * no other like or comment came after the delay. Call it regularly, for instance every 10 minutes
+ * from a cron service. The request needs to be authorized by passing a 'key' query parameter in
+ * the URL matching the `cron.key` environment variable.
+ */
+exports.sendHeldBackNotifications = functions.https.onRequest(async (req, res) => {
+  const key = req.query.key;
+
+  // Exit if the keys don't match.
+  if (!secureCompare(key, functions.config().cron.key)) {
+    console.log('The key provided in the request does not match the key set in the environment. Check that', key,
+        'matches the cron.key attribute in `firebase env:get`');
+    res.status(403).send('Security key does not match. Make sure your "key" URL query parameter matches the ' +
+        'cron.key environment variable.');
+    return null;
+  }
+
+  const heldBackSnap = await admin.database().ref('/heldBackNotifications').orderByChild('release_at')
+      .endAt(Date.now()).once('value');
+  const heldBackSnaps = [];
+  heldBackSnap.forEach((snap) => {
+    heldBackSnaps.push(snap);
+  });
+  let nbSent = 0;
+  for (const snap of heldBackSnaps) {
+    const heldBack = snap.val();
+    const nbHeldBack = await pushNotifications.releaseHeldBackNotification(heldBack.uid, heldBack.post_id,
+        heldBack.type);
+    if (nbHeldBack > 0 && await sendHeldBackNotification(heldBack.uid, heldBack.post_id, heldBack.type, nbHeldBack)) {
+      nbSent++;
+    }
+    // More events may have been held back in the meantime, in which case they are released later.
+    await snap.ref.transaction((current) => current && current.release_at === heldBack.release_at ? null : current);
+  }
+
+  console.log(`${nbSent} held back notifications sent`);
+  res.send(`${nbSent} held back notifications sent`);
+});
+
+/**
+ * Sends a push notification of the given type about a post to the given user unless one has been
+ * sent recently. The events held back since the last notification are mentioned in the new one.
+ */
+async function sendPostNotification(uid, postId, type, actor) {
+  const details = NOTIFICATION_DETAILS[type];
+  const nbHeldBack = await pushNotifications.throttleNotification(uid, postId, type);
+  if (nbHeldBack === null) {
+    return console.log(`Held back ${type} notification for post ${postId} to ${uid}.`);
+  }
+  let names = actor.full_name || 'Anonymous';
+  if (nbHeldBack > 0) {
+    names += ` and ${nbHeldBack} other${nbHeldBack > 1 ? 's' : ''}`;
+  }
+  const payload = {
+    notification: {
+      title: details.title,
+      body: `${names} ${details.action}.`,
+      icon: actor.profile_picture || '/images/silhouette.jpg',
+      click_action: `https://friendly-pix.com/post/${postId}`,
+    },
+  };
+  return pushNotifications.sendNotificationToUser(uid, payload, type);
+}
+
+/**
+ * Sends a push notification of the given type to the given user summarizing the events held back
+ * about a post. Returns false if the post has been deleted in the meantime.
+ */
+async function sendHeldBackNotification(uid, postId, type, nbHeldBack) {
+  const post = await activityNotifications.getPostDetails(postId);
+  if (!post) {
+    return false;
+  }
+  const details = NOTIFICATION_DETAILS[type];
+  const payload = {
+    notification: {
+      title: details.title,
+      body: `${nbHeldBack} more ${nbHeldBack > 1 ? 'people' : 'person'} ${details.action}.`,
+      icon: '/images/silhouette.jpg',
+      click_action: `https://friendly-pix.com/post/${postId}`,
+    },
+  };
+  await pushNotifications.sendNotificationToUser(uid, payload, type);
+  return true;
+}
@@ -0,0 +1,133 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const secureCompare = require('secure-compare');
+const hashtagsIndexer = require('./hashtagsIndexer');
+const searchIndexer = require('./searchIndexer');
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * Adds new posts of public accounts to the list of recent posts.
+ */
+exports.addToRecentPosts = functions.database.ref('/posts/{postId}').onCreate(async (snap, context) => {
+  if (await isPrivateAccount(snap.child('author/uid').val())) {
+    return null;
+  }
+  return admin.database().ref(`/recentPosts/${context.params.postId}`).set(true);
+});
+
+/**
+ * Removes deleted posts from the list of recent posts.
+ */
+exports.removeFromRecentPosts = functions.database.ref('/posts/{postId}').onDelete(async (snap, context) => {
+  return admin.database().ref(`/recentPosts/${context.params.postId}`).remove();
+});
+
+/**
+ * When a user makes their account private we remove their posts from the list of recent posts and
+ * from the hashtags and search indexes. When they make it public again we add them back and approve
+ * all the pending follow requests.
+ */
+exports.updatePrivateAccountIndexes = functions.runWith({timeoutSeconds: 540}).database
+    .ref('/people/{uid}/private_account').onWrite(async (change, context) => {
+      const uid = context.params.uid;
+      const isPrivate = change.after.val() === true;
+      if ((change.before.val() === true) === isPrivate) {
+        return null;
+      }
+      // Nothing to do if the whole profile is being deleted.
+      const profileSnap = await admin.database().ref(`/people/${uid}/full_name`).once('value');
+      if (!profileSnap.exists()) {
+        return null;
+      }
+
+      const postsSnap = await admin.database().ref(`/people/${uid}/posts`).once('value');
+      const postIds = Object.keys(postsSnap.val() || {});
+      const updates = {};
+      await Promise.all(postIds.map(async (postId) => {
+        const textSnap = await admin.database().ref(`/posts/${postId}/text`).once('value');
+        if (!textSnap.exists()) {
+          return;
+        }
+        updates[`/recentPosts/${postId}`] = isPrivate ? null : true;
+        hashtagsIndexer.getHashtags(textSnap.val()).forEach((hashtag) => {
+          updates[`/hashtags/${hashtag}/${postId}`] = isPrivate ? null : true;
+        });
+      }));
+
+      if (!isPrivate) {
+        const requestsSnap = await admin.database().ref(`/followRequests/${uid}`).once('value');
+        requestsSnap.forEach((requestSnap) => {
+          updates[`/followers/${uid}/${requestSnap.key}`] = true;
+          updates[`/people/${requestSnap.key}/following/${uid}`] = true;
+        });
+        updates[`/followRequests/${uid}`] = null;
+      }
+      await admin.database().ref().update(updates);
+      await Promise.all(postIds.map((postId) => searchIndexer.reindexPost(postId)));
+      console.log(`Account ${uid} made ${isPrivate ? 'private' : 'public'}.`);
+    });
+
+/**
+ * One-off backfill of the list of recent posts with the posts of all public accounts.
+ */
+exports.backfillRecentPosts = functions.runWith({memory: '2GB', timeoutSeconds: 540}).https.onRequest(
+    async (req, res) => {
+      const key = req.query.key;
+
+      // Exit if the keys don't match.
+      if (!secureCompare(key, functions.config().cron.key)) {
+        console.log('The key provided in the request does not match the key set in the environment. Check that', key,
+            'matches the cron.key attribute in `firebase env:get`');
+        res.status(403).send('Security key does not match. Make sure your "key" URL query parameter matches the ' +
+            'cron.key environment variable.');
+        return null;
+      }
+
+      const rootRef = admin.database().ref();
+      const results = await Promise.all([
+        rootRef.child('posts').once('value'),
+        rootRef.child('people').once('value'),
+      ]);
+      const postsSnap = results[0];
+      const peopleSnap = results[1];
+
+      const updates = {};
+      postsSnap.forEach((postSnap) => {
+        const authorUid = postSnap.child('author/uid').val();
+        if (authorUid && peopleSnap.child(authorUid).child('private_account').val() !== true) {
+          updates[`/recentPosts/${postSnap.key}`] = true;
+        }
+      });
+      await rootRef.update(updates);
+
+      console.log(`${Object.keys(updates).length} posts added to the recent posts`);
+      res.send(`${Object.keys(updates).length} posts added to the recent posts`);
+    });
+
+/**
+ * Returns true if the user with the given UID has a private account.
+ */
+async function isPrivateAccount(uid) {
+  const snap = await admin.database().ref(`/people/${uid}/private_account`).once('value');
+  return snap.val() === true;
+}
+exports.isPrivateAccount = isPrivateAccount;
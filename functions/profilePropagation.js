@@ -0,0 +1,239 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const secureCompare = require('secure-compare');
+// The profile fields copied in the `author` block of posts and comments.
+const AUTHOR_FIELDS = ['full_name', 'profile_picture', 'username'];
+// Number of posts, or of commented posts, updated per batch.
+const POSTS_BATCH_SIZE = 100;
+const COMMENTS_BATCH_SIZE = 50;
+// Propagations which haven't progressed for this long are considered stalled.
+const STALLED_DELAY = 10 * 60 * 1000;
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * When the name, profile picture or username of a user changes we start propagating them to the
+ * `author` block of all their posts and comments. The progress is tracked under
+ * `/profilePropagation/{uid}`. A new change restarts the propagation with the latest profile.
+ */
+exports.propagateNameChange = functions.database.ref('/people/{uid}/full_name').onWrite(
+    (change, context) => startPropagation(context.params.uid));
+exports.propagatePictureChange = functions.database.ref('/people/{uid}/profile_picture').onWrite(
+    (change, context) => startPropagation(context.params.uid));
+exports.propagateUsernameChange = functions.database.ref('/people/{uid}/username').onWrite(
+    (change, context) => startPropagation(context.params.uid));
+
+/**
+ * Keeps the list of posts each user has commented on under `/commentedPosts/{uid}/{postId}` so
+ * that their comments can be found without going through the comments of all posts.
+ */
+exports.indexCommentedPosts = functions.database.ref('/comments/{postId}/{commentId}').onWrite(
+    async (change, context) => {
+      const postId = context.params.postId;
+      if (change.before.exists() && change.after.exists()) {
+        return null;
+      }
+      if (change.after.exists()) {
+        const uid = change.after.child('author/uid').val();
+        return admin.database().ref(`/commentedPosts/${uid}/${postId}`).set(true);
+      }
+      // Remove the post from the list once the user has no comments left on it.
+      const uid = change.before.child('author/uid').val();
+      const remainingSnap = await admin.database().ref(`/comments/${postId}`).orderByChild('author/uid')
+          .equalTo(uid).limitToFirst(1).once('value');
+      if (remainingSnap.exists()) {
+        return null;
+      }
+      return admin.database().ref(`/commentedPosts/${uid}/${postId}`).remove();
+    });
+
+/**
+ * Processes the next batch of a profile propagation. Each batch saves its progress under
+ * `/profilePropagation/{uid}`, which triggers the next batch, so that no single run can time out.
+ * The posts are updated first then the comments. The progress entry is removed once done.
+ */
+exports.propagateProfileBatch = functions.database.ref('/profilePropagation/{uid}').onWrite(
+    async (change, context) => {
+      if (!change.after.exists()) {
+        return null;
+      }
+      const uid = context.params.uid;
+      const propagation = change.after.val();
+      const author = propagation.author || {};
+
+      const updates = {};
+      let lastKey;
+      let isPhaseDone;
+      // We fetch one more item than the batch size to know if there are more, plus the item at the
+      // cursor which was already processed in the previous batch.
+      const extraItems = propagation.cursor ? 2 : 1;
+      if (propagation.phase === 'posts') {
+        // Page through the posts of the user using the `author/uid` index.
+        const query = admin.database().ref('/posts').orderByChild('author/uid');
+        const postsSnap = await (propagation.cursor ? query.startAt(uid, propagation.cursor) : query.startAt(uid))
+            .endAt(uid).limitToFirst(POSTS_BATCH_SIZE + extraItems).once('value');
+        const postSnaps = [];
+        postsSnap.forEach((postSnap) => {
+          if (postSnap.key !== propagation.cursor) {
+            postSnaps.push(postSnap);
+          }
+        });
+        postSnaps.slice(0, POSTS_BATCH_SIZE).forEach((postSnap) => {
+          addAuthorUpdates(updates, `/posts/${postSnap.key}/author`, postSnap.child('author'), author);
+          lastKey = postSnap.key;
+        });
+        isPhaseDone = postSnaps.length <= POSTS_BATCH_SIZE;
+      } else {
+        // Page through the posts the user has commented on and update their comments on each.
+        let query = admin.database().ref(`/commentedPosts/${uid}`).orderByKey();
+        if (propagation.cursor) {
+          query = query.startAt(propagation.cursor);
+        }
+        const commentedPostsSnap = await query.limitToFirst(COMMENTS_BATCH_SIZE + extraItems).once('value');
+        const postIds = Object.keys(commentedPostsSnap.val() || {})
+            .filter((postId) => postId !== propagation.cursor);
+        const batchPostIds = postIds.slice(0, COMMENTS_BATCH_SIZE);
+        const threadSnaps = await Promise.all(batchPostIds.map((postId) => admin.database()
+            .ref(`/comments/${postId}`).orderByChild('author/uid').equalTo(uid).once('value')));
+        threadSnaps.forEach((threadSnap) => {
+          threadSnap.forEach((commentSnap) => {
+            addAuthorUpdates(updates, `/comments/${threadSnap.key}/${commentSnap.key}/author`,
+                commentSnap.child('author'), author);
+          });
+        });
+        lastKey = batchPostIds[batchPostIds.length - 1];
+        isPhaseDone = postIds.length <= COMMENTS_BATCH_SIZE;
+      }
+      await admin.database().ref().update(updates);
+      console.log(`Propagated the profile of ${uid} to ${Object.keys(updates).length} ${propagation.phase} fields.`);
+
+      // Save the progress unless a newer propagation replaced this one in the meantime.
+      return change.after.ref.transaction((current) => {
+        if (current === null) {
+          return null;
+        }
+        if (current.id !== propagation.id) {
+          return undefined;
+        }
+        if (isPhaseDone && propagation.phase !== 'posts') {
+          return null;
+        }
+        current.phase = isPhaseDone ? 'comments' : propagation.phase;
+        current.cursor = isPhaseDone ? null : lastKey;
+        current.updated_at = Date.now();
+        return current;
+      });
+    });
+
+/**
+ * Restarts the profile propagations which haven't progressed for a while, for instance because a
+ * batch failed or timed out. Call it regularly, for instance every hour from a cron service.
+ */
+exports.resumeProfilePropagations = functions.https.onRequest(async (req, res) => {
+  const key = req.query.key;
+
+  // Exit if the keys don't match.
+  if (!secureCompare(key, functions.config().cron.key)) {
+    console.log('The key provided in the request does not match the key set in the environment. Check that', key,
+        'matches the cron.key attribute in `firebase env:get`');
+    res.status(403).send('Security key does not match. Make sure your "key" URL query parameter matches the ' +
+        'cron.key environment variable.');
+    return null;
+  }
+
+  const stalledSnap = await admin.database().ref('/profilePropagation').orderByChild('updated_at')
+      .endAt(Date.now() - STALLED_DELAY).once('value');
+  const updates = {};
+  stalledSnap.forEach((propagationSnap) => {
+    // Touching the progress entry triggers the next batch from the saved cursor.
+    updates[`/profilePropagation/${propagationSnap.key}/updated_at`] = admin.database.ServerValue.TIMESTAMP;
+  });
+  await admin.database().ref().update(updates);
+
+  const nbStalled = Object.keys(updates).length;
+  console.log(`${nbStalled} stalled profile propagations resumed`);
+  res.send(`${nbStalled} stalled profile propagations resumed`);
+});
+
+/**
+ * One-off backfill of the lists of posts each user has commented on.
+ */
+exports.backfillCommentedPosts = functions.runWith({memory: '2GB', timeoutSeconds: 540}).https.onRequest(
+    async (req, res) => {
+      const key = req.query.key;
+
+      // Exit if the keys don't match.
+      if (!secureCompare(key, functions.config().cron.key)) {
+        console.log('The key provided in the request does not match the key set in the environment. Check that', key,
+            'matches the cron.key attribute in `firebase env:get`');
+        res.status(403).send('Security key does not match. Make sure your "key" URL query parameter matches the ' +
+            'cron.key environment variable.');
+        return null;
+      }
+
+      const commentsSnap = await admin.database().ref('/comments').once('value');
+      const updates = {};
+      commentsSnap.forEach((threadSnap) => {
+        threadSnap.forEach((commentSnap) => {
+          updates[`/commentedPosts/${commentSnap.child('author/uid').val()}/${threadSnap.key}`] = true;
+        });
+      });
+      await admin.database().ref().update(updates);
+
+      const nbEntries = Object.keys(updates).length;
+      console.log(`${nbEntries} commented posts indexed`);
+      res.send(`${nbEntries} commented posts indexed`);
+    });
+
+/**
+ * Starts, or restarts, the propagation of the current name, profile picture and username of the
+ * given user. Nothing is propagated if the profile was deleted.
+ */
+async function startPropagation(uid) {
+  const personRef = admin.database().ref(`/people/${uid}`);
+  const snaps = await Promise.all(AUTHOR_FIELDS.map((field) => personRef.child(field).once('value')));
+  if (!snaps[AUTHOR_FIELDS.indexOf('full_name')].exists()) {
+    return null;
+  }
+
+  const author = {};
+  AUTHOR_FIELDS.forEach((field, i) => author[field] = snaps[i].val());
+  const propagationRef = admin.database().ref(`/profilePropagation/${uid}`);
+  return propagationRef.set({
+    id: propagationRef.push().key,
+    author: author,
+    phase: 'posts',
+    cursor: null,
+    updated_at: admin.database.ServerValue.TIMESTAMP,
+  });
+}
+
+/**
+ * Adds to `updates` the changes needed for the author block at `path`, currently in `authorSnap`,
+ * to match the given `author`.
+ */
+function addAuthorUpdates(updates, path, authorSnap, author) {
+  AUTHOR_FIELDS.forEach((field) => {
+    if (authorSnap.child(field).val() !== author[field]) {
+      updates[`${path}/${field}`] = author[field];
+    }
+  });
+}
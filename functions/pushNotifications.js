@@ -0,0 +1,163 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+// Default minimum delay between two push notifications about the same post.
+const DEFAULT_THROTTLE_MINUTES = 10;
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * Sends the given notification payload to all the devices of the given user if the user has
+ * enabled notifications. If a `type` is given (`follows`, `likes`, `comments`, `mentions` or
+ * `messages`) the notification is only sent if the user hasn't turned off that type in their
+ * preferences. Returns true if the notification was sent to at least one device.
+ */
+exports.sendNotificationToUser = async (uid, payload, type = null) => {
+  const userRef = admin.database().ref(`/people/${uid}`);
+
+  // Check if the user has notifications enabled.
+  const results = await Promise.all([
+    userRef.child('notificationEnabled').once('value'),
+    type ? userRef.child(`notificationPrefs/${type}`).once('value') : null,
+  ]);
+  if (!results[0].val()) {
+    console.log('The user', uid, 'has not enabled notifications.');
+    return false;
+  }
+  if (results[1] && results[1].val() === false) {
+    console.log('The user', uid, 'has turned off notifications of type', type);
+    return false;
+  }
+
+  // Get the list of device notification tokens.
+  const tokensSnapshot = await userRef.child('notificationTokens').once('value');
+  if (!tokensSnapshot.hasChildren()) {
+    console.log('There are no notification tokens to send to.');
+    return false;
+  }
+  console.log('There are', tokensSnapshot.numChildren(), 'tokens to send notifications to.');
+
+  // Send notifications to all tokens.
+  const tokens = Object.keys(tokensSnapshot.val());
+  const response = await admin.messaging().sendToDevice(tokens, payload);
+  await removeBadTokens(response, tokens, uid);
+  return response.successCount > 0;
+};
+
+/**
+ * Rate-limits the push notifications of the given `type` sent to a user about a post to one every
+ * `notifications.throttle_minutes` minutes.
+ *
+ * Returns `null` if a notification has been sent too recently, in which case the event is counted
+ * so that it can be aggregated in the next notification. Otherwise returns the number of events
+ * that have been held back since the last notification.
+ *
+ * Held back events are also queued under `/heldBackNotifications` so that they are announced once
+ * the delay is over even if no other event comes, see `releaseHeldBackNotification()`.
+ */
+exports.throttleNotification = async (uid, postId, type) => {
+  const throttleMs = getThrottleMs();
+  const now = Date.now();
+  let nbHeldBack = null;
+  let sentAt = null;
+
+  const result = await admin.database().ref(`/notificationThrottle/${uid}/${postId}/${type}`).transaction(
+      (throttle) => {
+        if (throttle && now - throttle.sent_at < throttleMs) {
+          nbHeldBack = null;
+          sentAt = throttle.sent_at;
+          throttle.held_back = (throttle.held_back || 0) + 1;
+          return throttle;
+        }
+        nbHeldBack = throttle ? throttle.held_back || 0 : 0;
+        return {sent_at: now, held_back: 0};
+      });
+  if (!result.committed) {
+    return null;
+  }
+  if (nbHeldBack === null) {
+    await admin.database().ref(`/heldBackNotifications/${uid}:${postId}:${type}`).set({
+      uid: uid,
+      post_id: postId,
+      type: type,
+      release_at: sentAt + throttleMs,
+    });
+  }
+  return nbHeldBack;
+};
+
+/**
+ * Returns the number of events of the given `type` about a post held back for a user since the
+ * last notification, once the delay between two notifications is over, and records that a
+ * notification summarizing them is sent now. Returns 0 if there is nothing to announce yet.
+ */
+exports.releaseHeldBackNotification = async (uid, postId, type) => {
+  const throttleMs = getThrottleMs();
+  const now = Date.now();
+  let nbHeldBack = 0;
+
+  const result = await admin.database().ref(`/notificationThrottle/${uid}/${postId}/${type}`).transaction(
+      (throttle) => {
+        nbHeldBack = 0;
+        if (!throttle || !throttle.held_back || now - throttle.sent_at < throttleMs) {
+          return throttle;
+        }
+        nbHeldBack = throttle.held_back;
+        return {sent_at: now, held_back: 0};
+      });
+  return result.committed ? nbHeldBack : 0;
+};
+
+/**
+ * Returns the minimum delay between two push notifications about the same post, in milliseconds.
+ */
+function getThrottleMs() {
+  const config = functions.config().notifications || {};
+  return (parseInt(config.throttle_minutes, 10) || DEFAULT_THROTTLE_MINUTES) * 60 * 1000;
+}
+
+/**
+ * Given a response object from the FCM API, remove all invalid tokens of the given user.
+ */
+async function removeBadTokens(response, tokens, uid) {
+  // For each message check if there was an error.
+  const tokensToRemove = {};
+  response.results.forEach((result, index) => {
+    const error = result.error;
+    if (error) {
+      // Cleanup the tokens who are not registered anymore.
+      if (error.code === 'messaging/invalid-registration-token' ||
+          error.code === 'messaging/registration-token-not-registered') {
+        console.log('The following token is not registered anymore', tokens[index]);
+        tokensToRemove[`/people/${uid}/notificationTokens/${tokens[index]}`] = null;
+      } else {
+        console.error('Failure sending notification to', tokens[index], error);
+      }
+    }
+  });
+  // If there are tokens to cleanup.
+  const nbTokensToCleanup = Object.keys(tokensToRemove).length;
+  if (nbTokensToCleanup > 0) {
+    await admin.database().ref().update(tokensToRemove);
+    console.log(`Removed ${nbTokensToCleanup} unregistered tokens.`);
+  }
+  console.log(`Successfully sent ${tokens.length - nbTokensToCleanup} notifications.`);
+}
+exports.removeBadTokens = removeBadTokens;
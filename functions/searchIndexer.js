@@ -0,0 +1,129 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const latinize = require('latinize');
+const stemmer = require('stemmer');
+const promisePool = require('es6-promise-pool');
+const PromisePool = promisePool.PromisePool;
+const secureCompare = require('secure-compare');
+const privateAccounts = require('./privateAccounts');
+// Maximum concurrent posts re-indexing.
+const MAX_CONCURRENT = 3;
+// Words which are too common to be indexed. Keep in sync with `Utils.getSearchTokens()`.
+const STOP_WORDS = ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of',
+  'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'];
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * Re-indexes a post when its caption is created, edited or deleted.
+ */
+exports.indexPostText = functions.database.ref('/posts/{postId}/text').onWrite(
+    (change, context) => reindexPost(context.params.postId));
+
+/**
+ * Re-indexes a post when one of its comments is created, edited or deleted.
+ */
+exports.indexCommentText = functions.database.ref('/comments/{postId}/{commentId}/text').onWrite(
+    (change, context) => reindexPost(context.params.postId));
+
+/**
+ * One-off backfill of the search index with all the existing posts.
+ */
+exports.backfillSearchIndex = functions.runWith({memory: '2GB', timeoutSeconds: 540}).https.onRequest(
+    async (req, res) => {
+      const key = req.query.key;
+
+      // Exit if the keys don't match.
+      if (!secureCompare(key, functions.config().cron.key)) {
+        console.log('The key provided in the request does not match the key set in the environment. Check that', key,
+            'matches the cron.key attribute in `firebase env:get`');
+        res.status(403).send('Security key does not match. Make sure your "key" URL query parameter matches the ' +
+            'cron.key environment variable.');
+        return null;
+      }
+
+      const postsSnap = await admin.database().ref('/posts').once('value');
+      const postIds = Object.keys(postsSnap.val() || {});
+      const nbPosts = postIds.length;
+      const pool = new PromisePool(() => postIds.length > 0 ? reindexPost(postIds.pop()) : null, MAX_CONCURRENT);
+      await pool.start();
+
+      console.log(`${nbPosts} posts indexed`);
+      res.send(`${nbPosts} posts indexed`);
+    });
+
+/**
+ * Rebuilds the search index entries of the given post from its caption and the text of its
+ * comments. The posts are listed under `/searchIndex/{token}/{postId}` with their creation time as
+ * value, and the tokens of each post are kept under `/searchTokens/{postId}` so that they can be
+ * removed later. Deleted posts and posts of private accounts are removed from the index.
+ */
+async function reindexPost(postId) {
+  const rootRef = admin.database().ref();
+  const results = await Promise.all([
+    rootRef.child(`/posts/${postId}`).once('value'),
+    rootRef.child(`/comments/${postId}`).once('value'),
+    rootRef.child(`/searchTokens/${postId}`).once('value'),
+  ]);
+  const postSnap = results[0];
+  const commentsSnap = results[1];
+  const oldTokens = Object.keys(results[2].val() || {});
+
+  let newTokens = [];
+  if (postSnap.exists() && !await privateAccounts.isPrivateAccount(postSnap.child('author/uid').val())) {
+    const texts = [postSnap.child('text').val() || ''];
+    commentsSnap.forEach((commentSnap) => {
+      texts.push(commentSnap.child('text').val() || '');
+    });
+    newTokens = getSearchTokens(texts.join(' '));
+  }
+
+  const updates = {};
+  oldTokens.filter((token) => newTokens.indexOf(token) === -1).forEach((token) => {
+    updates[`/searchIndex/${token}/${postId}`] = null;
+  });
+  newTokens.filter((token) => oldTokens.indexOf(token) === -1).forEach((token) => {
+    updates[`/searchIndex/${token}/${postId}`] = postSnap.child('timestamp').val();
+  });
+  if (Object.keys(updates).length === 0) {
+    return null;
+  }
+  const tokens = {};
+  newTokens.forEach((token) => tokens[token] = true);
+  updates[`/searchTokens/${postId}`] = newTokens.length > 0 ? tokens : null;
+  return rootRef.update(updates);
+}
+exports.reindexPost = reindexPost;
+
+// Returns the latinized and stemmed words of the given text, without duplicates and stop words.
+function getSearchTokens(text) {
+  const tokens = [];
+  latinize(text).toLowerCase().split(/[^a-z0-9]+/).forEach((word) => {
+    if (word.length > 1 && STOP_WORDS.indexOf(word) === -1) {
+      const token = stemmer(word);
+      if (tokens.indexOf(token) === -1) {
+        tokens.push(token);
+      }
+    }
+  });
+  return tokens;
+}
+exports.getSearchTokens = getSearchTokens;
@@ -62,6 +62,7 @@ async function sendEmail(snap, context) {
           Make sure to review it asap:<br><br>
 
           Post URL on the Web (admin page): ${webURL}<br>
+          Moderation dashboard: https://friendly-pix.com/admin/reports<br>
           ${commentId ? 'Comment' : 'Post'} console URL: ${commentId ? commentConsoleUrl : postConsoleURL}<br>
           ${commentId ? '' : `Post image thumbnail: <br>
               <a href="${reportedData.thumb_url}"><img style="max-width: 400px" src="${reportedData.thumb_url}"></a><br>`}
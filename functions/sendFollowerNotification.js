@@ -17,6 +17,7 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const sendNotificationToUser = require('./pushNotifications').sendNotificationToUser;
 try {
   admin.initializeApp();
 } catch (e) {}
@@ -34,16 +35,7 @@ exports.default = functions.database.ref('/followers/{followedUid}/{followerUid}
         return console.log('User ', followerUid, 'un-followed user', followedUid);
       }
       const followedUserRef = admin.database().ref(`people/${followedUid}`);
-      console.log('We have a new follower UID:', followerUid, 'for user:', followerUid);
-
-      // Check if the user has notifications enabled.
-      const enabledSnap = await followedUserRef.child('/notificationEnabled').once('value');
-      const notificationsEnabled = enabledSnap.val();
-      if (!notificationsEnabled) {
-        console.log('The user has not enabled notifications.');
-        return;
-      }
-      console.log('User has notifications enabled.');
+      console.log('We have a new follower UID:', followerUid, 'for user:', followedUid);
 
       // Check if we already sent that notification.
       const snap = await followedUserRef.child(`/notificationsSent/${followerUid}`).once('value');
@@ -52,21 +44,8 @@ exports.default = functions.database.ref('/followers/{followedUid}/{followerUid}
       }
       console.log('Not yet sent a notification to', followedUid, 'for this follower.');
 
-      // Get the list of device notification tokens.
-      const getNotificationTokensPromise = followedUserRef.child('notificationTokens').once('value');
-
       // Get the follower profile.
-      const getFollowerProfilePromise = admin.auth().getUser(followerUid);
-
-      const results = await Promise.all([getNotificationTokensPromise, getFollowerProfilePromise]);
-      const tokensSnapshot = results[0];
-      const follower = results[1];
-
-      // Check if there are any device tokens.
-      if (!tokensSnapshot.hasChildren()) {
-        return console.log('There are no notification tokens to send to.');
-      }
-      console.log('There are', tokensSnapshot.numChildren(), 'tokens to send notifications to.');
+      const follower = await admin.auth().getUser(followerUid);
       console.log('Fetched follower profile', follower);
       const displayName = follower.displayName;
       const profilePic = follower.photoURL;
@@ -81,44 +60,13 @@ exports.default = functions.database.ref('/followers/{followedUid}/{followerUid}
         },
       };
 
-      // Listing all device tokens of the user to notify.
-      const tokens = Object.keys(tokensSnapshot.val());
+      // Send notifications to all devices of the user if they want to be notified of new followers.
+      const sent = await sendNotificationToUser(followedUid, payload, 'follows');
+      if (!sent) {
+        return null;
+      }
 
       // Saves the flag that this notification has been sent.
-      const setNotificationsSentTask = followedUserRef.child(`/notificationsSent/${followerUid}`)
-          .set(admin.database.ServerValue.TIMESTAMP).then(() => {
-            console.log('Marked notification as sent.');
-          });
-
-      // Send notifications to all tokens.
-      const notificationPromise = admin.messaging().sendToDevice(tokens, payload).then(
-          (response) => removeBadTokens(response, tokens));
-
-      return Promise.all([notificationPromise, setNotificationsSentTask]);
+      await followedUserRef.child(`/notificationsSent/${followerUid}`).set(admin.database.ServerValue.TIMESTAMP);
+      return console.log('Marked notification as sent.');
     });
-
-// Given a response object from the FCM API, remove all invalid tokens.
-async function removeBadTokens(response, tokens) {
-  // For each message check if there was an error.
-  const tokensToRemove = {};
-  response.results.forEach((result, index) => {
-    const error = result.error;
-    if (error) {
-      // Cleanup the tokens who are not registered anymore.
-      if (error.code === 'messaging/invalid-registration-token' ||
-          error.code === 'messaging/registration-token-not-registered') {
-        console.log('The following token is not registered anymore', tokens[index]);
-        tokensToRemove[`/people/${followedUid}/notificationTokens/${tokens[index]}`] = null;
-      } else {
-        console.error('Failure sending notification to', tokens[index], error);
-      }
-    }
-  });
-  // If there are tokens to cleanup.
-  const nbTokensToCleanup = Object.keys(tokensToRemove).length;
-  if (nbTokensToCleanup > 0) {
-    await admin.database().ref().update(tokensToRemove);
-    console.log(`Removed ${nbTokensToCleanup} unregistered tokens.`);
-  }
-  console.log(`Successfully sent ${tokens.length - nbTokensToCleanup} notifications.`);
-}
@@ -0,0 +1,98 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const promisePool = require('es6-promise-pool');
+const PromisePool = promisePool.PromisePool;
+const secureCompare = require('secure-compare');
+// Maximum concurrent stories deletions.
+const MAX_CONCURRENT = 3;
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * Deletes all the expired stories, their views and their images.
+ */
+exports.deleteExpiredStories = functions.runWith({memory: '2GB', timeoutSeconds: 540}).https.onRequest(
+    async (req, res) => {
+      const key = req.query.key;
+
+      // Exit if the keys don't match.
+      if (!secureCompare(key, functions.config().cron.key)) {
+        console.log('The key provided in the request does not match the key set in the environment. Check that', key,
+            'matches the cron.key attribute in `firebase env:get`');
+        res.status(403).send('Security key does not match. Make sure your "key" URL query parameter matches the ' +
+            'cron.key environment variable.');
+        return null;
+      }
+
+      const nbStoriesDeleted = await deleteExpiredStories();
+      console.log(`${nbStoriesDeleted} expired stories deleted`);
+      res.send(`${nbStoriesDeleted} expired stories deleted`);
+    });
+
+/**
+ * Deletes the stories which `expires_at` is in the past. Returns a promise which resolves with the
+ * number of stories deleted.
+ */
+async function deleteExpiredStories() {
+  const now = Date.now();
+  const snap = await admin.database().ref('/stories').once('value');
+  const expiredStories = [];
+
+  snap.forEach((userStoriesSnap) => {
+    userStoriesSnap.forEach((storySnap) => {
+      // Stories without an expiration date are malformed so they are deleted as well.
+      if (!(storySnap.child('expires_at').val() > now)) {
+        expiredStories.push({uid: userStoriesSnap.key, storyId: storySnap.key});
+      }
+    });
+  });
+
+  console.log('Number of expired stories to delete:', expiredStories.length);
+
+  const pool = new PromisePool(() => deleteStory(expiredStories), MAX_CONCURRENT);
+  await pool.start();
+  return expiredStories.length;
+}
+
+/**
+ * Deletes the next story of the given list of stories.
+ */
+function deleteStory(stories) {
+  if (stories.length === 0) {
+    return null;
+  }
+
+  const story = stories.pop();
+
+  console.log(`Deleting story ${story.storyId}`);
+  const updateObj = {};
+  updateObj[`/stories/${story.uid}/${story.storyId}`] = null;
+  updateObj[`/storyViews/${story.uid}/${story.storyId}`] = null;
+  const deleteFromDatabase = admin.database().ref().update(updateObj);
+
+  // Delete the story's image stored in Storage.
+  const deleteFromStorage = admin.storage().bucket().deleteFiles({prefix: `${story.uid}/story/${story.storyId}/`});
+
+  return Promise.all([deleteFromDatabase, deleteFromStorage]).catch((error) => {
+    console.error('Deletion of expired story', story.storyId, 'failed:', error);
+    return null;
+  });
+}
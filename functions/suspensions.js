@@ -0,0 +1,145 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const secureCompare = require('secure-compare');
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * Suspends the given user until `expiresAt`, or bans them if `expiresAt` is `null`. The suspension is
+ * recorded under `/suspensions/{uid}` with its reason and the UID of the admin who suspended them,
+ * which the Database rules enforce right away. The user also gets a `suspended` custom claim, keeping
+ * their other claims, for the Storage rules and their refresh tokens are revoked so that they can't
+ * get a new ID token without it.
+ */
+async function suspend(uid, reason, adminUid, expiresAt) {
+  await admin.database().ref(`/suspensions/${uid}`).set({
+    reason: reason || null,
+    suspended_by: adminUid,
+    suspended_at: admin.database.ServerValue.TIMESTAMP,
+    expires_at: expiresAt,
+  });
+  const user = await admin.auth().getUser(uid);
+  await admin.auth().setCustomUserClaims(uid, Object.assign({}, user.customClaims, {suspended: true}));
+  await admin.auth().revokeRefreshTokens(uid);
+  console.log(`User ${uid} ${expiresAt ? `suspended until ${new Date(expiresAt).toISOString()}` : 'banned'} by ${adminUid}.`);
+}
+exports.suspend = suspend;
+
+/**
+ * Lifts the suspension or ban of the given user.
+ */
+async function reinstate(uid) {
+  const user = await admin.auth().getUser(uid);
+  const claims = Object.assign({}, user.customClaims);
+  delete claims.suspended;
+  await admin.auth().setCustomUserClaims(uid, claims);
+  await admin.database().ref(`/suspensions/${uid}`).remove();
+  console.log(`User ${uid} reinstated.`);
+}
+
+/**
+ * Checks that the callable function was called by an admin and that the target user isn't one.
+ * Returns the UID of the target user.
+ */
+async function checkSuspensionRequest(data, context) {
+  if (!context.auth || context.auth.token.admin !== true) {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can suspend users.');
+  }
+  if (typeof data.uid !== 'string' || data.uid === context.auth.uid) {
+    throw new functions.https.HttpsError('invalid-argument', 'Unknown user.');
+  }
+  let user;
+  try {
+    user = await admin.auth().getUser(data.uid);
+  } catch (error) {
+    throw new functions.https.HttpsError('not-found', 'This user does not exist.');
+  }
+  if (user.customClaims && user.customClaims.admin === true) {
+    throw new functions.https.HttpsError('failed-precondition', 'Admins can\'t be suspended.');
+  }
+  return data.uid;
+}
+
+/**
+ * Suspends the user `data.uid` until the `data.expiresAt` timestamp for the reason `data.reason`.
+ * Suspended users can't post, comment, like, follow or send messages. Only admins can suspend users.
+ */
+exports.suspendUser = functions.https.onCall(async (data, context) => {
+  const uid = await checkSuspensionRequest(data, context);
+  if (typeof data.expiresAt !== 'number' || data.expiresAt <= Date.now()) {
+    throw new functions.https.HttpsError('invalid-argument', 'The suspension must expire in the future.');
+  }
+  await suspend(uid, data.reason, context.auth.uid, data.expiresAt);
+  return {uid: uid};
+});
+
+/**
+ * Suspends the user `data.uid` indefinitely for the reason `data.reason`. Only admins can ban users.
+ */
+exports.banUser = functions.https.onCall(async (data, context) => {
+  const uid = await checkSuspensionRequest(data, context);
+  await suspend(uid, data.reason, context.auth.uid, null);
+  return {uid: uid};
+});
+
+/**
+ * Lifts the suspension or ban of the user `data.uid`. Only admins can reinstate users.
+ */
+exports.reinstateUser = functions.https.onCall(async (data, context) => {
+  const uid = await checkSuspensionRequest(data, context);
+  await reinstate(uid);
+  return {uid: uid};
+});
+
+/**
+ * Reinstates the users whose suspension has expired. Call it regularly, for instance every hour
+ * from a cron service.
+ */
+exports.reinstateExpiredSuspensions = functions.https.onRequest(async (req, res) => {
+  const key = req.query.key;
+
+  // Exit if the keys don't match.
+  if (!secureCompare(key, functions.config().cron.key)) {
+    console.log('The key provided in the request does not match the key set in the environment. Check that', key,
+        'matches the cron.key attribute in `firebase env:get`');
+    res.status(403).send('Security key does not match. Make sure your "key" URL query parameter matches the ' +
+        'cron.key environment variable.');
+    return null;
+  }
+
+  // Bans have no expiry and are sorted before the timestamps so they are skipped.
+  const expiredSnap = await admin.database().ref('/suspensions').orderByChild('expires_at')
+      .startAt(0).endAt(Date.now()).once('value');
+  const uids = [];
+  expiredSnap.forEach((suspensionSnap) => {
+    uids.push(suspensionSnap.key);
+  });
+  for (const uid of uids) {
+    try {
+      await reinstate(uid);
+    } catch (error) {
+      console.error(`There was an error reinstating user ${uid}.`, error);
+    }
+  }
+
+  console.log(`${uids.length} expired suspensions lifted`);
+  res.send(`${uids.length} expired suspensions lifted`);
+});
@@ -0,0 +1,123 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const secureCompare = require('secure-compare');
+const hashtagsIndexer = require('./hashtagsIndexer');
+const privateAccounts = require('./privateAccounts');
+// The sliding windows over which trending hashtags are computed and their duration.
+const WINDOWS = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+};
+// Number of trending hashtags kept per window.
+const MAX_TRENDING_HASHTAGS = 10;
+// Number of top posts kept per trending hashtag.
+const MAX_TOP_POSTS = 6;
+try {
+  admin.initializeApp();
+} catch (e) {}
+
+/**
+ * Computes the trending hashtags of each window and saves them under `/trending/{window}`. Call it
+ * regularly, for instance every 15 minutes from a cron service.
+ */
+exports.computeTrendingHashtags = functions.runWith({memory: '2GB', timeoutSeconds: 540}).https.onRequest(
+    async (req, res) => {
+      const key = req.query.key;
+
+      // Exit if the keys don't match.
+      if (!secureCompare(key, functions.config().cron.key)) {
+        console.log('The key provided in the request does not match the key set in the environment. Check that', key,
+            'matches the cron.key attribute in `firebase env:get`');
+        res.status(403).send('Security key does not match. Make sure your "key" URL query parameter matches the ' +
+            'cron.key environment variable.');
+        return null;
+      }
+
+      const now = Date.now();
+      const posts = await getRecentPublicPosts(now - Math.max(...Object.values(WINDOWS)));
+      const trending = {};
+      Object.keys(WINDOWS).forEach((window) => {
+        trending[window] = {
+          hashtags: getTrendingHashtags(posts, now, WINDOWS[window]),
+          updated_at: now,
+        };
+      });
+      await admin.database().ref('/trending').set(trending);
+
+      console.log(`Trending hashtags computed from ${posts.length} posts`);
+      res.send(`Trending hashtags computed from ${posts.length} posts`);
+    });
+
+/**
+ * Returns the posts of public accounts created after the given time with their hashtags.
+ */
+async function getRecentPublicPosts(startTime) {
+  const snap = await admin.database().ref('/posts').orderByChild('timestamp').startAt(startTime).once('value');
+  const posts = [];
+  snap.forEach((postSnap) => {
+    const hashtags = hashtagsIndexer.getHashtags(postSnap.child('text').val() || '');
+    if (hashtags.length > 0) {
+      posts.push({
+        id: postSnap.key,
+        authorUid: postSnap.child('author/uid').val(),
+        timestamp: postSnap.child('timestamp').val(),
+        likesCount: postSnap.child('likes_count').val() || 0,
+        hashtags: hashtags,
+      });
+    }
+  });
+
+  // Posts of private accounts are not listed in the hashtags so they can't trend.
+  const authorUids = posts.map((post) => post.authorUid).filter((uid, index, uids) => uids.indexOf(uid) === index);
+  const privateUids = {};
+  await Promise.all(authorUids.map(async (uid) => {
+    privateUids[uid] = await privateAccounts.isPrivateAccount(uid);
+  }));
+  return posts.filter((post) => !privateUids[post.authorUid]);
+}
+
+/**
+ * Returns the trending hashtags over the given window, most trending first, with their score and
+ * their top posts. Each post counts for its hashtags with a weight which grows with its likes and
+ * decreases linearly with its age over the window.
+ */
+function getTrendingHashtags(posts, now, windowDuration) {
+  const hashtags = {};
+  posts.forEach((post) => {
+    const age = now - post.timestamp;
+    if (age < 0 || age > windowDuration) {
+      return;
+    }
+    const weight = (1 + post.likesCount) * (1 - age / windowDuration);
+    post.hashtags.forEach((hashtag) => {
+      hashtags[hashtag] = hashtags[hashtag] || {hashtag: hashtag, score: 0, posts: []};
+      hashtags[hashtag].score += weight;
+      hashtags[hashtag].posts.push({id: post.id, weight: weight});
+    });
+  });
+
+  return Object.keys(hashtags).map((hashtag) => hashtags[hashtag])
+      .sort((a, b) => b.score - a.score).slice(0, MAX_TRENDING_HASHTAGS).map((trend) => ({
+        hashtag: trend.hashtag,
+        score: trend.score,
+        post_ids: trend.posts.sort((a, b) => b.weight - a.weight).slice(0, MAX_TOP_POSTS).map((post) => post.id),
+      }));
+}
@@ -0,0 +1,124 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+try {
+  admin.initializeApp();
+} catch (e) {}
+const mkdirp = require('mkdirp-promise');
+const spawn = require('child-process-promise').spawn;
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+// Maximum duration of videos in seconds.
+const MAX_DURATION_SECONDS = 30;
+// Maximum size of videos in MB.
+const MAX_SIZE_MB = 50;
+
+/**
+ * When a video is uploaded we check that it is not too large or too long using ffprobe. If it is
+ * we delete the video and its post.
+ */
+exports.default = functions.runWith({memory: '1GB', timeoutSeconds: 120}).storage.object().onFinalize(
+    async (object) => {
+      const filePathSplit = object.name.split('/');
+      if (filePathSplit.length !== 4 || filePathSplit[1] !== 'video') {
+        return null;
+      }
+      const uid = filePathSplit[0];
+      const postId = filePathSplit[2];
+
+      const rejectionReason = await getRejectionReason(object);
+      if (!rejectionReason) {
+        return console.log('The video', object.name, 'has been validated.');
+      }
+      console.log('Rejecting the video', object.name, 'as', rejectionReason);
+      return rejectVideo(uid, postId, object.bucket);
+    });
+
+/**
+ * Returns the reason why the given uploaded video can't be posted or `null` if it is valid.
+ */
+async function getRejectionReason(object) {
+  if (!object.contentType || !object.contentType.startsWith('video/')) {
+    return `its content type is ${object.contentType}.`;
+  }
+  if (parseInt(object.size, 10) > MAX_SIZE_MB * 1024 * 1024) {
+    return `it is ${object.size} bytes large.`;
+  }
+  const duration = await getVideoDuration(object.name, object.bucket);
+  if (isNaN(duration)) {
+    return 'its duration could not be read.';
+  }
+  if (duration > MAX_DURATION_SECONDS) {
+    return `it is ${duration} seconds long.`;
+  }
+  return null;
+}
+
+/**
+ * Returns the duration in seconds of the given video located in the given bucket using ffprobe.
+ */
+async function getVideoDuration(filePath, bucketName) {
+  const tempLocalFile = path.join(os.tmpdir(), filePath);
+  const tempLocalDir = path.dirname(tempLocalFile);
+  const bucket = admin.storage().bucket(bucketName);
+
+  // Create the temp directory where the storage file will be downloaded.
+  await mkdirp(tempLocalDir);
+  // Download file from bucket.
+  await bucket.file(filePath).download({destination: tempLocalFile});
+  console.log('The file has been downloaded to', tempLocalFile);
+  try {
+    // Read the video's duration using ffprobe.
+    const result = await spawn('ffprobe', ['-v', 'error', '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1', tempLocalFile], {capture: ['stdout']});
+    return parseFloat(result.stdout);
+  } catch (error) {
+    console.error('ffprobe could not read the video', error);
+    return NaN;
+  } finally {
+    fs.unlinkSync(tempLocalFile);
+    console.log('Deleted local file', tempLocalFile);
+  }
+}
+
+/**
+ * Deletes the post of the given rejected video as well as all its files. The post ID is also
+ * marked as rejected so that the post can't be created if the upload of the other files has not
+ * completed yet.
+ */
+async function rejectVideo(uid, postId, bucketName) {
+  await admin.database().ref(`/rejectedVideos/${postId}`).set(admin.database.ServerValue.TIMESTAMP);
+
+  const updateObj = {};
+  updateObj[`/people/${uid}/posts/${postId}`] = null;
+  updateObj[`/comments/${postId}`] = null;
+  updateObj[`/likes/${postId}`] = null;
+  updateObj[`/posts/${postId}`] = null;
+  updateObj[`/feed/${uid}/${postId}`] = null;
+  const bucket = admin.storage().bucket(bucketName);
+  await Promise.all([
+    admin.database().ref().update(updateObj),
+    bucket.deleteFiles({prefix: `${uid}/video/${postId}/`}),
+    bucket.deleteFiles({prefix: `${uid}/full/${postId}/`}),
+    bucket.deleteFiles({prefix: `${uid}/thumb/${postId}/`}),
+  ]);
+  console.log('Post', postId, 'and its files have been deleted.');
+}
@@ -0,0 +1,266 @@
+/**
+ * Copyright 2015 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+import $ from 'jquery';
+import firebase from 'firebase/app';
+import 'firebase/auth';
+import page from 'page';
+import {Utils} from './Utils';
+import Post from './Post';
+
+/**
+ * Handles the activity stream UI and the unread activity badge.
+ */
+export default class ActivityFeed {
+  /**
+   * Initializes the activity stream UI.
+   * @constructor
+   */
+  constructor(firebaseHelper) {
+    this.firebaseHelper = firebaseHelper;
+    // Groups of activity items currently displayed, keyed by group key.
+    this.groups = {};
+
+    // Firebase SDK.
+    this.auth = firebase.auth();
+
+    // DOM Elements.
+    this.activityPage = $('#page-activity');
+    this.activityContainer = $('.fp-activity-container', this.activityPage);
+    this.noActivity = $('.fp-no-activity', this.activityPage);
+    this.nextPageButton = $('.fp-next-page-button button', this.activityPage);
+    this.markAllReadButton = $('.fp-mark-all-read', this.activityPage);
+    this.unreadBadges = $('.fp-activity-badge');
+
+    // Event bindings.
+    this.markAllReadButton.click(() => this.markAllAsRead());
+    this.auth.onAuthStateChanged(() => this.trackUnreadCount());
+  }
+
+  /**
+   * Starts listening to the number of unread activity items of the signed-in user and displays it
+   * in the badges.
+   */
+  trackUnreadCount() {
+    if (this.stopTrackingUnreadCount) {
+      this.stopTrackingUnreadCount();
+      this.stopTrackingUnreadCount = null;
+    }
+    this.unreadBadges.removeAttr('data-badge');
+    if (this.auth.currentUser) {
+      this.stopTrackingUnreadCount = this.firebaseHelper.registerForUnreadNotificationsCount((nbUnread) => {
+        if (nbUnread > 0) {
+          this.unreadBadges.attr('data-badge', nbUnread);
+        } else {
+          this.unreadBadges.removeAttr('data-badge');
+        }
+      });
+    }
+  }
+
+  /**
+   * Displays the activity stream of the signed-in user.
+   */
+  async showActivity() {
+    const data = await this.firebaseHelper.getNotifications();
+    // Reset the UI.
+    this.clear();
+
+    if (Object.keys(data.entries).length === 0) {
+      this.noActivity.show();
+    }
+    this.addNotifications(data.entries);
+    this.toggleNextPageButton(data.nextPage);
+  }
+
+  /**
+   * Adds the given activity items to their group, creating the groups if needed.
+   */
+  addNotifications(notifications) {
+    const notificationIds = Object.keys(notifications);
+    for (let i = notificationIds.length - 1; i >= 0; i--) {
+      const notification = notifications[notificationIds[i]];
+      const groupKey = ActivityFeed.getGroupKey(notification);
+      let group = this.groups[groupKey];
+      if (!group) {
+        group = {notifications: {}, element: $('<div>')};
+        this.groups[groupKey] = group;
+        this.activityContainer.append(group.element);
+      }
+      group.notifications[notificationIds[i]] = notification;
+      const element = this.createGroupElement(group);
+      group.element.replaceWith(element);
+      group.element = element;
+    }
+  }
+
+  /**
+   * Shows the "load next page" button and binds it the `nextPage` callback. If `nextPage` is `null`
+   * then the button is hidden.
+   */
+  toggleNextPageButton(nextPage) {
+    if (nextPage) {
+      this.nextPageButton.show();
+      this.nextPageButton.unbind('click');
+      this.nextPageButton.prop('disabled', false);
+      this.nextPageButton.click(async () => {
+        this.nextPageButton.prop('disabled', true);
+        const data = await nextPage();
+        this.addNotifications(data.entries);
+        this.toggleNextPageButton(data.nextPage);
+      });
+    } else {
+      this.nextPageButton.hide();
+    }
+  }
+
+  /**
+   * Marks all the activity items of the user as read.
+   */
+  async markAllAsRead() {
+    this.markAllReadButton.prop('disabled', true);
+    try {
+      await this.firebaseHelper.markAllNotificationsAsRead();
+      Object.keys(this.groups).forEach((groupKey) => this.markGroupAsRead(this.groups[groupKey]));
+    } catch (error) {
+      console.error('Error while marking activity as read', error);
+    }
+    this.markAllReadButton.prop('disabled', false);
+  }
+
+  /**
+   * Marks all the activity items of the given group as read.
+   */
+  markGroupAsRead(group) {
+    const unreadIds = Object.keys(group.notifications).filter((id) => !group.notifications[id].read);
+    unreadIds.forEach((id) => group.notifications[id].read = true);
+    group.element.removeClass('fp-activity-unread');
+    if (unreadIds.length === 0) {
+      return Promise.resolve();
+    }
+    return this.firebaseHelper.markNotificationsAsRead(unreadIds);
+  }
+
+  /**
+   * Clears the UI.
+   */
+  clear() {
+    this.groups = {};
+    this.activityContainer.empty();
+
+    // Cancel all Firebase listeners.
+    this.firebaseHelper.cancelAllSubscriptions();
+
+    // Hides the "Load Next Page" button.
+    this.nextPageButton.hide();
+
+    // Hide the "No activity" message.
+    this.noActivity.hide();
+  }
+
+  /**
+   * Returns the key of the group of the given activity item. Likes and comments on the same post,
+   * replies to the same comment and new followers are grouped together.
+   */
+  static getGroupKey(notification) {
+    if (notification.type === 'follow') {
+      return 'follow';
+    }
+    if (notification.type === 'reply') {
+      return `reply/${notification.post_id}/${notification.comment_id}`;
+    }
+    return `${notification.type}/${notification.post_id}`;
+  }
+
+  /**
+   * Returns the text describing the given group of activity items, e.g. "Ana and 4 others liked your
+   * photo".
+   */
+  static getGroupText(type, actorNames) {
+    let names = actorNames[0];
+    if (actorNames.length === 2) {
+      names = `${actorNames[0]} and ${actorNames[1]}`;
+    } else if (actorNames.length > 2) {
+      names = `${actorNames[0]} and ${actorNames.length - 1} others`;
+    }
+    switch (type) {
+      case 'follow':
+        return `${names} started following you`;
+      case 'like':
+        return `${names} liked your photo`;
+      case 'comment':
+        return `${names} commented on your photo`;
+      case 'reply':
+        return `${names} replied to your comment`;
+      case 'warning':
+        return `${names} reviewed content you posted which was reported`;
+      case 'appeal_accepted':
+        return `${names} accepted your appeal and restored your post`;
+      case 'appeal_rejected':
+        return `${names} reviewed your appeal and kept the moderation of your post`;
+    }
+    return names;
+  }
+
+  /**
+   * Returns the element displaying the given group of activity items.
+   */
+  createGroupElement(group) {
+    const notificationIds = Object.keys(group.notifications).sort().reverse();
+    const latest = group.notifications[notificationIds[0]];
+    // Each person is only listed once, starting with the most recent one.
+    const actorNames = [];
+    const actorUids = [];
+    notificationIds.forEach((id) => {
+      const actor = group.notifications[id].actor || {};
+      if (actorUids.indexOf(actor.uid) === -1) {
+        actorUids.push(actor.uid);
+        actorNames.push(actor.full_name || 'Anonymous');
+      }
+    });
+    const isUnread = notificationIds.some((id) => !group.notifications[id].read);
+    const link = latest.type === 'follow' ? `/user/${latest.actor.uid}` : `/post/${latest.post_id}`;
+
+    const element = $(`
+        <a class="fp-activity mdl-shadow--2dp mdl-cell mdl-cell--12-col">
+          <div class="fp-avatar"></div>
+          <div class="fp-activity-text"></div>
+          <div class="fp-activity-time"></div>
+          <div class="fp-activity-thumb"></div>
+        </a>`);
+    element.attr('href', link);
+    element.toggleClass('fp-activity-unread', isUnread);
+    $('.fp-avatar', element).css('background-image',
+        `url(${Utils.addSizeToGoogleProfilePic(latest.actor.profile_picture || '/images/silhouette.jpg')})`);
+    // Moderators can explain the reason of their decisions.
+    $('.fp-activity-text', element).text(ActivityFeed.getGroupText(latest.type, actorNames) +
+        (latest.reason ? `: ${latest.reason}` : ''));
+    $('.fp-activity-time', element).text(Post.getTimeText(latest.timestamp));
+    if (latest.thumb_url) {
+      $('.fp-activity-thumb', element).css('background-image',
+          `url("${latest.thumb_url.replace(/"/g, '\\"')}")`);
+    } else {
+      $('.fp-activity-thumb', element).hide();
+    }
+    element.click(async (e) => {
+      e.preventDefault();
+      await this.markGroupAsRead(group);
+      page(link);
+    });
+    return element;
+  }
+}
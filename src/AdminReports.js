@@ -0,0 +1,243 @@
+/**
+ * Copyright 2015 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+import $ from 'jquery';
+import firebase from 'firebase/app';
+import 'firebase/auth';
+import page from 'page';
+import swal from 'sweetalert';
+import {MaterialUtils, Utils} from './Utils';
+
+/**
+ * Handles the admin moderation dashboard listing the flagged posts and comments and the appeals of
+ * the authors of moderated posts.
+ */
+export default class AdminReports {
+  /**
+   * The moderation actions and the label of their buttons.
+   * @return {Object}
+   */
+  static get ACTIONS() {
+    return {
+      dismiss: 'Dismiss',
+      delete: 'Delete',
+      blur: 'Blur image',
+      warn: 'Warn user',
+      suspend: 'Suspend user',
+    };
+  }
+
+  /**
+   * Initializes the moderation dashboard UI.
+   * @constructor
+   */
+  constructor(firebaseHelper) {
+    this.firebaseHelper = firebaseHelper;
+
+    // Firebase SDK.
+    this.auth = firebase.auth();
+
+    // DOM Elements.
+    this.reportsPage = $('#page-admin-reports');
+    this.reportsContainer = $('.fp-reports-container', this.reportsPage);
+    this.noReports = $('.fp-no-reports', this.reportsPage);
+    this.appealsContainer = $('.fp-appeals-container', this.reportsPage);
+    this.noAppeals = $('.fp-no-appeals', this.reportsPage);
+    this.toast = $('.mdl-js-snackbar');
+  }
+
+  /**
+   * Displays the flagged posts and comments and the pending appeals. Users who are not admins are
+   * redirected to their home feed.
+   */
+  async showReports() {
+    const idTokenResult = await this.auth.currentUser.getIdTokenResult();
+    if (idTokenResult.claims.admin !== true) {
+      page('/home');
+      return;
+    }
+    const results = await Promise.all([
+      this.firebaseHelper.getFlaggedContent(),
+      this.firebaseHelper.getPendingAppeals(),
+    ]);
+    const reports = results[0];
+    const appeals = results[1];
+    // Reset the UI.
+    this.clear();
+
+    reports.forEach((report) => this.reportsContainer.append(this.createReportElement(report)));
+    this.noReports.toggle(reports.length === 0);
+    appeals.forEach((appeal) => this.appealsContainer.append(this.createAppealElement(appeal)));
+    this.noAppeals.toggle(appeals.length === 0);
+  }
+
+  /**
+   * Returns the element displaying the given report with the moderation actions.
+   */
+  createReportElement(report) {
+    const content = (report.commentId ? report.comment : report.post) || {};
+    const author = content.author || {};
+    const element = $(`
+        <div class="fp-report mdl-card mdl-shadow--2dp mdl-cell mdl-cell--12-col">
+          <a class="fp-report-thumb"></a>
+          <div class="fp-report-details">
+            <div class="fp-report-summary"></div>
+            <a class="fp-report-author"></a>
+            <div class="fp-report-text"></div>
+            <div class="fp-report-actions"></div>
+          </div>
+        </div>`);
+    const nbReports = `${report.nbReports} report${report.nbReports > 1 ? 's' : ''}`;
+    const hiddenText = content.hidden_pending_review ? ' - Hidden pending review' : '';
+    $('.fp-report-summary', element).text(`${report.commentId ? 'Comment' : 'Post'} - ${nbReports}${hiddenText}`);
+    $('.fp-report-author', element).attr('href', `/user/${author.uid}`).text(author.full_name || 'Anonymous');
+    $('.fp-report-text', element).text(content.text || (report.comment || report.post ? '' : 'This content was deleted.'));
+    $('.fp-report-thumb', element).attr('href', `/post/${report.postId}`);
+    if (report.post && report.post.thumb_url) {
+      $('.fp-report-thumb', element).css('background-image',
+          `url("${report.post.thumb_url.replace(/"/g, '\\"')}")`);
+    }
+
+    Object.keys(AdminReports.ACTIONS).forEach((action) => {
+      // Only posts have images and deleted content can only be dismissed.
+      if ((action === 'blur' && report.commentId) || (action !== 'dismiss' && !content.author)) {
+        return;
+      }
+      const button = $('<button class="mdl-button mdl-js-button"></button>');
+      button.text(AdminReports.ACTIONS[action]);
+      button.click(() => this.moderate(action, report, element));
+      $('.fp-report-actions', element).append(button);
+    });
+    return element;
+  }
+
+  /**
+   * Returns the element displaying the given appeal with the buttons to accept or reject it.
+   */
+  createAppealElement(appeal) {
+    const post = appeal.post || {};
+    const element = $(`
+        <div class="fp-report mdl-card mdl-shadow--2dp mdl-cell mdl-cell--12-col">
+          <a class="fp-report-thumb"></a>
+          <div class="fp-report-details">
+            <div class="fp-report-summary"></div>
+            <a class="fp-report-author"></a>
+            <div class="fp-report-text"></div>
+            <div class="fp-appeal-reason"></div>
+            <div class="fp-report-actions">
+              <button class="fp-accept-appeal mdl-button mdl-js-button">Restore original</button>
+              <button class="fp-reject-appeal mdl-button mdl-js-button">Reject</button>
+            </div>
+          </div>
+        </div>`);
+    const moderations = [];
+    if (post.moderated) {
+      moderations.push('caption moderated');
+    }
+    if (post.blurred) {
+      moderations.push('images blurred');
+    }
+    $('.fp-report-summary', element).text(`Post - ${moderations.join(', ') || 'no longer moderated'}`);
+    $('.fp-report-author', element).attr('href', `/user/${appeal.appeal.author_uid}`)
+        .text((post.author && post.author.full_name) || 'Anonymous');
+    $('.fp-report-text', element).text(post.text || 'This content was deleted.');
+    $('.fp-appeal-reason', element).text(`Appeal: ${appeal.appeal.reason}`);
+    $('.fp-report-thumb', element).attr('href', `/post/${appeal.postId}`);
+    if (post.thumb_url) {
+      $('.fp-report-thumb', element).css('background-image', `url("${post.thumb_url.replace(/"/g, '\\"')}")`);
+    }
+    $('.fp-accept-appeal', element).click(() => this.resolveAppeal(appeal.postId, true, element));
+    $('.fp-reject-appeal', element).click(() => this.resolveAppeal(appeal.postId, false, element));
+    return element;
+  }
+
+  /**
+   * Accepts or rejects the appeal on the given post once confirmed and removes it from the list.
+   */
+  async resolveAppeal(postId, accept, element) {
+    const message = await swal({
+      title: accept ? 'Restore original' : 'Reject appeal',
+      text: 'Optionally explain your decision to the author.',
+      content: 'input',
+      buttons: ['Cancel', 'Confirm'],
+      closeOnEsc: true,
+    });
+    // The dialog was cancelled.
+    if (message === null) {
+      return;
+    }
+
+    $('button', element).prop('disabled', true);
+    try {
+      await this.firebaseHelper.resolveAppeal(postId, accept, message || null);
+      element.remove();
+      this.noAppeals.toggle($('.fp-report', this.appealsContainer).length === 0);
+    } catch (error) {
+      console.error(error);
+      $('button', element).prop('disabled', false);
+      MaterialUtils.showSnackbar(this.toast, {
+        message: `The appeal could not be resolved: ${Utils.escapeHtml(error.message)}`,
+        timeout: 5000,
+      });
+    }
+  }
+
+  /**
+   * Applies the given moderation action on the content of the given report once confirmed and
+   * removes the report from the list.
+   */
+  async moderate(action, report, element) {
+    let reason = null;
+    if (action !== 'dismiss') {
+      reason = await swal({
+        title: AdminReports.ACTIONS[action],
+        text: 'Optionally explain the reason of this decision. It will be shown to the author for warnings.',
+        content: 'input',
+        buttons: ['Cancel', 'Confirm'],
+        closeOnEsc: true,
+      });
+      // The dialog was cancelled.
+      if (reason === null) {
+        return;
+      }
+    }
+
+    $('button', element).prop('disabled', true);
+    try {
+      await this.firebaseHelper.moderateContent(action, report.postId, report.commentId, reason || null);
+      element.remove();
+      this.noReports.toggle($('.fp-report', this.reportsContainer).length === 0);
+    } catch (error) {
+      console.error(error);
+      $('button', element).prop('disabled', false);
+      MaterialUtils.showSnackbar(this.toast, {
+        message: `The action could not be applied: ${Utils.escapeHtml(error.message)}`,
+        timeout: 5000,
+      });
+    }
+  }
+
+  /**
+   * Clears the UI.
+   */
+  clear() {
+    this.reportsContainer.empty();
+    this.noReports.hide();
+    this.appealsContainer.empty();
+    this.noAppeals.hide();
+  }
+}
@@ -38,6 +38,8 @@ export default class AuthData {
     // Pointers to DOM Elements
     this.uploadButton = $('button#add');
     this.mobileUploadButton = $('button#add-floating');
+    this.suspensionBanner = $('.fp-suspension-banner');
+    this.suspensionText = $('.fp-suspension-text', this.suspensionBanner);
 
     this.auth.onAuthStateChanged((user) => this.onAuthStateChanged(user));
   }
@@ -47,6 +49,7 @@ export default class AuthData {
    * "Sign-In" button if the user isn't signed-in.
    */
   async onAuthStateChanged(user) {
+    this.trackSuspension();
     if (user) {
       this.firebaseHelper.updatePublicProfile();
       const snapshot = await this.firebaseHelper.getPrivacySettings(user.uid);
@@ -61,4 +64,54 @@ export default class AuthData {
       }
     }
   }
+
+  /**
+   * Starts listening to the suspension of the signed-in user and displays a banner explaining it
+   * while it lasts.
+   */
+  trackSuspension() {
+    if (this.stopTrackingSuspension) {
+      this.stopTrackingSuspension();
+      this.stopTrackingSuspension = null;
+    }
+    this.displaySuspension(null);
+    if (this.auth.currentUser) {
+      this.stopTrackingSuspension = this.firebaseHelper.registerForSuspension(async (suspension) => {
+        this.displaySuspension(suspension);
+        // The Storage security rules rely on the `suspended` claim of the ID token so we refresh it
+        // when it doesn't match the suspension status anymore. This signs out users whose refresh
+        // tokens were revoked when they got suspended.
+        const idTokenResult = await this.auth.currentUser.getIdTokenResult();
+        if ((idTokenResult.claims.suspended === true) !== (suspension !== null)) {
+          try {
+            await this.auth.currentUser.getIdToken(true);
+          } catch (error) {
+            console.log('Could not refresh the ID token:', error);
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Displays the banner explaining the given suspension or hides it if `suspension` is `null`.
+   */
+  displaySuspension(suspension) {
+    if (!suspension) {
+      document.body.classList.remove('fp-suspended');
+      this.suspensionBanner.hide();
+      return;
+    }
+    let text = suspension.expires_at ?
+        `Your account has been suspended until ${new Date(suspension.expires_at).toLocaleString()}.` :
+        'Your account has been banned.';
+    text += ' You can\'t post, comment, like, follow people or send messages';
+    text += suspension.expires_at ? ' until then.' : '.';
+    if (suspension.reason) {
+      text += ` Reason: ${suspension.reason}`;
+    }
+    document.body.classList.add('fp-suspended');
+    this.suspensionText.text(text);
+    this.suspensionBanner.show();
+  }
 };
@@ -0,0 +1,192 @@
+/**
+ * Copyright 2015 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+import $ from 'jquery';
+import firebase from 'firebase/app';
+import 'firebase/auth';
+import page from 'page';
+import Uploader from './Uploader';
+import {MaterialUtils, Utils} from './Utils';
+
+/**
+ * Handles the Edit profile page where users change their name, bio, website, profile picture and
+ * cover photo.
+ */
+export default class EditProfilePage {
+  /**
+   * @return {number}
+   */
+  static get AVATAR_IMAGE_SPECS() {
+    return {
+      maxDimension: 400,
+      quality: 0.9,
+    };
+  }
+
+  /**
+   * @return {number}
+   */
+  static get COVER_IMAGE_SPECS() {
+    return {
+      maxDimension: 1600,
+      quality: 0.8,
+    };
+  }
+
+  /**
+   * Initializes the Edit profile UI.
+   * @constructor
+   */
+  constructor(firebaseHelper) {
+    this.firebaseHelper = firebaseHelper;
+
+    // Firebase SDK.
+    this.auth = firebase.auth();
+
+    // The new images picked by the user and the URLs of their previews.
+    this.images = {};
+    this.previewUrls = [];
+
+    // DOM Elements.
+    this.editProfilePage = $('#page-edit-profile');
+    this.editProfileForm = $('.fp-edit-profile-form', this.editProfilePage);
+    this.coverPreview = $('.fp-edit-cover', this.editProfilePage);
+    this.avatarPreview = $('.fp-edit-avatar', this.editProfilePage);
+    this.coverInput = $('#fp-cover-input');
+    this.avatarInput = $('#fp-avatar-input');
+    this.fullNameInput = $('#fp-edit-full-name');
+    this.bioInput = $('#fp-edit-bio');
+    this.websiteInput = $('#fp-edit-website');
+    this.saveButton = $('.fp-save-profile', this.editProfilePage);
+    this.signedInUserAvatar = $('.fp-signed-in-user-container .fp-avatar');
+    this.signedInUsername = $('.fp-signed-in-user-container .fp-username');
+    this.toast = $('.mdl-js-snackbar');
+
+    // Event bindings.
+    this.coverInput.change((e) => this.onImageSelected(e, 'cover', this.coverPreview,
+        EditProfilePage.COVER_IMAGE_SPECS));
+    this.avatarInput.change((e) => this.onImageSelected(e, 'avatar', this.avatarPreview,
+        EditProfilePage.AVATAR_IMAGE_SPECS));
+    this.editProfileForm.submit((e) => {
+      e.preventDefault();
+      this.saveProfile();
+    });
+  }
+
+  /**
+   * Displays the current profile of the signed-in user in the form.
+   */
+  async showEditProfile() {
+    const snapshot = await this.firebaseHelper.loadUserProfile(this.auth.currentUser.uid);
+    // Reset the UI.
+    this.clear();
+
+    const profile = snapshot.val() || {};
+    this.fullNameInput.val(profile.full_name || this.auth.currentUser.displayName || '');
+    this.bioInput.val(profile.bio || '');
+    this.websiteInput.val(profile.website || '');
+    [this.fullNameInput, this.bioInput, this.websiteInput].forEach((input) => MaterialUtils.refreshTextField(input[0]));
+    this.avatarPreview.css('background-image',
+        `url("${Utils.addSizeToGoogleProfilePic(profile.profile_picture) || '/images/silhouette.jpg'}")`);
+    if (profile.cover_picture) {
+      this.coverPreview.css('background-image', `url("${profile.cover_picture}")`);
+    }
+  }
+
+  /**
+   * Scales down the image picked in the given file input and displays it in the given preview
+   * element. The image is uploaded when the profile is saved.
+   */
+  async onImageSelected(e, type, previewElement, specs) {
+    const file = e.target.files[0];
+    // Clear the selection in the file picker input so the same file can be picked again.
+    $(e.target).val('');
+    if (!file) {
+      return;
+    }
+    if (!file.type.match('image.*')) {
+      MaterialUtils.showSnackbar(this.toast, {message: 'You can only upload images.', timeout: 5000});
+      return;
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+      this.images[type] = await Uploader.generateScaledImage(url, specs);
+    } catch (error) {
+      console.error(error);
+      MaterialUtils.showSnackbar(this.toast, {message: 'This image could not be read.', timeout: 5000});
+      return;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+    const previewUrl = URL.createObjectURL(this.images[type]);
+    this.previewUrls.push(previewUrl);
+    previewElement.css('background-image', `url("${previewUrl}")`);
+  }
+
+  /**
+   * Saves the profile and uploads the new images then displays the user's profile page.
+   */
+  async saveProfile() {
+    const fullName = this.fullNameInput.val().trim();
+    const bio = this.bioInput.val().trim();
+    let website = this.websiteInput.val().trim();
+    if (!fullName) {
+      MaterialUtils.showSnackbar(this.toast, {message: 'Your name can\'t be empty.', timeout: 5000});
+      return;
+    }
+    if (website && !/^https?:\/\//i.test(website)) {
+      website = `https://${website}`;
+    }
+    if (website && !/^https?:\/\/[^ ]+$/i.test(website)) {
+      MaterialUtils.showSnackbar(this.toast, {message: 'This website address is not valid.', timeout: 5000});
+      return;
+    }
+
+    this.saveButton.prop('disabled', true);
+    try {
+      await this.firebaseHelper.updateProfile({fullName: fullName, bio: bio, website: website},
+          this.images.avatar, this.images.cover);
+      // Refresh the signed-in user's details in the header.
+      const user = this.auth.currentUser;
+      this.signedInUserAvatar.css('background-image',
+          `url("${Utils.addSizeToGoogleProfilePic(user.photoURL) || '/images/silhouette.jpg'}")`);
+      this.signedInUsername.text(user.displayName || 'Anonymous');
+      page(`/user/${user.uid}`);
+      MaterialUtils.showSnackbar(this.toast, {message: 'Your profile has been updated.', timeout: 5000});
+    } catch (error) {
+      console.error(error);
+      MaterialUtils.showSnackbar(this.toast, {
+        message: 'There was an error while saving your profile. Sorry!',
+        timeout: 5000,
+      });
+    }
+    this.saveButton.prop('disabled', false);
+  }
+
+  /**
+   * Clears the UI.
+   */
+  clear() {
+    this.images = {};
+    this.previewUrls.forEach((url) => URL.revokeObjectURL(url));
+    this.previewUrls = [];
+    this.coverPreview.css('background-image', '');
+    this.avatarPreview.css('background-image', '');
+    this.saveButton.prop('disabled', false);
+  }
+}
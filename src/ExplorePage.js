@@ -0,0 +1,128 @@
+/**
+ * Copyright 2015 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+import $ from 'jquery';
+
+/**
+ * Handles the Explore page listing the trending hashtags and their top posts.
+ */
+export default class ExplorePage {
+  /**
+   * The window over which trending hashtags are displayed by default.
+   * @return {string}
+   */
+  static get DEFAULT_WINDOW() {
+    return '24h';
+  }
+
+  /**
+   * Initializes the Explore page UI. The image cards are created by the given `searchPage`.
+   * @constructor
+   */
+  constructor(firebaseHelper, searchPage) {
+    this.firebaseHelper = firebaseHelper;
+    this.searchPage = searchPage;
+
+    // DOM Elements.
+    this.explorePage = $('#page-explore');
+    this.windowChips = $('.fp-explore-window', this.explorePage);
+    this.trendingHashtags = $('.fp-trending-hashtags', this.explorePage);
+    this.trendingContainer = $('.fp-trending-container', this.explorePage);
+    this.noTrending = $('.fp-no-trending', this.explorePage);
+  }
+
+  /**
+   * Displays the trending hashtags over the given window and their top posts.
+   */
+  async showExplore(trendWindow = ExplorePage.DEFAULT_WINDOW) {
+    if (this.windowChips.filter(`[data-window="${trendWindow}"]`).length === 0) {
+      trendWindow = ExplorePage.DEFAULT_WINDOW;
+    }
+    const trends = await this.firebaseHelper.getTrendingHashtags(trendWindow);
+    // Reset the UI.
+    this.clear();
+    this.currentWindow = trendWindow;
+
+    this.windowChips.each((index, chip) =>
+      $(chip).toggleClass('fp-explore-window-active', $(chip).data('window') === trendWindow));
+    if (trends.length === 0) {
+      this.noTrending.show();
+      return;
+    }
+    trends.forEach((trend) => {
+      this.trendingHashtags.append(ExplorePage.createHashtagChip(trend.hashtag));
+      this.displayTopPosts(trend, trendWindow);
+    });
+  }
+
+  /**
+   * Displays the top posts of the given trending hashtag. Posts that were deleted or that can't be
+   * displayed to the user are left out.
+   */
+  async displayTopPosts(trend, trendWindow) {
+    const element = $(`
+        <div class="fp-trending-posts">
+          <h5><a></a></h5>
+          <div class="fp-image-container mdl-grid"></div>
+        </div>`);
+    $('h5 a', element).attr('href', `/search/${trend.hashtag}`).text(`#${trend.hashtag}`);
+    this.trendingContainer.append(element);
+
+    const posts = await Promise.all((trend.post_ids || []).map(
+        (postId) => this.firebaseHelper.getPostData(postId).catch(() => null)));
+    if (this.currentWindow !== trendWindow) {
+      return;
+    }
+    posts.forEach((postSnap) => {
+      const post = postSnap && postSnap.val();
+      if (post && !this.firebaseHelper.isBlockedUser(post.author.uid) &&
+          !this.firebaseHelper.isMutedUser(post.author.uid) && !this.firebaseHelper.isHiddenPendingReview(post)) {
+        $('.fp-image-container', element).append(
+            this.searchPage.createImageCard(postSnap.key, post.thumb_url || post.url, post.text));
+      }
+    });
+    if ($('.fp-image', element).length === 0) {
+      element.remove();
+    }
+  }
+
+  /**
+   * Returns a chip linking to the posts of the given hashtag.
+   */
+  static createHashtagChip(hashtag) {
+    const element = $(`
+        <a class="fp-trending-hashtag mdl-chip">
+          <span class="mdl-chip__text"></span>
+        </a>`);
+    element.attr('href', `/search/${hashtag}`);
+    $('.mdl-chip__text', element).text(`#${hashtag}`);
+    return element;
+  }
+
+  /**
+   * Clears the UI.
+   */
+  clear() {
+    this.currentWindow = null;
+    this.trendingHashtags.empty();
+    this.trendingContainer.empty();
+    this.noTrending.hide();
+
+    // Cancel all Firebase listeners.
+    this.firebaseHelper.cancelAllSubscriptions();
+  }
+}
@@ -26,11 +26,13 @@ import Post from './Post';
  */
 export default class Feed {
   /**
-   * Initializes the Friendly Pix feeds.
+   * Initializes the Friendly Pix feeds. The given `stories` strip is displayed on top of the home
+   * feed.
    * @constructor
    */
-  constructor(firebaseHelper) {
+  constructor(firebaseHelper, stories) {
     this.firebaseHelper = firebaseHelper;
+    this.stories = stories;
 
     // List of all posts on the page.
     this.posts = [];
@@ -60,6 +62,9 @@ export default class Feed {
     for (let i = postIds.length - 1; i >= 0; i--) {
       this.noPostsMessage.hide();
       const postData = posts[postIds[i]];
+      if (this.isMuted(postData)) {
+        continue;
+      }
       const post = new Post(this.firebaseHelper, postIds[i]);
       this.posts.push(post);
       const postElement = post.postElement;
@@ -70,9 +75,7 @@ export default class Feed {
       } else {
         this.feedImageContainer.append(postElement.addClass(`fp-post-${postIds[i]}`));
       }
-      post.fillPostData(postIds[i], postData.thumb_url || postData.url,
-          postData.text, postData.author, postData.timestamp, postData.thumb_storage_uri,
-          postData.full_storage_uri, postData.full_url);
+      post.fillPostData(postIds[i], postData);
     }
   }
 
@@ -116,8 +119,7 @@ export default class Feed {
       const postElement = new Post(this.firebaseHelper, postKeys[i]);
       this.posts.push(postElement);
       this.feedImageContainer.prepend(postElement.postElement);
-      postElement.fillPostData(postKeys[i], post.thumb_url ||
-          post.url, post.text, post.author, post.timestamp, null, null, post.full_url);
+      postElement.fillPostData(postKeys[i], post);
     }
   }
 
@@ -151,14 +153,12 @@ export default class Feed {
     this.clear();
 
     if (this.auth.currentUser) {
-      // Make sure the home feed is updated with followed users's new posts.
-      await this.firebaseHelper.updateHomeFeeds();
-
-      // Add new posts from followers live.
-      this.firebaseHelper.startHomeFeedLiveUpdaters();
+      // Display the stories of the followed users.
+      this.stories.showStories().catch((error) => console.error('Error while loading the stories:', error));
 
       // Listen for posts deletions.
-      this.firebaseHelper.registerForPostsDeletion((postId) => this.onPostDeleted(postId));
+      this.firebaseHelper.registerForPostsDeletion((postId) => this.onPostDeleted(postId),
+          `/feed/${this.auth.currentUser.uid}`);
 
       // Load initial batch of posts.
       const data = await this.firebaseHelper.getHomeFeedPosts();
@@ -200,11 +200,23 @@ export default class Feed {
    * Adds a new post to display in the queue.
    */
   addNewPost(postId, postValue) {
+    if (this.isMuted(postValue)) {
+      return;
+    }
     this.newPosts[postId] = postValue;
     this.newPostsButton.text(`Display ${Object.keys(this.newPosts).length} new posts`);
     this.newPostsButton.show();
   }
 
+  /**
+   * Returns true if the given post has been written by a muted user or contains a muted hashtag, or
+   * if it is hidden pending the review of its reports.
+   */
+  isMuted(post) {
+    return this.firebaseHelper.isMutedUser(post.author.uid) || this.firebaseHelper.hasMutedHashtag(post.text) ||
+        this.firebaseHelper.isHiddenPendingReview(post);
+  }
+
   /**
    * Clears the UI.
    */
@@ -234,5 +246,8 @@ export default class Feed {
     // Stops all timers if any.
     this.posts.forEach((post) => post.clear());
     this.posts = [];
+
+    // Hides the stories strip.
+    this.stories.clear();
   }
 };
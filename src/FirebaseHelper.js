@@ -18,8 +18,10 @@
 import firebase from 'firebase/app';
 import 'firebase/auth';
 import 'firebase/database';
+import 'firebase/functions';
 import 'firebase/storage';
 import latinize from 'latinize';
+import {Utils} from './Utils';
 
 /**
  * Handles all Firebase interactions.
@@ -49,6 +51,22 @@ export default class FirebaseHelper {
     return 9;
   }
 
+  /**
+   * Number of posts loaded initially and per page for the saved posts page.
+   * @return {number}
+   */
+  static get SAVED_PAGE_POSTS_PAGE_SIZE() {
+    return 9;
+  }
+
+  /**
+   * Number of milliseconds after which stories expire.
+   * @return {number}
+   */
+  static get STORY_DURATION() {
+    return 24 * 60 * 60 * 1000;
+  }
+
   /**
    * Number of posts comments loaded initially and per page.
    * @return {number}
@@ -57,6 +75,57 @@ export default class FirebaseHelper {
     return 3;
   }
 
+  /**
+   * Number of activity items loaded initially and per page.
+   * @return {number}
+   */
+  static get NOTIFICATIONS_PAGE_SIZE() {
+    return 30;
+  }
+
+  /**
+   * Maximum number of unread activity items counted in the unread badge.
+   * @return {number}
+   */
+  static get MAX_UNREAD_NOTIFICATIONS_COUNT() {
+    return 99;
+  }
+
+  /**
+   * Number of direct messages loaded initially and per page.
+   * @return {number}
+   */
+  static get MESSAGES_PAGE_SIZE() {
+    return 20;
+  }
+
+  /**
+   * Maximum number of most recent posts fetched from the search index for each word of a search.
+   * Posts which are listed under the rarest word of a search but not in the postings fetched for the
+   * other words are checked one by one, so only searches made of common words are limited to
+   * their most recent posts.
+   * @return {number}
+   */
+  static get SEARCH_MAX_POSTINGS() {
+    return 500;
+  }
+
+  /**
+   * Maximum number of most recent posts matching a search which are ranked.
+   * @return {number}
+   */
+  static get SEARCH_MAX_CANDIDATES() {
+    return 50;
+  }
+
+  /**
+   * Minimum delay between two username changes, in milliseconds.
+   * @return {number}
+   */
+  static get USERNAME_CHANGE_COOLDOWN() {
+    return 30 * 24 * 60 * 60 * 1000;
+  }
+
   /**
    * Initializes this Firebase facade.
    * @constructor
@@ -66,9 +135,183 @@ export default class FirebaseHelper {
     this.database = firebase.database();
     this.storage = firebase.storage();
     this.auth = firebase.auth();
+    this.functions = firebase.functions();
 
     // Firebase references that are listened to.
     this.firebaseRefs = [];
+
+    // UIDs of the users blocked by the current user and of the users who blocked them. Content is
+    // only fetched once `blockedUsersLoaded` resolves so that blocked users are left out of it.
+    this.blockingUids = {};
+    this.blockedByUids = {};
+    this.blockRefs = [];
+    this.blockedUsersLoaded = new Promise((resolve) => this.auth.onAuthStateChanged(() => {
+      this.blockedUsersLoaded = this._trackBlockedUsers();
+      resolve(this.blockedUsersLoaded);
+    }));
+
+    // The users and hashtags muted by the current user.
+    this.muting = {users: {}, hashtags: {}};
+    this.mutingRef = null;
+    this.auth.onAuthStateChanged(() => this._trackMutes());
+
+    // The name, profile picture and username of the current user.
+    this.currentProfile = {};
+    this.profileRefs = [];
+    this.auth.onAuthStateChanged(() => this._trackProfile());
+
+    // Whether the current user is an admin, who can see the content hidden pending review. Content is
+    // only fetched once `adminClaimChecked` resolves so that it is filtered for the right user.
+    this.isAdmin = false;
+    this.adminClaimChecked = new Promise((resolve) => this.auth.onAuthStateChanged(() => {
+      this.adminClaimChecked = this._checkAdminClaim();
+      resolve(this.adminClaimChecked);
+    }));
+  }
+
+  /**
+   * Reads the `admin` custom claim of the current user from their ID token.
+   * @private
+   */
+  async _checkAdminClaim() {
+    this.isAdmin = false;
+    const user = this.auth.currentUser;
+    if (user) {
+      try {
+        const idTokenResult = await user.getIdTokenResult();
+        this.isAdmin = user === this.auth.currentUser && idTokenResult.claims.admin === true;
+      } catch (error) {
+        console.log('Unable to read the admin claim', error.message);
+      }
+    }
+  }
+
+  /**
+   * Returns true if the given post or comment has been hidden because it was reported by too many
+   * users and the current user is neither its author nor an admin.
+   */
+  isHiddenPendingReview(entry) {
+    return !!(entry && entry.hidden_pending_review === true && !this.isAdmin &&
+        !(this.auth.currentUser && entry.author && entry.author.uid === this.auth.currentUser.uid));
+  }
+
+  /**
+   * Keeps the name, profile picture and username of the current user up to date so that they can be
+   * copied in their new posts, comments, stories and messages. These listeners are not cancelled by
+   * `cancelAllSubscriptions()`.
+   * @private
+   */
+  _trackProfile() {
+    this.profileRefs.forEach((ref) => ref.off());
+    this.profileRefs = [];
+    this.currentProfile = {};
+    if (this.auth.currentUser) {
+      ['full_name', 'profile_picture', 'username'].forEach((field) => {
+        const fieldRef = this.database.ref(`/people/${this.auth.currentUser.uid}/${field}`);
+        fieldRef.on('value', (data) => this.currentProfile[field] = data.val());
+        this.profileRefs.push(fieldRef);
+      });
+    }
+  }
+
+  /**
+   * Returns the author details copied in the new posts, comments, stories and messages of the
+   * current user.
+   * @private
+   */
+  _getAuthor() {
+    const user = this.auth.currentUser;
+    return {
+      uid: user.uid,
+      full_name: this.currentProfile.full_name || user.displayName || 'Anonymous',
+      profile_picture: this.currentProfile.profile_picture || user.photoURL || null,
+      username: this.currentProfile.username || null,
+    };
+  }
+
+  /**
+   * Keeps the lists of the users and hashtags muted by the current user up to date. This listener
+   * is not cancelled by `cancelAllSubscriptions()`.
+   * @private
+   */
+  _trackMutes() {
+    if (this.mutingRef) {
+      this.mutingRef.off();
+      this.mutingRef = null;
+    }
+    this.muting = {users: {}, hashtags: {}};
+    if (this.auth.currentUser) {
+      this.mutingRef = this.database.ref(`/muting/${this.auth.currentUser.uid}`);
+      this.mutingRef.on('value', (data) => {
+        const muting = data.val() || {};
+        this.muting = {users: muting.users || {}, hashtags: muting.hashtags || {}};
+      });
+    }
+  }
+
+  /**
+   * Returns true if the current user has muted the given user.
+   */
+  isMutedUser(uid) {
+    return !!this.muting.users[uid];
+  }
+
+  /**
+   * Returns true if the given text contains a hashtag muted by the current user.
+   */
+  hasMutedHashtag(text) {
+    return Utils.getHashtags(text || '').some((hashtag) => this.muting.hashtags[hashtag]);
+  }
+
+  /**
+   * Keeps the lists of the users blocked by the current user and of the users who blocked them up
+   * to date. These listeners are not cancelled by `cancelAllSubscriptions()`. Returns a Promise
+   * which resolves once both lists have been loaded.
+   * @private
+   */
+  _trackBlockedUsers() {
+    this.blockRefs.forEach((ref) => ref.off());
+    this.blockRefs = [];
+    this.blockingUids = {};
+    this.blockedByUids = {};
+    if (!this.auth.currentUser) {
+      return Promise.resolve();
+    }
+    const blockingRef = this.database.ref(`/blocking/${this.auth.currentUser.uid}`);
+    const blockingLoaded = new Promise((resolve) => blockingRef.on('value', (data) => {
+      this.blockingUids = data.val() || {};
+      resolve();
+    }, resolve));
+    const blockedByRef = this.database.ref(`/blocked/${this.auth.currentUser.uid}`);
+    const blockedByLoaded = new Promise((resolve) => blockedByRef.on('value', (data) => {
+      this.blockedByUids = data.val() || {};
+      resolve();
+    }, resolve));
+    this.blockRefs.push(blockingRef, blockedByRef);
+    return Promise.all([blockingLoaded, blockedByLoaded]);
+  }
+
+  /**
+   * Returns true if the current user has blocked the given user or has been blocked by them.
+   */
+  isBlockedUser(uid) {
+    return !!(this.blockingUids[uid] || this.blockedByUids[uid]);
+  }
+
+  /**
+   * Returns true if the given user has blocked the current user.
+   */
+  isBlockedBy(uid) {
+    return !!this.blockedByUids[uid];
+  }
+
+  /**
+   * Returns true if the given post or comment has been written by a user that the current user has
+   * blocked or has been blocked by.
+   * @private
+   */
+  _isFromBlockedUser(entry) {
+    return !!(entry && entry.author && this.isBlockedUser(entry.author.uid));
   }
 
   /**
@@ -81,7 +324,7 @@ export default class FirebaseHelper {
 
   /**
    * Subscribes to receive updates from a post's comments. The given `callback` function gets
-   * called for each new comment to the post with ID `postId`.
+   * called for each new comment or reply to the post with ID `postId`.
    *
    * If provided we'll only listen to comments that were posted after `latestCommentId`.
    */
@@ -90,7 +333,7 @@ export default class FirebaseHelper {
   }
 
   /**
-   * Paginates comments from the post with ID `postId`.
+   * Paginates comments from the post with ID `postId`. Replies to comments are not included.
    *
    * Fetches a page of `COMMENTS_PAGE_SIZE` comments from the post.
    *
@@ -99,17 +342,30 @@ export default class FirebaseHelper {
    */
   getComments(postId) {
     return this._getPaginatedFeed(`/comments/${postId}`,
-        FirebaseHelper.COMMENTS_PAGE_SIZE, null, false);
+        FirebaseHelper.COMMENTS_PAGE_SIZE, null, false, {child: 'parent_id', value: null});
+  }
+
+  /**
+   * Paginates replies to the comment with ID `commentId` from the post with ID `postId`.
+   *
+   * Fetches a page of `COMMENTS_PAGE_SIZE` replies to the comment.
+   *
+   * We return a `Promise` which resolves with an Map of replies and a function to the next page or
+   * `null` if there is no next page.
+   */
+  getCommentReplies(postId, commentId) {
+    return this._getPaginatedFeed(`/comments/${postId}`,
+        FirebaseHelper.COMMENTS_PAGE_SIZE, null, false, {child: 'parent_id', value: commentId});
   }
 
   /**
    * Subscribes to receive updates to the general posts feed. The given `callback` function gets
-   * called for each new post to the general post feed.
+   * called for each new post to the general post feed. Only posts of public accounts are listed.
    *
    * If provided we'll only listen to posts that were posted after `latestPostId`.
    */
   subscribeToGeneralFeed(callback, latestPostId) {
-    return this._subscribeToFeed('/posts/', callback, latestPostId);
+    return this._subscribeToFeed('/recentPosts', callback, latestPostId, true);
   }
 
   /**
@@ -121,7 +377,7 @@ export default class FirebaseHelper {
    * `null` if there is no next page.
    */
   getPosts() {
-    return this._getPaginatedFeed('/posts/', FirebaseHelper.POSTS_PAGE_SIZE);
+    return this._getPaginatedFeed('/recentPosts', FirebaseHelper.POSTS_PAGE_SIZE, null, true);
   }
 
   /**
@@ -215,10 +471,18 @@ export default class FirebaseHelper {
     feedRef.on('child_added', (feedData) => {
       if (feedData.key !== latestEntryId) {
         if (!fetchPostDetails) {
-          callback(feedData.key, feedData.val());
+          if (!this._isFromBlockedUser(feedData.val())) {
+            callback(feedData.key, feedData.val());
+          }
         } else {
-          this.database.ref(`/posts/${feedData.key}`).once('value').then(
-              (postData) => callback(postData.key, postData.val()));
+          this.database.ref(`/posts/${feedData.key}`).once('value').then((postData) => {
+            if (!this._isFromBlockedUser(postData.val())) {
+              callback(postData.key, postData.val());
+            }
+          }, (error) => {
+            // Posts of private accounts may not be readable.
+            console.log('Skipping post', feedData.key, error.message);
+          });
         }
       }
     });
@@ -237,16 +501,27 @@ export default class FirebaseHelper {
    *
    * If needed the posts details can be fetched. This is useful for shallow post feeds like the user
    * home feed and the user post feed.
+   *
+   * If provided only the entries which `childFilter.child` child equals `childFilter.value` are
+   * returned. A `null` value matches the entries which do not have that child.
+   *
+   * Posts and comments written by blocked users are left out.
    * @private
    */
-  _getPaginatedFeed(uri, pageSize, earliestEntryId = null, fetchPostDetails = false) {
+  _getPaginatedFeed(uri, pageSize, earliestEntryId = null, fetchPostDetails = false, childFilter = null) {
     console.log('Fetching entries from', uri, 'start at', earliestEntryId, 'page size', pageSize);
     let ref = this.database.ref(uri);
-    if (earliestEntryId) {
+    if (childFilter) {
+      // Entries with the same child value are ordered by key.
+      ref = ref.orderByChild(childFilter.child).startAt(childFilter.value);
+      ref = earliestEntryId ? ref.endAt(childFilter.value, earliestEntryId) : ref.endAt(childFilter.value);
+    } else if (earliestEntryId) {
       ref = ref.orderByKey().endAt(earliestEntryId);
     }
+    // Content is filtered for the current user so we wait for their block lists and admin claim.
+    const filtersLoaded = Promise.all([this.adminClaimChecked, this.blockedUsersLoaded]);
     // We're fetching an additional item as a cheap way to test if there is a next page.
-    return ref.limitToLast(pageSize + 1).once('value').then((data) => {
+    return filtersLoaded.then(() => ref.limitToLast(pageSize + 1).once('value')).then((data) => {
       const entries = data.val() || {};
 
       // Figure out if there is a next page.
@@ -256,17 +531,20 @@ export default class FirebaseHelper {
         delete entries[entryIds[0]];
         const nextPageStartingId = entryIds.shift();
         nextPage = () => this._getPaginatedFeed(
-            uri, pageSize, nextPageStartingId, fetchPostDetails);
+            uri, pageSize, nextPageStartingId, fetchPostDetails, childFilter);
       }
       if (fetchPostDetails) {
         // Fetch details of all posts.
-        const queries = entryIds.map((postId) => this.getPostData(postId));
+        // Posts of private accounts the user can't read resolve with `null`.
+        const queries = entryIds.map((postId) => this.getPostData(postId).catch(() => null));
         // Since all the requests are being done one the same feed it's unlikely that a single one
         // would fail and not the others so using Promise.all() is not so risky.
         return Promise.all(queries).then((results) => {
           const deleteOps = [];
-          results.forEach((result) => {
-            if (result.val()) {
+          results.forEach((result, index) => {
+            if (result === null) {
+              delete entries[entryIds[index]];
+            } else if (result.val()) {
               entries[result.key] = result.val();
             } else {
               // We encountered a deleted post. Removing permanently from the feed.
@@ -274,83 +552,32 @@ export default class FirebaseHelper {
               deleteOps.push(this.deleteFromFeed(uri, result.key));
             }
           });
+          this._removeBlockedUsersEntries(entries);
           if (deleteOps.length > 0) {
             // We had to remove some deleted posts from the feed. Lets run the query again to get
-            // the correct number of posts.
-            return this._getPaginatedFeed(uri, pageSize, earliestEntryId, fetchPostDetails);
+            // the correct number of posts. Feeds maintained by Cloud Functions can't be cleaned up
+            // by the client in which case we return the remaining posts.
+            return Promise.all(deleteOps).then(
+                () => this._getPaginatedFeed(uri, pageSize, earliestEntryId, fetchPostDetails, childFilter),
+                () => ({entries: entries, nextPage: nextPage}));
           }
           return {entries: entries, nextPage: nextPage};
         });
       }
+      this._removeBlockedUsersEntries(entries);
       return {entries: entries, nextPage: nextPage};
     });
   }
 
   /**
-   * Keeps the home feed populated with latest followed users' posts live.
-   */
-  startHomeFeedLiveUpdaters() {
-    // Make sure we listen on each followed people's posts.
-    const followingRef = this.database.ref(`/people/${this.auth.currentUser.uid}/following`);
-    this.firebaseRefs.push(followingRef);
-    followingRef.on('child_added', (followingData) => {
-      // Start listening the followed user's posts to populate the home feed.
-      const followedUid = followingData.key;
-      let followedUserPostsRef = this.database.ref(`/people/${followedUid}/posts`);
-      if (followingData.val() instanceof String) {
-        followedUserPostsRef = followedUserPostsRef.orderByKey().startAt(followingData.val());
-      }
-      this.firebaseRefs.push(followedUserPostsRef);
-      followedUserPostsRef.on('child_added', (postData) => {
-        if (postData.key !== followingData.val()) {
-          const updates = {};
-          updates[`/feed/${this.auth.currentUser.uid}/${postData.key}`] = true;
-          updates[`/people/${this.auth.currentUser.uid}/following/${followedUid}`] = postData.key;
-          this.database.ref().update(updates);
-        }
-      });
-    });
-    // Stop listening to users we unfollow.
-    followingRef.on('child_removed', (followingData) => {
-      // Stop listening the followed user's posts to populate the home feed.
-      const followedUserId = followingData.key;
-      this.database.ref(`/people/${followedUserId}/posts`).off();
-    });
-  }
-
-  /**
-   * Updates the home feed with new followed users' posts and returns a promise once that's done.
+   * Removes the posts or comments written by blocked users from the given Map of feed entries.
+   * @private
    */
-  updateHomeFeeds() {
-    // Make sure we listen on each followed people's posts.
-    const followingRef = this.database.ref(`/people/${this.auth.currentUser.uid}/following`);
-    return followingRef.once('value').then((followingData) => {
-      // Start listening the followed user's posts to populate the home feed.
-      const following = followingData.val();
-      if (!following) {
-        return;
+  _removeBlockedUsersEntries(entries) {
+    Object.keys(entries).forEach((entryId) => {
+      if (this._isFromBlockedUser(entries[entryId])) {
+        delete entries[entryId];
       }
-      const updateOperations = Object.keys(following).map((followedUid) => {
-        let followedUserPostsRef = this.database.ref(`/people/${followedUid}/posts`);
-        const lastSyncedPostId = following[followedUid];
-        if (lastSyncedPostId instanceof String) {
-          followedUserPostsRef = followedUserPostsRef.orderByKey().startAt(lastSyncedPostId);
-        }
-        return followedUserPostsRef.once('value').then((postData) => {
-          const updates = {};
-          if (!postData.val()) {
-            return;
-          }
-          Object.keys(postData.val()).forEach((postId) => {
-            if (postId !== lastSyncedPostId) {
-              updates[`/feed/${this.auth.currentUser.uid}/${postId}`] = true;
-              updates[`/people/${this.auth.currentUser.uid}/following/${followedUid}`] = postId;
-            }
-          });
-          return this.database.ref().update(updates);
-        });
-      });
-      return Promise.all(updateOperations);
     });
   }
 
@@ -379,20 +606,23 @@ export default class FirebaseHelper {
   }
 
   /**
-   * Returns the users which name match the given search query as a Promise.
+   * Returns the users which name or username match the given search query as a Promise.
    */
   searchUsers(searchString, maxResults) {
     searchString = latinize(searchString).toLowerCase();
+    const handle = searchString.replace(/^@/, '');
     const query = this.database.ref('/people')
         .orderByChild('_search_index/full_name').startAt(searchString)
         .limitToFirst(maxResults).once('value');
     const reversedQuery = this.database.ref('/people')
         .orderByChild('_search_index/reversed_full_name').startAt(searchString)
         .limitToFirst(maxResults).once('value');
-    return Promise.all([query, reversedQuery]).then((results) => {
+    const usernamesQuery = this.database.ref('/usernames').orderByKey().startAt(handle)
+        .limitToFirst(maxResults).once('value');
+    return Promise.all([query, reversedQuery, usernamesQuery, this.blockedUsersLoaded]).then(async (results) => {
       const people = {};
       // construct people from the two search queries results.
-      results.forEach((result) => result.forEach((data) => {
+      results.slice(0, 2).forEach((result) => result.forEach((data) => {
         people[data.key] = data.val();
       }));
 
@@ -401,14 +631,149 @@ export default class FirebaseHelper {
       userIds.forEach((userId) => {
         const name = latinize(people[userId]._search_index.full_name).toLowerCase();
         const reversedName = latinize(people[userId]._search_index.reversed_full_name).toLowerCase();
-        if (!name.startsWith(searchString) && !reversedName.startsWith(searchString)) {
+        if ((!name.startsWith(searchString) && !reversedName.startsWith(searchString)) ||
+            this.isBlockedUser(userId)) {
           delete people[userId];
         }
       });
+
+      // Add the users which username starts with the search query.
+      const handleUids = [];
+      results[2].forEach((data) => {
+        if (data.key.startsWith(handle) && !people[data.val()] && !this.isBlockedUser(data.val())) {
+          handleUids.push(data.val());
+        }
+      });
+      const profiles = await Promise.all(handleUids.map((uid) => this.loadUserProfile(uid)));
+      // Users who opted out of search have no search index and are not found by username either.
+      profiles.filter((profile) => profile.exists() && profile.child('_search_index').exists()).forEach((profile) => {
+        people[profile.key] = profile.val();
+      });
       return people;
     });
   }
 
+  /**
+   * Returns the UID of the owner of the given username as a Promise, or `null` if the username is
+   * not used.
+   */
+  async getUidForUsername(username) {
+    const data = await this.database.ref(`/usernames/${username.toLowerCase()}`).once('value');
+    return data.val();
+  }
+
+  /**
+   * Sets the username of the current user and releases their previous one. The username is reserved
+   * in `/usernames` in the same update so that the update fails if the username is already taken.
+   * Usernames can only be changed once every `USERNAME_CHANGE_COOLDOWN`.
+   */
+  async setUsername(username) {
+    const uid = this.auth.currentUser.uid;
+    const oldUsername = (await this.database.ref(`/people/${uid}/username`).once('value')).val();
+    const update = {};
+    if (oldUsername) {
+      update[`/usernames/${oldUsername}`] = null;
+    }
+    update[`/usernames/${username}`] = uid;
+    update[`/people/${uid}/username`] = username;
+    update[`/usernameChanges/${uid}`] = firebase.database.ServerValue.TIMESTAMP;
+    return this.database.ref().update(update);
+  }
+
+  /**
+   * Returns the time at which the current user will be allowed to change their username again as a
+   * Promise, or `null` if they can change it now.
+   */
+  async getNextUsernameChangeTime() {
+    const data = await this.database.ref(`/usernameChanges/${this.auth.currentUser.uid}`).once('value');
+    const nextChangeTime = data.val() + FirebaseHelper.USERNAME_CHANGE_COOLDOWN;
+    return data.exists() && nextChangeTime > Date.now() ? nextChangeTime : null;
+  }
+
+  /**
+   * Returns the posts which caption or comments contain all the words of the given search query as
+   * a Promise. The posts are returned as an array of `{id, post}` objects ranked by recency and
+   * engagement. Posts of blocked and muted users are left out.
+   */
+  async searchPosts(searchString, maxResults) {
+    const tokens = Utils.getSearchTokens(searchString);
+    if (tokens.length === 0) {
+      return [];
+    }
+    await this.blockedUsersLoaded;
+    const results = await Promise.all(tokens.map((token) => this.database.ref(`/searchIndex/${token}`)
+        .orderByValue().limitToLast(FirebaseHelper.SEARCH_MAX_POSTINGS).once('value')));
+    const postings = results.map((result) => result.val() || {});
+    const postIds = await this._intersectPostings(tokens, postings);
+
+    // Posts of private accounts the user can't read resolve with `null`.
+    const posts = await Promise.all(postIds.map((postId) => this.getPostData(postId).catch(() => null)));
+    const now = Date.now();
+    return posts.filter((postSnap) => postSnap && postSnap.val() && !this._isFromBlockedUser(postSnap.val()) &&
+        !this.isMutedUser(postSnap.val().author.uid) && !this.isHiddenPendingReview(postSnap.val()))
+        .map((postSnap) => ({id: postSnap.key, post: postSnap.val()}))
+        .sort((a, b) => FirebaseHelper._getSearchScore(b.post, now) - FirebaseHelper._getSearchScore(a.post, now))
+        .slice(0, maxResults);
+  }
+
+  /**
+   * Returns the IDs of the most recent posts listed under all the given tokens, up to
+   * `SEARCH_MAX_CANDIDATES`, given the most recent postings fetched for each token. The candidates
+   * are the posts listed under the rarest token. The postings of the other tokens may be truncated
+   * so the candidates missing from them are looked up in the index one by one.
+   * @private
+   */
+  async _intersectPostings(tokens, postings) {
+    let rarest = 0;
+    postings.forEach((posting, index) => {
+      if (Object.keys(posting).length < Object.keys(postings[rarest]).length) {
+        rarest = index;
+      }
+    });
+    const isTruncated = postings.map((posting) => Object.keys(posting).length >= FirebaseHelper.SEARCH_MAX_POSTINGS);
+    const candidates = Object.keys(postings[rarest]).sort().reverse();
+
+    const postIds = [];
+    while (candidates.length > 0 && postIds.length < FirebaseHelper.SEARCH_MAX_CANDIDATES) {
+      const batch = candidates.splice(0, FirebaseHelper.SEARCH_MAX_CANDIDATES);
+      const matches = await Promise.all(batch.map(async (postId) => {
+        const checks = tokens.map((token, index) => {
+          if (postings[index][postId]) {
+            return true;
+          }
+          if (!isTruncated[index]) {
+            return false;
+          }
+          return this.database.ref(`/searchIndex/${token}/${postId}`).once('value').then((snap) => snap.exists());
+        });
+        return (await Promise.all(checks)).every((isListed) => isListed);
+      }));
+      batch.forEach((postId, index) => matches[index] && postIds.push(postId));
+    }
+    return postIds.slice(0, FirebaseHelper.SEARCH_MAX_CANDIDATES);
+  }
+
+  /**
+   * Returns the ranking score of a post in search results. Likes and comments increase the score
+   * which decreases as the post gets older.
+   * @private
+   */
+  static _getSearchScore(post, now) {
+    const ageInHours = Math.max(now - post.timestamp, 0) / (60 * 60 * 1000);
+    const engagement = 1 + (post.likes_count || 0) + 2 * (post.comments_count || 0);
+    return engagement / Math.pow(ageInHours + 2, 1.5);
+  }
+
+  /**
+   * Fetches the trending hashtags over the given window (`1h`, `24h` or `7d`), most trending first.
+   * Each trending hashtag has a `hashtag`, a `score` and the `post_ids` of its top posts. They are
+   * computed by a Cloud Function.
+   */
+  async getTrendingHashtags(trendWindow) {
+    const data = await this.database.ref(`/trending/${trendWindow}/hashtags`).once('value');
+    return data.val() || [];
+  }
+
   /**
    * Saves or updates public user data in Firebase (such as image URL, display name...).
    */
@@ -430,14 +795,6 @@ export default class FirebaseHelper {
     if (!displayName) {
       displayName = 'Anonymous';
     }
-    let searchFullName = displayName.toLowerCase();
-    let searchReversedFullName = searchFullName.split(' ').reverse().join(' ');
-    try {
-      searchFullName = latinize(searchFullName);
-      searchReversedFullName = latinize(searchReversedFullName);
-    } catch (e) {
-      console.error(e);
-    }
 
     this.getPrivacySettings(user.uid).then((snapshot) => {
       let socialEnabled = false;
@@ -451,10 +808,7 @@ export default class FirebaseHelper {
       };
 
       if (socialEnabled) {
-        updateData._search_index = {
-          full_name: searchFullName,
-          reversed_full_name: searchReversedFullName,
-        };
+        updateData._search_index = FirebaseHelper._getSearchIndex(displayName);
       };
       return this.database.ref(`/people/${user.uid}`).update(updateData).then(() => {
         console.log('Public profile updated.');
@@ -462,13 +816,85 @@ export default class FirebaseHelper {
     });
   }
 
+  /**
+   * Returns the search index entries of a user with the given name.
+   * @private
+   */
+  static _getSearchIndex(fullName) {
+    let searchFullName = fullName.toLowerCase();
+    let searchReversedFullName = searchFullName.split(' ').reverse().join(' ');
+    try {
+      searchFullName = latinize(searchFullName);
+      searchReversedFullName = latinize(searchReversedFullName);
+    } catch (e) {
+      console.error(e);
+    }
+    return {
+      full_name: searchFullName,
+      reversed_full_name: searchReversedFullName,
+    };
+  }
+
+  /**
+   * Updates the public profile of the current user with the given `fullName`, `bio` and `website`.
+   * If provided the `avatar` and `cover` image blobs are uploaded to Cloud Storage and replace the
+   * current profile picture and cover photo, whose files are then deleted. The Firebase Auth profile
+   * is updated too so that the new name and picture are kept when the user signs in again.
+   */
+  async updateProfile(profile, avatar = null, cover = null) {
+    const user = this.auth.currentUser;
+    const oldProfile = (await this.loadUserProfile(user.uid)).val() || {};
+    const update = {
+      full_name: profile.fullName,
+      bio: profile.bio || null,
+      website: profile.website || null,
+    };
+    // Users who opted out of search are kept out of it.
+    if (oldProfile._search_index) {
+      update._search_index = FirebaseHelper._getSearchIndex(profile.fullName);
+    }
+
+    const images = {profile_picture: avatar, cover_picture: cover};
+    const oldStorageUris = [];
+    await Promise.all(Object.keys(images).filter((field) => images[field]).map(async (field) => {
+      const imageId = this.database.ref().push().key;
+      const imageRef = this.storage.ref(`${user.uid}/profile/${imageId}/${field}.jpg`);
+      update[field] = await this._uploadFile(imageRef, images[field], () => {});
+      update[`${field}_storage_uri`] = imageRef.toString();
+      // The original of a blurred previous image is not needed anymore.
+      update[`${field}_original_storage_uri`] = null;
+      if (oldProfile[`${field}_storage_uri`]) {
+        oldStorageUris.push(oldProfile[`${field}_storage_uri`]);
+      }
+    }));
+
+    await this.database.ref(`/people/${user.uid}`).update(update);
+    await user.updateProfile({
+      displayName: profile.fullName,
+      photoURL: update.profile_picture || oldProfile.profile_picture || null,
+    });
+    // The previous images are no longer used.
+    await Promise.all(oldStorageUris.map((uri) => this.storage.refFromURL(uri).delete().catch((error) => {
+      console.error('Error while deleting the previous profile image', error);
+    })));
+  }
+
   /**
    * Fetches a single post data.
    */
-  getPostData(postId) {
+  async getPostData(postId) {
+    await this.adminClaimChecked;
     return this.database.ref(`/posts/${postId}`).once('value');
   }
 
+  /**
+   * Fetches the text and mentions of a comment hidden pending review, which only its author and
+   * admins can read.
+   */
+  getHiddenComment(postId, commentId) {
+    return this.database.ref(`/hiddenComments/${postId}/${commentId}`).once('value');
+  }
+
   /**
    * Fetches the user's privacy settings.
    */
@@ -481,6 +907,14 @@ export default class FirebaseHelper {
     this.database.ref(uri).set(settings);
   }
 
+  /**
+   * Makes the account of the current user private or public.
+   */
+  setPrivateAccount(enabled) {
+    return this.database.ref(`/people/${this.auth.currentUser.uid}/private_account`)
+        .set(enabled ? true : null);
+  }
+
   removeFromSearch(uid) {
     this.database.ref(`people/${uid}/_search_index`).remove();
   }
@@ -504,17 +938,17 @@ export default class FirebaseHelper {
   }
 
   /**
-   * Adds a comment to a post.
+   * Adds a comment to a post. If a `parentId` is given the comment is added as a reply to the
+   * comment with that ID. `mentions` maps the UIDs of the people mentioned in the comment to their
+   * name.
    */
-  addComment(postId, commentText) {
+  addComment(postId, commentText, parentId = null, mentions = null) {
     const commentObject = {
       text: commentText,
+      parent_id: parentId,
+      mentions: mentions,
       timestamp: firebase.database.ServerValue.TIMESTAMP,
-      author: {
-        uid: this.auth.currentUser.uid,
-        full_name: this.auth.currentUser.displayName || 'Anonymous',
-        profile_picture: this.auth.currentUser.photoURL || null,
-      },
+      author: this._getAuthor(),
     };
     return this.database.ref(`comments/${postId}`).push(commentObject);
   }
@@ -546,92 +980,366 @@ export default class FirebaseHelper {
   }
 
   /**
-   * Uploads a new Picture to Cloud Storage and adds a new post referencing it.
+   * Edits the text of a post. The previous text is saved in the post's revision history and the
+   * post is marked as edited. `mentions` maps the UIDs of the people mentioned in the new text to
+   * their name.
+   * The new text is sanitized again by Cloud Functions.
+   */
+  editPost(postId, newText, oldText, mentions = null) {
+    const revisionId = this.database.ref(`/postRevisions/${postId}`).push().key;
+    const updateObj = {};
+    updateObj[`/postRevisions/${postId}/${revisionId}`] = {
+      text: oldText,
+      timestamp: firebase.database.ServerValue.TIMESTAMP,
+    };
+    updateObj[`/posts/${postId}/text`] = newText;
+    updateObj[`/posts/${postId}/mentions`] = mentions;
+    updateObj[`/posts/${postId}/edited_at`] = firebase.database.ServerValue.TIMESTAMP;
+    updateObj[`/posts/${postId}/sanitized`] = null;
+    updateObj[`/posts/${postId}/moderated`] = null;
+    return this.database.ref().update(updateObj);
+  }
+
+  /**
+   * Fetches the previous texts of a post, most recent first.
+   */
+  async getPostRevisions(postId) {
+    const snapshot = await this.database.ref(`/postRevisions/${postId}`).once('value');
+    const revisions = [];
+    snapshot.forEach((revisionSnap) => {
+      revisions.unshift(revisionSnap.val());
+    });
+    return revisions;
+  }
+
+  /**
+   * Listens for changes of the text of a given post.
+   */
+  registerForTextChanges(postId, callback) {
+    const textRef = this.database.ref(`/posts/${postId}/text`);
+    textRef.on('value', (data) => callback(data.val()));
+    this.firebaseRefs.push(textRef);
+  }
+
+  /**
+   * Uploads new Pictures to Cloud Storage and adds a new post referencing them.
+   * `pics` is the ordered list of pictures of the post. Each picture is an object containing the
+   * `full` and `thumb` image blobs and the original `fileName`.
+   * `mentions` maps the UIDs of the people mentioned in the text to their name.
+   * `progressCallback` is called with the progress of the upload of all the files, between 0 and 1.
    * This returns a Promise which completes with the new Post ID.
    */
-  uploadNewPic(pic, thumb, fileName, text) {
+  uploadNewPic(pics, text, mentions = null, progressCallback = () => {}) {
     // Get a reference to where the post will be created.
     const newPostKey = this.database.ref('/posts').push().key;
 
-    // Start the pic file upload to Cloud Storage.
-    const picRef = this.storage.ref(`${this.auth.currentUser.uid}/full/${newPostKey}/${fileName}`);
-    const metadata = {
-      contentType: pic.type,
-    };
-    const picUploadTask = picRef.put(pic, metadata).then((snapshot) => {
-      console.log('New pic uploaded. Size:', snapshot.totalBytes, 'bytes.');
-      return snapshot.ref.getDownloadURL().then((url) => {
-        console.log('File available at', url);
-        return url;
-      });
-    }).catch((error) => {
-      console.error('Error while uploading new pic', error);
+    // Keep track of the progress of all uploads.
+    const totalBytes = {};
+    pics.forEach((pic, index) => {
+      totalBytes[`full/${index}`] = pic.full.size;
+      totalBytes[`thumb/${index}`] = pic.thumb.size;
     });
-
-    // Start the thumb file upload to Cloud Storage.
-    const thumbRef = this.storage.ref(`${this.auth.currentUser.uid}/thumb/${newPostKey}/${fileName}`);
-    const tumbUploadTask = thumbRef.put(thumb, metadata).then((snapshot) => {
-      console.log('New thumb uploaded. Size:', snapshot.totalBytes, 'bytes.');
-      return snapshot.ref.getDownloadURL().then((url) => {
-        console.log('File available at', url);
-        return url;
+    const onProgress = FirebaseHelper._trackUploadsProgress(totalBytes, progressCallback);
+
+    // Start the pic and thumb files uploads to Cloud Storage.
+    const uploadTasks = pics.map((pic, index) => {
+      const fileName = `${index}_${pic.fileName}`;
+      const picRef = this.storage.ref(`${this.auth.currentUser.uid}/full/${newPostKey}/${fileName}`);
+      const thumbRef = this.storage.ref(`${this.auth.currentUser.uid}/thumb/${newPostKey}/${fileName}`);
+      return Promise.all([
+        this._uploadFile(picRef, pic.full, (snapshot) => onProgress(`full/${index}`, snapshot)),
+        this._uploadFile(thumbRef, pic.thumb, (snapshot) => onProgress(`thumb/${index}`, snapshot)),
+      ]).then((urls) => {
+        return {
+          full_url: urls[0],
+          thumb_url: urls[1],
+          full_storage_uri: picRef.toString(),
+          thumb_storage_uri: thumbRef.toString(),
+        };
       });
-    }).catch((error) => {
-      console.error('Error while uploading new thumb', error);
     });
 
-    return Promise.all([picUploadTask, tumbUploadTask]).then((urls) => {
-      // Once both pics and thumbnails has been uploaded add a new post in the Firebase Database and
+    return Promise.all(uploadTasks).then((images) => {
+      // Once all pics and thumbnails have been uploaded add a new post in the Firebase Database and
       // to its fanned out posts lists (user's posts and home post).
-      const update = {};
-      update[`/posts/${newPostKey}`] = {
-        full_url: urls[0],
-        thumb_url: urls[1],
+      // The first image is also saved at the root of the post for clients which do not support
+      // multiple images.
+      return this._addNewPost(newPostKey, {
+        full_url: images[0].full_url,
+        thumb_url: images[0].thumb_url,
+        images: images,
         text: text,
-        client: 'web',
-        timestamp: firebase.database.ServerValue.TIMESTAMP,
-        full_storage_uri: picRef.toString(),
-        thumb_storage_uri: thumbRef.toString(),
-        author: {
-          uid: this.auth.currentUser.uid,
-          full_name: this.auth.currentUser.displayName || 'Anonymous',
-          profile_picture: this.auth.currentUser.photoURL || null,
-        },
-      };
-      update[`/people/${this.auth.currentUser.uid}/posts/${newPostKey}`] = true;
-      update[`/feed/${this.auth.currentUser.uid}/${newPostKey}`] = true;
-      return this.database.ref().update(update).then(() => newPostKey);
+        mentions: mentions,
+        full_storage_uri: images[0].full_storage_uri,
+        thumb_storage_uri: images[0].thumb_storage_uri,
+      });
     });
   }
 
   /**
-   * Follow/Unfollow a user and return a promise once that's done.
-   *
-   * If the user is now followed we'll add all his posts to the home feed of the follower.
-   * If the user is now not followed anymore all his posts are removed from the follower home feed.
+   * Uploads a new Video and its poster images to Cloud Storage and adds a new post referencing them.
+   * `video` is an object containing the video `file`, the `full` and `thumb` poster image blobs and
+   * the original `fileName`.
+   * `mentions` maps the UIDs of the people mentioned in the text to their name.
+   * `progressCallback` is called with the progress of the upload of all the files, between 0 and 1.
+   * This returns a Promise which completes with the new Post ID.
    */
-  toggleFollowUser(followedUserId, follow) {
-    // Add or remove posts to the user's home feed.
-    return this.database.ref(`/people/${followedUserId}/posts`).once('value').then(
-        (data) => {
-          const updateData = {};
-          let lastPostId = true;
-
-          // Add/remove followed user's posts to the home feed.
-          data.forEach((post) => {
-            updateData[`/feed/${this.auth.currentUser.uid}/${post.key}`] = follow ? !!follow : null;
-            lastPostId = post.key;
-          });
+  uploadNewVideo(video, text, mentions = null, progressCallback = () => {}) {
+    // Get a reference to where the post will be created.
+    const newPostKey = this.database.ref('/posts').push().key;
+
+    // Keep track of the progress of all uploads.
+    const onProgress = FirebaseHelper._trackUploadsProgress({
+      video: video.file.size,
+      full: video.full.size,
+      thumb: video.thumb.size,
+    }, progressCallback);
+
+    // Start the video, poster and thumb files uploads to Cloud Storage.
+    const videoRef = this.storage.ref(`${this.auth.currentUser.uid}/video/${newPostKey}/${video.fileName}`);
+    const picRef = this.storage.ref(`${this.auth.currentUser.uid}/full/${newPostKey}/${video.fileName}.jpg`);
+    const thumbRef = this.storage.ref(`${this.auth.currentUser.uid}/thumb/${newPostKey}/${video.fileName}.jpg`);
+    return Promise.all([
+      this._uploadFile(videoRef, video.file, (snapshot) => onProgress('video', snapshot)),
+      this._uploadFile(picRef, video.full, (snapshot) => onProgress('full', snapshot)),
+      this._uploadFile(thumbRef, video.thumb, (snapshot) => onProgress('thumb', snapshot)),
+    ]).then((urls) => {
+      // Once the video and its poster have been uploaded add a new post in the Firebase Database.
+      // The poster is saved as the post's image for clients which do not support videos.
+      return this._addNewPost(newPostKey, {
+        media_type: 'video',
+        video_url: urls[0],
+        full_url: urls[1],
+        thumb_url: urls[2],
+        text: text,
+        mentions: mentions,
+        video_storage_uri: videoRef.toString(),
+        full_storage_uri: picRef.toString(),
+        thumb_storage_uri: thumbRef.toString(),
+      });
+    });
+  }
+
+  /**
+   * Adds a new post with the given data in the Firebase Database and to its fanned out posts lists
+   * (user's posts and home post). The author and creation details are added to the post.
+   * This returns a Promise which completes with the new Post ID.
+   * @private
+   */
+  _addNewPost(postId, postData) {
+    const update = {};
+    update[`/posts/${postId}`] = Object.assign({
+      client: 'web',
+      timestamp: firebase.database.ServerValue.TIMESTAMP,
+      author: this._getAuthor(),
+    }, postData);
+    update[`/people/${this.auth.currentUser.uid}/posts/${postId}`] = true;
+    update[`/feed/${this.auth.currentUser.uid}/${postId}`] = true;
+    return this.database.ref().update(update).then(() => postId);
+  }
+
+  /**
+   * Returns a function that keeps track of the progress of several uploads and calls
+   * `progressCallback` with the overall progress, between 0 and 1.
+   * `totalBytes` contains the expected size of each upload keyed by an upload ID. The returned
+   * function must be called with the upload ID and the upload task's snapshot.
+   * @private
+   * @static
+   */
+  static _trackUploadsProgress(totalBytes, progressCallback) {
+    const bytesTransferred = {};
+    const sum = (bytes) => Object.keys(bytes).reduce((total, key) => total + bytes[key], 0);
+    return (key, snapshot) => {
+      bytesTransferred[key] = snapshot.bytesTransferred;
+      totalBytes[key] = snapshot.totalBytes;
+      progressCallback(sum(bytesTransferred) / sum(totalBytes));
+    };
+  }
+
+  /**
+   * Uploads the given file to the given Cloud Storage reference and returns a Promise which
+   * completes with the file's download URL. `progressCallback` is called with the upload task's
+   * snapshots while uploading.
+   * @private
+   */
+  _uploadFile(storageRef, file, progressCallback) {
+    const uploadTask = storageRef.put(file, {contentType: file.type});
+    uploadTask.on('state_changed', progressCallback);
+    return uploadTask.then((snapshot) => {
+      console.log('New file uploaded. Size:', snapshot.totalBytes, 'bytes.');
+      return snapshot.ref.getDownloadURL().then((url) => {
+        console.log('File available at', url);
+        return url;
+      });
+    }).catch((error) => {
+      console.error('Error while uploading new file', error);
+      throw error;
+    });
+  }
 
-          // Add/remove followed user to the 'following' list.
-          updateData[`/people/${this.auth.currentUser.uid}/following/${followedUserId}`] =
-              follow ? lastPostId : null;
+  /**
+   * Uploads the given image blob to Cloud Storage and adds a new story referencing it. The story
+   * expires after `STORY_DURATION`.
+   * This returns a Promise which completes with the new story ID.
+   */
+  async uploadNewStory(image, fileName) {
+    const uid = this.auth.currentUser.uid;
+    const storyId = this.database.ref(`/stories/${uid}`).push().key;
+    const storyRef = this.storage.ref(`${uid}/story/${storyId}/${fileName}`);
+    const [url, serverTimeOffsetSnap] = await Promise.all([
+      this._uploadFile(storyRef, image, () => {}),
+      this.database.ref('/.info/serverTimeOffset').once('value'),
+    ]);
+    await this.database.ref(`/stories/${uid}/${storyId}`).set({
+      full_url: url,
+      storage_uri: storyRef.toString(),
+      timestamp: firebase.database.ServerValue.TIMESTAMP,
+      author: this._getAuthor(),
+      // Uses the estimated server time so that the expiration passes the security rules checks.
+      expires_at: Date.now() + serverTimeOffsetSnap.val() + FirebaseHelper.STORY_DURATION,
+    });
+    return storyId;
+  }
 
-          // Add/remove signed-in user to the list of followers.
-          updateData[`/followers/${followedUserId}/${this.auth.currentUser.uid}`] =
-              follow ? !!follow : null;
-          return this.database.ref().update(updateData);
+  /**
+   * Fetches the stories which have not expired yet of the given users. The returned Promise
+   * resolves with a Map of the stories of each user, oldest first. Users without stories, or whose
+   * stories can't be read, are left out.
+   */
+  async getStories(uids) {
+    const queries = uids.map((uid) => this.database.ref(`/stories/${uid}`).orderByChild('expires_at')
+        .startAt(Date.now()).once('value').catch(() => null));
+    const results = await Promise.all(queries);
+    const stories = {};
+    results.forEach((result) => {
+      if (result && result.exists() && !this.isBlockedUser(result.key)) {
+        stories[result.key] = [];
+        result.forEach((storySnap) => {
+          stories[result.key].push(Object.assign({id: storySnap.key}, storySnap.val()));
         });
+      }
+    });
+    return stories;
+  }
+
+  /**
+   * Fetches the UIDs of the users followed by the current user.
+   */
+  async getFollowingUids() {
+    const data = await this.database.ref(`/people/${this.auth.currentUser.uid}/following`).once('value');
+    return Object.keys(data.val() || {});
+  }
+
+  /**
+   * Fetches the ID of the latest story the current user has seen for each author.
+   */
+  async getSeenStories() {
+    const data = await this.database.ref(`/storiesSeen/${this.auth.currentUser.uid}`).once('value');
+    return data.val() || {};
+  }
+
+  /**
+   * Marks the given story as seen by the current user and sends a view receipt to its author.
+   */
+  markStoryAsSeen(authorUid, storyId) {
+    const uid = this.auth.currentUser.uid;
+    const seenRef = this.database.ref(`/storiesSeen/${uid}/${authorUid}`);
+    const updateSeen = seenRef.transaction((seenStoryId) => {
+      if (seenStoryId && seenStoryId >= storyId) {
+        return;
+      }
+      return storyId;
+    });
+    if (authorUid === uid) {
+      return updateSeen;
+    }
+    const viewRef = this.database.ref(`/storyViews/${authorUid}/${storyId}/${uid}`);
+    // Only the first view is recorded.
+    const addView = viewRef.set(firebase.database.ServerValue.TIMESTAMP).catch(() => null);
+    return Promise.all([updateSeen, addView]);
+  }
+
+  /**
+   * Fetches the profiles of the people who have viewed the given story of the current user, most
+   * recent first.
+   */
+  async getStoryViewers(storyId) {
+    const data = await this.database.ref(`/storyViews/${this.auth.currentUser.uid}/${storyId}`)
+        .orderByValue().once('value');
+    const viewerUids = [];
+    data.forEach((viewSnap) => {
+      viewerUids.unshift(viewSnap.key);
+    });
+    const results = await Promise.all(viewerUids.map((viewerUid) => this.loadUserProfile(viewerUid)));
+    return results.filter((result) => result.val()).map((result) => Object.assign({uid: result.key}, result.val()));
+  }
+
+  /**
+   * Follow/Unfollow a user and return a promise once that's done.
+   *
+   * The followed user's posts are added to or removed from the follower's home feed by a Cloud
+   * Function.
+   */
+  toggleFollowUser(followedUserId, follow) {
+    const updateData = {};
+
+    // Add/remove followed user to the 'following' list.
+    updateData[`/people/${this.auth.currentUser.uid}/following/${followedUserId}`] =
+        follow ? !!follow : null;
+
+    // Add/remove signed-in user to the list of followers.
+    updateData[`/followers/${followedUserId}/${this.auth.currentUser.uid}`] =
+        follow ? !!follow : null;
+    return this.database.ref().update(updateData);
+  }
+
+  /**
+   * Sends or cancels a request to follow the given private account and return a promise once
+   * that's done.
+   */
+  toggleFollowRequest(followedUserId, request) {
+    return this.database.ref(`/followRequests/${followedUserId}/${this.auth.currentUser.uid}`)
+        .set(request ? firebase.database.ServerValue.TIMESTAMP : null);
+  }
+
+  /**
+   * Approves the given user's request to follow the current user and return a promise once that's
+   * done.
+   */
+  approveFollowRequest(requesterUid) {
+    const updateData = {};
+    updateData[`/people/${requesterUid}/following/${this.auth.currentUser.uid}`] = true;
+    updateData[`/followers/${this.auth.currentUser.uid}/${requesterUid}`] = true;
+    updateData[`/followRequests/${this.auth.currentUser.uid}/${requesterUid}`] = null;
+    return this.database.ref().update(updateData);
+  }
+
+  /**
+   * Rejects the given user's request to follow the current user and return a promise once that's
+   * done.
+   */
+  rejectFollowRequest(requesterUid) {
+    return this.database.ref(`/followRequests/${this.auth.currentUser.uid}/${requesterUid}`).remove();
+  }
+
+  /**
+   * Listens to the pending requests to follow the current user. The callback is called with a Map
+   * of the profiles of the requesters.
+   */
+  registerForFollowRequests(callback) {
+    const followRequestsRef = this.database.ref(`/followRequests/${this.auth.currentUser.uid}`);
+    followRequestsRef.on('value', async (data) => {
+      const requesterUids = Object.keys(data.val() || {});
+      const results = await Promise.all(requesterUids.map((uid) => this.loadUserProfile(uid)));
+      const profiles = {};
+      results.forEach((result) => {
+        if (result.val()) {
+          profiles[result.key] = result.val();
+        }
+      });
+      callback(profiles);
+    });
+    this.firebaseRefs.push(followRequestsRef);
   }
 
   /**
@@ -656,6 +1364,51 @@ export default class FirebaseHelper {
     this.firebaseRefs.push(followStatusRef);
   }
 
+  /**
+   * Returns a promise resolving with `true` if the current user follows the given user.
+   */
+  async isFollowing(userId) {
+    const snapshot = await this.database.ref(`/followers/${userId}/${this.auth.currentUser.uid}`)
+        .once('value');
+    return snapshot.exists();
+  }
+
+  /**
+   * Listens to updates on the status of the current user's request to follow the given user.
+   */
+  registerToFollowRequestStatusUpdate(userId, callback) {
+    const followRequestRef =
+        this.database.ref(`/followRequests/${userId}/${this.auth.currentUser.uid}`);
+    followRequestRef.on('value', callback);
+    this.firebaseRefs.push(followRequestRef);
+  }
+
+  /**
+   * Mutes/Unmutes a user and return a promise once that's done.
+   */
+  toggleMuteUser(mutedUserId, mute) {
+    return this.database.ref(`/muting/${this.auth.currentUser.uid}/users/${mutedUserId}`)
+        .set(mute ? true : null);
+  }
+
+  /**
+   * Mutes/Unmutes a hashtag and return a promise once that's done.
+   */
+  toggleMuteHashtag(hashtag, mute) {
+    return this.database.ref(`/muting/${this.auth.currentUser.uid}/hashtags/${hashtag.toLowerCase()}`)
+        .set(mute ? true : null);
+  }
+
+  /**
+   * Listens to updates on the muted status of the given user.
+   */
+  registerToMuteStatusUpdate(userId, callback) {
+    const muteStatusRef =
+        this.database.ref(`/muting/${this.auth.currentUser.uid}/users/${userId}`);
+    muteStatusRef.on('value', callback);
+    this.firebaseRefs.push(muteStatusRef);
+  }
+
   /**
    * Listens to updates on the blocked status of the given user.
    */
@@ -666,6 +1419,274 @@ export default class FirebaseHelper {
     this.firebaseRefs.push(blockStatusRef);
   }
 
+  /**
+   * Saves the given post in the given collection of the current user, creating the collection if
+   * needed. A post is saved in a single collection so it is moved if it was already saved.
+   */
+  async savePost(postId, collectionName) {
+    const uid = this.auth.currentUser.uid;
+    const [collectionSnap, savedIndexSnap] = await Promise.all([
+      this.database.ref(`/savedCollections/${uid}/${collectionName}`).once('value'),
+      this.database.ref(`/savedIndex/${uid}/${postId}`).once('value'),
+    ]);
+    const updateObj = {};
+    if (!collectionSnap.exists()) {
+      updateObj[`/savedCollections/${uid}/${collectionName}`] = firebase.database.ServerValue.TIMESTAMP;
+    }
+    if (savedIndexSnap.exists()) {
+      updateObj[`/saved/${uid}/${savedIndexSnap.val()}/${postId}`] = null;
+    }
+    updateObj[`/saved/${uid}/${collectionName}/${postId}`] = true;
+    updateObj[`/savedIndex/${uid}/${postId}`] = collectionName;
+    return this.database.ref().update(updateObj);
+  }
+
+  /**
+   * Removes the given post from the saved posts of the current user.
+   */
+  async unsavePost(postId) {
+    const uid = this.auth.currentUser.uid;
+    const savedIndexSnap = await this.database.ref(`/savedIndex/${uid}/${postId}`).once('value');
+    const updateObj = {};
+    if (savedIndexSnap.exists()) {
+      updateObj[`/saved/${uid}/${savedIndexSnap.val()}/${postId}`] = null;
+    }
+    updateObj[`/savedIndex/${uid}/${postId}`] = null;
+    return this.database.ref().update(updateObj);
+  }
+
+  /**
+   * Listens to updates on the saved status of the given post. The callback is called with the name
+   * of the collection the post is saved in or `null`.
+   */
+  registerToSavedStatusUpdate(postId, callback) {
+    const savedStatusRef = this.database.ref(`/savedIndex/${this.auth.currentUser.uid}/${postId}`);
+    savedStatusRef.on('value', (data) => callback(data.val()));
+    this.firebaseRefs.push(savedStatusRef);
+  }
+
+  /**
+   * Fetches the names of the saved posts collections of the current user, oldest first.
+   */
+  async getSavedCollections() {
+    const snapshot = await this.database.ref(`/savedCollections/${this.auth.currentUser.uid}`)
+        .orderByValue().once('value');
+    const collectionNames = [];
+    snapshot.forEach((collectionSnap) => {
+      collectionNames.push(collectionSnap.key);
+    });
+    return collectionNames;
+  }
+
+  /**
+   * Creates an empty saved posts collection.
+   */
+  createSavedCollection(collectionName) {
+    return this.database.ref(`/savedCollections/${this.auth.currentUser.uid}/${collectionName}`)
+        .set(firebase.database.ServerValue.TIMESTAMP);
+  }
+
+  /**
+   * Renames a saved posts collection. The posts of the collection are moved to the new one.
+   */
+  async renameSavedCollection(collectionName, newCollectionName) {
+    const uid = this.auth.currentUser.uid;
+    const [collectionSnap, postsSnap] = await Promise.all([
+      this.database.ref(`/savedCollections/${uid}/${collectionName}`).once('value'),
+      this.database.ref(`/saved/${uid}/${collectionName}`).once('value'),
+    ]);
+    const updateObj = {};
+    updateObj[`/savedCollections/${uid}/${collectionName}`] = null;
+    updateObj[`/savedCollections/${uid}/${newCollectionName}`] = collectionSnap.val();
+    updateObj[`/saved/${uid}/${collectionName}`] = null;
+    postsSnap.forEach((postSnap) => {
+      updateObj[`/saved/${uid}/${newCollectionName}/${postSnap.key}`] = true;
+      updateObj[`/savedIndex/${uid}/${postSnap.key}`] = newCollectionName;
+    });
+    return this.database.ref().update(updateObj);
+  }
+
+  /**
+   * Deletes a saved posts collection and un-saves all its posts.
+   */
+  async deleteSavedCollection(collectionName) {
+    const uid = this.auth.currentUser.uid;
+    const postsSnap = await this.database.ref(`/saved/${uid}/${collectionName}`).once('value');
+    const updateObj = {};
+    updateObj[`/savedCollections/${uid}/${collectionName}`] = null;
+    updateObj[`/saved/${uid}/${collectionName}`] = null;
+    postsSnap.forEach((postSnap) => {
+      updateObj[`/savedIndex/${uid}/${postSnap.key}`] = null;
+    });
+    return this.database.ref().update(updateObj);
+  }
+
+  /**
+   * Paginates the posts saved in the given collection of the current user.
+   *
+   * Fetches a page of `SAVED_PAGE_POSTS_PAGE_SIZE` posts from the collection.
+   *
+   * We return a `Promise` which resolves with an Map of posts and a function to the next page or
+   * `null` if there is no next page.
+   */
+  getSavedPosts(collectionName) {
+    return this._getPaginatedFeed(`/saved/${this.auth.currentUser.uid}/${collectionName}`,
+        FirebaseHelper.SAVED_PAGE_POSTS_PAGE_SIZE, null, true);
+  }
+
+  /**
+   * Starts a conversation between the current user and the given users and returns a Promise which
+   * resolves with the ID of the conversation. Conversations with a single other user and no `name`
+   * are direct conversations: there is only one per pair of users and it is re-used.
+   * The Promise is rejected if one of the users has blocked the current user or has been blocked.
+   */
+  async startConversation(memberUids, name = null) {
+    const uid = this.auth.currentUser.uid;
+    if (memberUids.some((memberUid) => this.isBlockedUser(memberUid))) {
+      throw new Error('Conversations with blocked users are not allowed.');
+    }
+    const members = {};
+    [uid].concat(memberUids).forEach((memberUid) => members[memberUid] = true);
+
+    if (memberUids.length === 1 && !name) {
+      const conversationId = `dm_${[uid, memberUids[0]].sort().join('_')}`;
+      const membershipRef = this.database.ref(`/conversations/${conversationId}/members/${uid}`);
+      const membershipSnap = await membershipRef.once('value');
+      if (!membershipSnap.exists()) {
+        // If the conversation already exists the current user can only re-join it.
+        await this.database.ref(`/conversations/${conversationId}/members`).set(members)
+            .catch(() => membershipRef.set(true));
+      }
+      return conversationId;
+    }
+
+    const conversationId = `group_${this.database.ref('/conversations').push().key}`;
+    const updateData = {};
+    updateData[`/conversations/${conversationId}/members`] = members;
+    updateData[`/conversations/${conversationId}/name`] = name;
+    await this.database.ref().update(updateData);
+    return conversationId;
+  }
+
+  /**
+   * Fetches the members' profiles, the name and the last message of the given conversation.
+   */
+  async getConversation(conversationId) {
+    const conversationRef = this.database.ref(`/conversations/${conversationId}`);
+    const results = await Promise.all([
+      conversationRef.child('members').once('value'),
+      conversationRef.child('name').once('value'),
+      conversationRef.child('last_message').once('value'),
+    ]);
+    const memberUids = Object.keys(results[0].val() || {});
+    const profiles = await Promise.all(memberUids.map((memberUid) => this.loadUserProfile(memberUid)));
+    const members = {};
+    profiles.forEach((profile) => {
+      members[profile.key] = profile.val() || {};
+    });
+    return {id: conversationId, members: members, name: results[1].val(), last_message: results[2].val()};
+  }
+
+  /**
+   * Listens to the list of conversations of the current user. The callback is called with the
+   * conversations' IDs, most recent first, and a Map of their last message time and unread count.
+   */
+  registerForConversationsUpdate(callback) {
+    const conversationsRef = this.database.ref(`/userConversations/${this.auth.currentUser.uid}`)
+        .orderByChild('last_message_at');
+    conversationsRef.on('value', (data) => {
+      const conversationIds = [];
+      data.forEach((conversationSnap) => {
+        conversationIds.unshift(conversationSnap.key);
+      });
+      callback(conversationIds, data.val() || {});
+    });
+    this.firebaseRefs.push(conversationsRef);
+  }
+
+  /**
+   * Paginates the messages of the given conversation.
+   *
+   * Fetches a page of `MESSAGES_PAGE_SIZE` messages.
+   *
+   * We return a `Promise` which resolves with an Map of messages and a function to the next page or
+   * `null` if there is no next page.
+   */
+  getMessages(conversationId) {
+    return this._getPaginatedFeed(`/conversations/${conversationId}/messages`, FirebaseHelper.MESSAGES_PAGE_SIZE);
+  }
+
+  /**
+   * Subscribes to receive the new messages of the given conversation.
+   *
+   * If provided we'll only listen to messages that were sent after `latestMessageId`.
+   */
+  subscribeToMessages(conversationId, callback, latestMessageId) {
+    return this._subscribeToFeed(`/conversations/${conversationId}/messages`, callback, latestMessageId, false);
+  }
+
+  /**
+   * Sends a message to the given conversation. If provided the `image` blob is uploaded to Cloud
+   * Storage and attached to the message.
+   * This returns a Promise which completes with the new message ID.
+   */
+  async sendMessage(conversationId, text, image = null, fileName = null) {
+    const uid = this.auth.currentUser.uid;
+    const messageRef = this.database.ref(`/conversations/${conversationId}/messages`).push();
+    const message = {
+      timestamp: firebase.database.ServerValue.TIMESTAMP,
+      author: this._getAuthor(),
+    };
+    if (text) {
+      message.text = text;
+    }
+    if (image) {
+      const imageRef = this.storage.ref(`${uid}/messages/${conversationId}/${messageRef.key}/${fileName}`);
+      message.image_url = await this._uploadFile(imageRef, image, () => {});
+      message.image_storage_uri = imageRef.toString();
+    }
+    await messageRef.set(message);
+    return messageRef.key;
+  }
+
+  /**
+   * Resets the unread messages count of the given conversation.
+   */
+  markConversationAsRead(conversationId) {
+    return this.database.ref(`/userConversations/${this.auth.currentUser.uid}/${conversationId}/unread_count`)
+        .set(0);
+  }
+
+  /**
+   * Removes the given conversation from the list of conversations of the current user. Direct
+   * conversations come back in the list when a new message is sent. The current user is removed
+   * from the members of group conversations.
+   */
+  leaveConversation(conversationId) {
+    const uid = this.auth.currentUser.uid;
+    if (conversationId.startsWith('dm_')) {
+      return this.database.ref(`/userConversations/${uid}/${conversationId}`).remove();
+    }
+    return this.database.ref(`/conversations/${conversationId}/members/${uid}`).remove();
+  }
+
+  /**
+   * Listens to the total number of unread messages of the current user.
+   * This listener is not cancelled by `cancelAllSubscriptions()` as it is displayed on all pages.
+   * Instead this returns a function which stops the listener.
+   */
+  registerForUnreadMessagesCount(callback) {
+    const conversationsRef = this.database.ref(`/userConversations/${this.auth.currentUser.uid}`);
+    conversationsRef.on('value', (data) => {
+      let nbUnread = 0;
+      data.forEach((conversationSnap) => {
+        nbUnread += conversationSnap.child('unread_count').val() || 0;
+      });
+      callback(nbUnread);
+    });
+    return () => conversationsRef.off();
+  }
+
   /**
    * Enables or disables the notifications for that user.
    */
@@ -674,6 +1695,15 @@ export default class FirebaseHelper {
         .set(checked ? checked : null);
   }
 
+  /**
+   * Enables or disables the notifications of the given type for that user. The type is one of
+   * `follows`, `likes`, `comments`, `mentions` or `messages`.
+   */
+  setNotificationPref(type, enabled) {
+    return this.database.ref(`/people/${this.auth.currentUser.uid}/notificationPrefs/${type}`)
+        .set(enabled);
+  }
+
   /**
    * Saves the given notification token.
    */
@@ -692,6 +1722,61 @@ export default class FirebaseHelper {
     this.firebaseRefs.push(followStatusRef);
   }
 
+  /**
+   * Listens to updates on the notification preferences of the current user.
+   */
+  registerToNotificationPrefsUpdate(callback) {
+    const prefsRef = this.database.ref(`/people/${this.auth.currentUser.uid}/notificationPrefs`);
+    prefsRef.on('value', (data) => callback(data.val() || {}));
+    this.firebaseRefs.push(prefsRef);
+  }
+
+  /**
+   * Paginates the activity items of the current user.
+   *
+   * Fetches a page of `NOTIFICATIONS_PAGE_SIZE` activity items.
+   *
+   * We return a `Promise` which resolves with an Map of activity items and a function to the next
+   * page or `null` if there is no next page.
+   */
+  getNotifications() {
+    return this._getPaginatedFeed(`/notifications/${this.auth.currentUser.uid}`,
+        FirebaseHelper.NOTIFICATIONS_PAGE_SIZE);
+  }
+
+  /**
+   * Marks the given activity items of the current user as read.
+   */
+  markNotificationsAsRead(notificationIds) {
+    const updates = {};
+    notificationIds.forEach((notificationId) => {
+      updates[`/notifications/${this.auth.currentUser.uid}/${notificationId}/read`] = true;
+    });
+    return this.database.ref().update(updates);
+  }
+
+  /**
+   * Marks all the activity items of the current user as read.
+   */
+  async markAllNotificationsAsRead() {
+    const snap = await this.database.ref(`/notifications/${this.auth.currentUser.uid}`)
+        .orderByChild('read').equalTo(false).once('value');
+    return this.markNotificationsAsRead(Object.keys(snap.val() || {}));
+  }
+
+  /**
+   * Listens to the number of unread activity items of the current user, up to
+   * `MAX_UNREAD_NOTIFICATIONS_COUNT`.
+   * This listener is not cancelled by `cancelAllSubscriptions()` as it is displayed on all pages.
+   * Instead this returns a function which stops the listener.
+   */
+  registerForUnreadNotificationsCount(callback) {
+    const unreadRef = this.database.ref(`/notifications/${this.auth.currentUser.uid}`)
+        .orderByChild('read').equalTo(false).limitToLast(FirebaseHelper.MAX_UNREAD_NOTIFICATIONS_COUNT);
+    unreadRef.on('value', (data) => callback(data.numChildren()));
+    return () => unreadRef.off();
+  }
+
   /**
    * Load a single user profile information
    */
@@ -700,43 +1785,43 @@ export default class FirebaseHelper {
   }
 
   /**
-   * Listens to updates on the likes of a post and calls the callback with likes counts.
-   * TODO: This won't scale if a user has a huge amount of likes. We need to keep track of a
-   *       likes count instead.
+   * Listens to updates on the likes count of a post and calls the callback with likes counts.
+   * The count is maintained by a Cloud Function.
    */
   registerForLikesCount(postId, likesCallback) {
-    const likesRef = this.database.ref(`/likes/${postId}`);
-    likesRef.on('value', (data) => likesCallback(data.numChildren()));
-    this.firebaseRefs.push(likesRef);
+    const likesCountRef = this.database.ref(`/posts/${postId}/likes_count`);
+    likesCountRef.on('value', (data) => likesCallback(data.val() || 0));
+    this.firebaseRefs.push(likesCountRef);
   }
 
   /**
-   * Listens to updates on the comments of a post and calls the callback with comments counts.
+   * Listens to updates on the comments count of a post and calls the callback with comments counts.
+   * The count is maintained by a Cloud Function.
    */
   registerForCommentsCount(postId, commentsCallback) {
-    const commentsRef = this.database.ref(`/comments/${postId}`);
-    commentsRef.on('value', (data) => commentsCallback(data.numChildren()));
-    this.firebaseRefs.push(commentsRef);
+    const commentsCountRef = this.database.ref(`/posts/${postId}/comments_count`);
+    commentsCountRef.on('value', (data) => commentsCallback(data.val() || 0));
+    this.firebaseRefs.push(commentsCountRef);
   }
 
   /**
-   * Listens to updates on the followers of a person and calls the callback with followers counts.
-   * TODO: This won't scale if a user has a huge amount of followers. We need to keep track of a
-   *       follower count instead.
+   * Listens to updates on the followers count of a person and calls the callback with followers
+   * counts. The count is maintained by a Cloud Function.
    */
   registerForFollowersCount(uid, followersCallback) {
-    const followersRef = this.database.ref(`/followers/${uid}`);
-    followersRef.on('value', (data) => followersCallback(data.numChildren()));
-    this.firebaseRefs.push(followersRef);
+    const followersCountRef = this.database.ref(`/people/${uid}/followers_count`);
+    followersCountRef.on('value', (data) => followersCallback(data.val() || 0));
+    this.firebaseRefs.push(followersCountRef);
   }
 
   /**
-   * Listens to updates on the followed people of a person and calls the callback with its count.
+   * Listens to updates on the followed people count of a person and calls the callback with its
+   * count. The count is maintained by a Cloud Function.
    */
   registerForFollowingCount(uid, followingCallback) {
-    const followingRef = this.database.ref(`/people/${uid}/following`);
-    followingRef.on('value', (data) => followingCallback(data.numChildren()));
-    this.firebaseRefs.push(followingRef);
+    const followingCountRef = this.database.ref(`/people/${uid}/following_count`);
+    followingCountRef.on('value', (data) => followingCallback(data.val() || 0));
+    this.firebaseRefs.push(followingCountRef);
   }
 
   /**
@@ -748,6 +1833,15 @@ export default class FirebaseHelper {
     this.firebaseRefs.push(thumbRef);
   }
 
+  /**
+   * Listens for changes of the list of images of a given post.
+   */
+  registerForImagesChanges(postId, callback) {
+    const imagesRef = this.database.ref(`/posts/${postId}/images`);
+    imagesRef.on('value', (data) => callback(data.val()));
+    this.firebaseRefs.push(imagesRef);
+  }
+
   /**
    * Fetch the list of followed people's profile.
    */
@@ -772,40 +1866,73 @@ export default class FirebaseHelper {
   }
 
   /**
-   * Listens to updates on the user's posts and calls the callback with user posts counts.
+   * Fetch the list of the profiles of the users blocked by the current user.
+   */
+  async getBlockedProfiles() {
+    const data = await this.database.ref(`/blocking/${this.auth.currentUser.uid}`).once('value');
+    const blockedUids = Object.keys(data.val() || {});
+    const results = await Promise.all(blockedUids.map((blockedUid) => this.loadUserProfile(blockedUid)));
+    const profiles = {};
+    results.forEach((result) => {
+      // Deleted accounts are still listed so that they can be unblocked.
+      profiles[result.key] = result.val() || {};
+    });
+    return profiles;
+  }
+
+  /**
+   * Fetch the list of the profiles of the users muted by the current user.
+   */
+  async getMutedProfiles() {
+    const data = await this.database.ref(`/muting/${this.auth.currentUser.uid}/users`).once('value');
+    const mutedUids = Object.keys(data.val() || {});
+    const results = await Promise.all(mutedUids.map((mutedUid) => this.loadUserProfile(mutedUid)));
+    const profiles = {};
+    results.forEach((result) => {
+      profiles[result.key] = result.val() || {};
+    });
+    return profiles;
+  }
+
+  /**
+   * Fetch the list of the hashtags muted by the current user.
+   */
+  async getMutedHashtags() {
+    const data = await this.database.ref(`/muting/${this.auth.currentUser.uid}/hashtags`).once('value');
+    return Object.keys(data.val() || {});
+  }
+
+  /**
+   * Listens to updates on the user's posts count and calls the callback with user posts counts.
+   * The count is maintained by a Cloud Function.
    */
   registerForPostsCount(uid, postsCallback) {
-    const userPostsRef = this.database.ref(`/people/${uid}/posts`);
-    userPostsRef.on('value', (data) => postsCallback(data.numChildren()));
-    this.firebaseRefs.push(userPostsRef);
+    const postsCountRef = this.database.ref(`/people/${uid}/posts_count`);
+    postsCountRef.on('value', (data) => postsCallback(data.val() || 0));
+    this.firebaseRefs.push(postsCountRef);
   }
 
   /**
    * Deletes the given post from the global post feed and the user's post feed. Also deletes
-   * comments, likes and the file on Cloud Storage.
+   * comments, likes and the files listed in `storageUris` on Cloud Storage.
    */
-  deletePost(postId, picStorageUri, thumbStorageUri) {
+  deletePost(postId, storageUris = []) {
     console.log(`Deleting ${postId}`);
     const updateObj = {};
     updateObj[`/people/${this.auth.currentUser.uid}/posts/${postId}`] = null;
     updateObj[`/comments/${postId}`] = null;
     updateObj[`/likes/${postId}`] = null;
+    updateObj[`/postRevisions/${postId}`] = null;
     updateObj[`/posts/${postId}`] = null;
     updateObj[`/feed/${this.auth.currentUser.uid}/${postId}`] = null;
     const deleteFromDatabase = this.database.ref().update(updateObj);
-    if (picStorageUri) {
-      let deletePicFromStorage;
-      let deleteThumbFromStorage;
-      if (picStorageUri.startsWith('gs:/')) {
-        deletePicFromStorage = this.storage.refFromURL(picStorageUri).delete();
-        deleteThumbFromStorage = this.storage.refFromURL(thumbStorageUri).delete();
-      } else {
-        deletePicFromStorage = this.storage.ref(picStorageUri).delete();
-        deleteThumbFromStorage = this.storage.ref(thumbStorageUri).delete();
+    const deleteFromStorage = storageUris.map((storageUri) => {
+      if (storageUri.startsWith('gs:/')) {
+        return this.storage.refFromURL(storageUri).delete();
       }
-      return Promise.all([deleteFromDatabase, deletePicFromStorage, deleteThumbFromStorage]);
-    }
-    return deleteFromDatabase;
+      return this.storage.ref(storageUri).delete();
+    });
+    return Promise.all([deleteFromDatabase].concat(deleteFromStorage));
   }
 
   /**
@@ -823,17 +1950,164 @@ export default class FirebaseHelper {
   }
 
   /**
-   * Deletes the given postId entry from the user's home feed.
+   * Fetches the flagged posts and comments, most reported first. Each report has the `postId` and
+   * `commentId` of the flagged content, the number of reporters `nbReports` and the `post` and
+   * `comment` data. Only admins can read the flags.
+   */
+  async getFlaggedContent() {
+    const results = await Promise.all([
+      this.database.ref('/postFlags').once('value'),
+      this.database.ref('/commentFlags').once('value'),
+    ]);
+    const reports = [];
+    results[0].forEach((flagsSnap) => {
+      reports.push({postId: flagsSnap.key, commentId: null, nbReports: flagsSnap.numChildren()});
+    });
+    results[1].forEach((postFlagsSnap) => postFlagsSnap.forEach((flagsSnap) => {
+      reports.push({postId: postFlagsSnap.key, commentId: flagsSnap.key, nbReports: flagsSnap.numChildren()});
+    }));
+    await Promise.all(reports.map(async (report) => {
+      const snaps = await Promise.all([
+        this.getPostData(report.postId),
+        report.commentId ? this.database.ref(`/comments/${report.postId}/${report.commentId}`).once('value') : null,
+      ]);
+      report.post = snaps[0].val();
+      report.comment = snaps[1] && snaps[1].val();
+      if (report.comment && report.comment.hidden_pending_review) {
+        Object.assign(report.comment, (await this.getHiddenComment(report.postId, report.commentId)).val());
+      }
+    }));
+    return reports.sort((a, b) => b.nbReports - a.nbReports);
+  }
+
+  /**
+   * Applies the given moderation action (`dismiss`, `delete`, `blur`, `warn` or `suspend`) on a
+   * flagged post, or comment if a `commentId` is given, using a Cloud Function. Only admins can
+   * moderate content.
+   */
+  moderateContent(action, postId, commentId = null, reason = null) {
+    return this.functions.httpsCallable('moderateContent')({
+      action: action,
+      postId: postId,
+      commentId: commentId,
+      reason: reason,
+    });
+  }
+
+  /**
+   * Fetches the appeal of the signed-in user on the given moderated post, if any.
+   */
+  getAppeal(postId) {
+    return this.database.ref(`/appeals/${postId}`).once('value');
+  }
+
+  /**
+   * Appeals the moderation of the given post of the signed-in user for the given reason. Each post
+   * can only be appealed once.
+   */
+  appealModeration(postId, reason) {
+    return this.database.ref(`/appeals/${postId}`).set({
+      author_uid: this.auth.currentUser.uid,
+      reason: reason,
+      status: 'pending',
+      timestamp: firebase.database.ServerValue.TIMESTAMP,
+    });
+  }
+
+  /**
+   * Fetches the pending appeals, oldest first. Each appeal has the `postId` of the moderated post,
+   * the `appeal` details and the `post` data. Only admins can read the appeals of all users.
+   */
+  async getPendingAppeals() {
+    const snapshot = await this.database.ref('/appeals').orderByChild('status').equalTo('pending').once('value');
+    const appeals = [];
+    snapshot.forEach((appealSnap) => {
+      appeals.push({postId: appealSnap.key, appeal: appealSnap.val()});
+    });
+    await Promise.all(appeals.map(async (appeal) => {
+      appeal.post = (await this.getPostData(appeal.postId)).val();
+    }));
+    return appeals.sort((a, b) => a.appeal.timestamp - b.appeal.timestamp);
+  }
+
+  /**
+   * Accepts, restoring the original text and images of the post, or rejects the appeal on the given
+   * post using a Cloud Function. The author is notified of the decision along with the optional
+   * message. Only admins can resolve appeals.
+   */
+  resolveAppeal(postId, accept, message = null) {
+    return this.functions.httpsCallable('resolveAppeal')({postId: postId, accept: accept, message: message});
+  }
+
+  /**
+   * Restores the originals of the blurred images of the given post using a Cloud Function. Only
+   * admins can unblur images.
+   */
+  unblurImage(postId) {
+    return this.functions.httpsCallable('unblurImage')({postId: postId});
+  }
+
+  /**
+   * Listens to the suspension of the signed-in user and calls the callback with the suspension
+   * details, or `null` if the user isn't suspended. Returns a function to stop listening.
+   */
+  registerForSuspension(callback) {
+    const suspensionRef = this.database.ref(`/suspensions/${this.auth.currentUser.uid}`);
+    suspensionRef.on('value', (data) => callback(data.val()));
+    return () => suspensionRef.off();
+  }
+
+  /**
+   * Fetches the suspension details of the given user. Only admins can read the suspensions of
+   * other users.
+   */
+  getSuspension(uid) {
+    return this.database.ref(`/suspensions/${uid}`).once('value');
+  }
+
+  /**
+   * Suspends the given user until the `expiresAt` timestamp using a Cloud Function. Only admins can
+   * suspend users.
+   */
+  suspendUser(uid, reason, expiresAt) {
+    return this.functions.httpsCallable('suspendUser')({uid: uid, reason: reason, expiresAt: expiresAt});
+  }
+
+  /**
+   * Bans the given user indefinitely using a Cloud Function. Only admins can ban users.
+   */
+  banUser(uid, reason) {
+    return this.functions.httpsCallable('banUser')({uid: uid, reason: reason});
+  }
+
+  /**
+   * Lifts the suspension or ban of the given user using a Cloud Function. Only admins can reinstate
+   * users.
+   */
+  reinstateUser(uid) {
+    return this.functions.httpsCallable('reinstateUser')({uid: uid});
+  }
+
+  /**
+   * Deletes the given postId entry from the user's home feed. Posts removed from a saved posts
+   * collection are also removed from `/savedIndex` in the same update.
    */
   deleteFromFeed(uri, postId) {
+    const savedCollection = uri.match(/^\/saved\/([^/]+)\/[^/]+$/);
+    if (savedCollection) {
+      const updateObj = {};
+      updateObj[`${uri}/${postId}`] = null;
+      updateObj[`/savedIndex/${savedCollection[1]}/${postId}`] = null;
+      return this.database.ref().update(updateObj);
+    }
     return this.database.ref(`${uri}/${postId}`).remove();
   }
 
   /**
-   * Listens to deletions on posts from the global feed.
+   * Listens to deletions on posts from the given feed, by default the feed of recent posts.
    */
-  registerForPostsDeletion(deletionCallback) {
-    const postsRef = this.database.ref(`/posts`);
+  registerForPostsDeletion(deletionCallback, uri = '/recentPosts') {
+    const postsRef = this.database.ref(uri);
     postsRef.on('child_removed', (data) => deletionCallback(data.key));
     this.firebaseRefs.push(postsRef);
   }
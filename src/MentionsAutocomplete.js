@@ -0,0 +1,155 @@
+/**
+ * Copyright 2015 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+import $ from 'jquery';
+import {Utils} from './Utils';
+
+/**
+ * Handles the @mentions autocomplete dropdown of a text input.
+ */
+export default class MentionsAutocomplete {
+  /**
+   * The minimum number of characters after the `@` to trigger a search.
+   * @return {number}
+   */
+  static get MIN_CHARACTERS() {
+    return 2;
+  }
+
+  /**
+   * The maximum number of people suggested.
+   * @return {number}
+   */
+  static get NB_PEOPLE_RESULTS_LIMIT() {
+    return 5;
+  }
+
+  /**
+   * Initializes the autocomplete dropdown of the given text input.
+   * @constructor
+   */
+  constructor(firebaseHelper, input) {
+    this.firebaseHelper = firebaseHelper;
+    // Map of the UIDs of the people mentioned in the input to their name.
+    this.mentions = {};
+
+    // DOM Elements pointers.
+    this.input = $(input);
+    this.results = $('<div class="fp-mentions-results mdl-shadow--2dp"></div>');
+    this.input.after(this.results);
+
+    // Event bindings.
+    this.input.on('keyup click', () => this.displaySuggestions());
+    this.input.on('blur', () => setTimeout(() => this.results.hide(), 200));
+  }
+
+  /**
+   * Returns the `@` query being typed right before the cursor or `null` if the user isn't typing a
+   * mention.
+   * @private
+   */
+  _getCurrentQuery() {
+    const text = this.input.val().substring(0, this.input.prop('selectionStart'));
+    const match = text.match(/(^|\s)@([^@\s][^@]{0,30})$/);
+    return match ? match[2] : null;
+  }
+
+  /**
+   * Displays the people matching the mention being typed.
+   */
+  async displaySuggestions() {
+    const query = this._getCurrentQuery();
+    if (!query || query.trim().length < MentionsAutocomplete.MIN_CHARACTERS) {
+      this.results.hide();
+      return;
+    }
+    const people = await this.firebaseHelper.searchUsers(query.trim(),
+        MentionsAutocomplete.NB_PEOPLE_RESULTS_LIMIT);
+    // Make sure the query hasn't changed while searching.
+    if (query !== this._getCurrentQuery()) {
+      return;
+    }
+    this.results.empty();
+    const peopleIds = Object.keys(people);
+    if (peopleIds.length === 0) {
+      this.results.hide();
+      return;
+    }
+    peopleIds.forEach((uid) => {
+      const element = MentionsAutocomplete.createPersonSuggestionElement(people[uid]);
+      // Use mousedown so that the selection happens before the input's blur.
+      element.mousedown((e) => {
+        e.preventDefault();
+        this.selectPerson(query, uid, people[uid].full_name || 'Anonymous');
+      });
+      this.results.append(element);
+    });
+    this.results.show();
+  }
+
+  /**
+   * Replaces the given `query` being typed with a mention of the given user.
+   */
+  selectPerson(query, uid, fullName) {
+    const text = this.input.val();
+    const cursorPosition = this.input.prop('selectionStart');
+    const mentionStart = cursorPosition - query.length - 1;
+    const mention = `@${fullName} `;
+    this.input.val(text.substring(0, mentionStart) + mention + text.substring(cursorPosition));
+    this.input.prop('selectionStart', mentionStart + mention.length);
+    this.input.prop('selectionEnd', mentionStart + mention.length);
+    this.input.focus();
+    // Makes sure the Material text field label and the other listeners are updated.
+    this.input.trigger('input');
+    this.input.trigger('keyup');
+
+    this.mentions[uid] = fullName;
+    this.results.hide();
+  }
+
+  /**
+   * Returns the map of the UIDs of the people still mentioned in the input to their name or `null`
+   * if nobody is mentioned.
+   */
+  getMentions() {
+    return Utils.getMentions(this.input.val(), this.mentions);
+  }
+
+  /**
+   * Clears the list of mentioned people and the suggestions.
+   */
+  clear() {
+    this.mentions = {};
+    this.results.empty();
+    this.results.hide();
+  }
+
+  /**
+   * Returns the element of a single person suggestion.
+   */
+  static createPersonSuggestionElement(profile) {
+    const element = $(`
+        <div class="fp-mentions-result fp-usernamelink mdl-button mdl-js-button">
+            <div class="fp-avatar"></div>
+            <div class="fp-username mdl-color-text--black"></div>
+        </div>`);
+    $('.fp-avatar', element).css('background-image',
+        `url(${Utils.addSizeToGoogleProfilePic(profile.profile_picture || '/images/silhouette.jpg')})`);
+    $('.fp-username', element).text(profile.full_name || 'Anonymous');
+    return element;
+  }
+}
@@ -0,0 +1,409 @@
+/**
+ * Copyright 2015 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+import $ from 'jquery';
+import firebase from 'firebase/app';
+import 'firebase/auth';
+import page from 'page';
+import swal from 'sweetalert';
+import {MaterialUtils, Utils} from './Utils';
+import Post from './Post';
+
+/**
+ * Handles the list of conversations, the conversation view and the unread messages badge.
+ */
+export default class Messages {
+  /**
+   * Initializes the direct messages UI. Attached images are resized using the given `uploader`.
+   * @constructor
+   */
+  constructor(firebaseHelper, uploader) {
+    this.firebaseHelper = firebaseHelper;
+    this.uploader = uploader;
+    // ID of the conversation currently displayed.
+    this.conversationId = null;
+
+    // Firebase SDK.
+    this.auth = firebase.auth();
+
+    // DOM Elements.
+    this.messagesPage = $('#page-messages');
+    this.conversationsContainer = $('.fp-conversations-container', this.messagesPage);
+    this.noConversations = $('.fp-no-conversations', this.messagesPage);
+    this.conversationPage = $('#page-conversation');
+    this.conversationTitle = $('.fp-conversation-title', this.conversationPage);
+    this.messagesContainer = $('.fp-messages', this.conversationPage);
+    this.previousMessagesButton = $('.fp-previous-messages button', this.conversationPage);
+    this.messageForm = $('.fp-message-form', this.conversationPage);
+    this.messageInput = $('#fp-message-text');
+    this.imageInput = $('#fp-message-image');
+    this.blockedMessage = $('.fp-conversation-blocked', this.conversationPage);
+    this.unreadBadges = $('.fp-messages-badge');
+    this.toast = $('.mdl-js-snackbar');
+
+    // Event bindings.
+    $('.fp-new-group', this.messagesPage).click(() => this.createGroup());
+    $('.fp-leave-conversation', this.conversationPage).click(() => this.leaveConversation());
+    this.messageForm.submit((e) => {
+      e.preventDefault();
+      this.sendMessage();
+    });
+    this.imageInput.change((e) => this.sendImage(e));
+    this.auth.onAuthStateChanged(() => this.trackUnreadCount());
+  }
+
+  /**
+   * Starts listening to the number of unread messages of the signed-in user and displays it in the
+   * badges.
+   */
+  trackUnreadCount() {
+    if (this.stopTrackingUnreadCount) {
+      this.stopTrackingUnreadCount();
+      this.stopTrackingUnreadCount = null;
+    }
+    this.unreadBadges.removeAttr('data-badge');
+    if (this.auth.currentUser) {
+      this.stopTrackingUnreadCount = this.firebaseHelper.registerForUnreadMessagesCount((nbUnread) => {
+        if (nbUnread > 0) {
+          this.unreadBadges.attr('data-badge', nbUnread);
+        } else {
+          this.unreadBadges.removeAttr('data-badge');
+        }
+      });
+    }
+  }
+
+  /**
+   * Displays the conversations of the signed-in user, most recent first, and keeps the list up to
+   * date.
+   */
+  showConversations() {
+    // Reset the UI.
+    this.clear();
+
+    this.firebaseHelper.registerForConversationsUpdate(async (conversationIds, entries) => {
+      // The last message of the conversations changes each time they appear on top of the list.
+      const conversations = await Promise.all(conversationIds.map((conversationId) =>
+        this.firebaseHelper.getConversation(conversationId).catch(() => null)));
+      this.conversationsContainer.empty();
+      conversations.forEach((conversation) => {
+        if (conversation) {
+          this.conversationsContainer.append(
+              this.createConversationElement(conversation, entries[conversation.id].unread_count || 0));
+        }
+      });
+      this.noConversations.toggle(this.conversationsContainer.children().length === 0);
+    });
+  }
+
+  /**
+   * Returns the title of the given conversation: its name for groups or the names of the other
+   * members.
+   */
+  getConversationTitle(conversation) {
+    if (conversation.name) {
+      return conversation.name;
+    }
+    const names = Object.keys(conversation.members).filter((uid) => uid !== this.auth.currentUser.uid)
+        .map((uid) => conversation.members[uid].full_name || 'Anonymous');
+    return names.join(', ') || 'Just you';
+  }
+
+  /**
+   * Returns the element displaying the given conversation in the list of conversations.
+   */
+  createConversationElement(conversation, unreadCount) {
+    const otherUids = Object.keys(conversation.members).filter((uid) => uid !== this.auth.currentUser.uid);
+    const avatarProfile = conversation.members[otherUids[0]] || {};
+    const lastMessage = conversation.last_message;
+
+    const element = $(`
+        <a class="fp-conversation-item mdl-shadow--2dp mdl-cell mdl-cell--12-col">
+          <div class="fp-avatar"></div>
+          <div class="fp-conversation-text">
+            <div class="fp-conversation-name"></div>
+            <div class="fp-conversation-preview"></div>
+          </div>
+          <div class="fp-conversation-time"></div>
+          <div class="fp-conversation-unread mdl-badge" data-badge=""></div>
+        </a>`);
+    element.attr('href', `/messages/${conversation.id}`);
+    element.toggleClass('fp-conversation-unread-item', unreadCount > 0);
+    $('.fp-avatar', element).css('background-image',
+        `url(${Utils.addSizeToGoogleProfilePic(avatarProfile.profile_picture || '/images/silhouette.jpg')})`);
+    $('.fp-conversation-name', element).text(this.getConversationTitle(conversation));
+    if (lastMessage) {
+      const author = lastMessage.author_uid === this.auth.currentUser.uid ? 'You' : lastMessage.author_name;
+      $('.fp-conversation-preview', element).text(`${author}: ${lastMessage.text || 'Sent a photo'}`);
+      $('.fp-conversation-time', element).text(Post.getTimeText(lastMessage.timestamp));
+    } else {
+      $('.fp-conversation-preview', element).text('No messages yet');
+    }
+    if (unreadCount > 0) {
+      $('.fp-conversation-unread', element).attr('data-badge', unreadCount);
+    } else {
+      $('.fp-conversation-unread', element).hide();
+    }
+    return element;
+  }
+
+  /**
+   * Displays the given conversation and listens to its new messages.
+   */
+  async showConversation(conversationId) {
+    // Reset the UI.
+    this.clear();
+    this.conversationId = conversationId;
+
+    let conversation;
+    try {
+      conversation = await this.firebaseHelper.getConversation(conversationId);
+    } catch (error) {
+      console.error('Error while loading conversation', conversationId, error);
+      MaterialUtils.showSnackbar(this.toast, {message: 'This conversation does not exist.', timeout: 5000});
+      page('/messages');
+      return;
+    }
+    if (this.conversationId !== conversationId) {
+      return;
+    }
+    this.conversationTitle.text(this.getConversationTitle(conversation));
+
+    // Messages can't be sent in direct conversations with blocked users.
+    const otherUids = Object.keys(conversation.members).filter((uid) => uid !== this.auth.currentUser.uid);
+    const isBlocked = conversationId.startsWith('dm_') &&
+        otherUids.some((uid) => this.firebaseHelper.isBlockedUser(uid));
+    this.messageForm.toggle(!isBlocked);
+    this.blockedMessage.toggle(isBlocked);
+
+    const data = await this.firebaseHelper.getMessages(conversationId);
+    if (this.conversationId !== conversationId) {
+      return;
+    }
+    const messageIds = Object.keys(data.entries);
+    messageIds.forEach((messageId) => this.messagesContainer.append(
+        this.createMessageElement(messageId, data.entries[messageId])));
+    this.togglePreviousMessagesButton(data.nextPage);
+    this.scrollToLatestMessage();
+
+    // Listen for new messages.
+    const latestMessageId = messageIds.length > 0 ? messageIds[messageIds.length - 1] : null;
+    this.firebaseHelper.subscribeToMessages(conversationId, (messageId, message) => {
+      this.messagesContainer.append(this.createMessageElement(messageId, message));
+      this.scrollToLatestMessage();
+      this.firebaseHelper.markConversationAsRead(conversationId);
+    }, latestMessageId);
+    this.firebaseHelper.markConversationAsRead(conversationId);
+  }
+
+  /**
+   * Returns the element displaying the given message.
+   */
+  createMessageElement(messageId, message) {
+    const element = $(`
+        <div class="fp-message">
+          <div class="fp-avatar"></div>
+          <div class="fp-message-bubble">
+            <div class="fp-message-author"></div>
+            <div class="fp-message-text"></div>
+            <img class="fp-message-image">
+            <div class="fp-message-time"></div>
+          </div>
+        </div>`);
+    element.addClass(`fp-message-${messageId}`);
+    element.toggleClass('fp-message-own', message.author.uid === this.auth.currentUser.uid);
+    $('.fp-avatar', element).css('background-image',
+        `url(${Utils.addSizeToGoogleProfilePic(message.author.profile_picture || '/images/silhouette.jpg')})`);
+    $('.fp-message-author', element).text(message.author.full_name || 'Anonymous');
+    if (message.text) {
+      $('.fp-message-text', element).text(message.text);
+    } else {
+      $('.fp-message-text', element).hide();
+    }
+    if (message.image_url) {
+      $('.fp-message-image', element).attr('src', message.image_url);
+    } else {
+      $('.fp-message-image', element).remove();
+    }
+    $('.fp-message-time', element).text(Post.getTimeText(message.timestamp));
+    return element;
+  }
+
+  /**
+   * Shows the "load older messages" button and binds it the `nextPage` callback. If `nextPage` is
+   * `null` then the button is hidden.
+   */
+  togglePreviousMessagesButton(nextPage) {
+    if (nextPage) {
+      this.previousMessagesButton.show();
+      this.previousMessagesButton.unbind('click');
+      this.previousMessagesButton.prop('disabled', false);
+      this.previousMessagesButton.click(async () => {
+        this.previousMessagesButton.prop('disabled', true);
+        const data = await nextPage();
+        const messageIds = Object.keys(data.entries);
+        for (let i = messageIds.length - 1; i >= 0; i--) {
+          this.messagesContainer.prepend(this.createMessageElement(messageIds[i], data.entries[messageIds[i]]));
+        }
+        this.togglePreviousMessagesButton(data.nextPage);
+      });
+    } else {
+      this.previousMessagesButton.hide();
+    }
+  }
+
+  /**
+   * Scrolls the conversation to the latest message.
+   */
+  scrollToLatestMessage() {
+    this.messagesContainer.scrollTop(this.messagesContainer.prop('scrollHeight'));
+  }
+
+  /**
+   * Sends the text typed by the user to the current conversation.
+   */
+  async sendMessage() {
+    const text = this.messageInput.val().trim();
+    if (!text) {
+      return;
+    }
+    MaterialUtils.clearTextField(this.messageInput[0]);
+    try {
+      await this.firebaseHelper.sendMessage(this.conversationId, text);
+    } catch (error) {
+      console.error(error);
+      this.messageInput.val(text);
+      MaterialUtils.showSnackbar(this.toast, {message: 'There was an error while sending your message.', timeout: 5000});
+    }
+  }
+
+  /**
+   * Resizes the image selected by the user and sends it to the current conversation.
+   */
+  async sendImage(e) {
+    const file = e.target.files[0];
+    // Clear the selection in the file picker input so the same file can be picked again.
+    this.imageInput.val('');
+    if (!file) {
+      return;
+    }
+    if (!file.type.match('image.*')) {
+      MaterialUtils.showSnackbar(this.toast, {message: 'You can only send images.', timeout: 5000});
+      return;
+    }
+
+    const conversationId = this.conversationId;
+    this.messageForm.addClass('fp-message-uploading');
+    try {
+      const url = URL.createObjectURL(file);
+      const images = await this.uploader.generateImages({url: url, isVideo: false});
+      URL.revokeObjectURL(url);
+      await this.firebaseHelper.sendMessage(conversationId, null, images.full, file.name);
+    } catch (error) {
+      console.error(error);
+      MaterialUtils.showSnackbar(this.toast, {message: 'There was an error while sending your image.', timeout: 5000});
+    }
+    this.messageForm.removeClass('fp-message-uploading');
+  }
+
+  /**
+   * Asks the user to pick the people they follow to add to a new group conversation and its name,
+   * then opens the new conversation.
+   */
+  async createGroup() {
+    const profiles = await this.firebaseHelper.getFollowingProfiles(this.auth.currentUser.uid);
+    const uids = Object.keys(profiles).filter((uid) => !this.firebaseHelper.isBlockedUser(uid));
+    if (uids.length === 0) {
+      MaterialUtils.showSnackbar(this.toast, {message: 'Follow people to start a group with them.', timeout: 5000});
+      return;
+    }
+
+    const content = $(`
+        <div class="fp-new-group-dialog">
+          <input class="fp-new-group-name" type="text" maxlength="50" placeholder="Group name">
+          <div class="fp-new-group-members"></div>
+        </div>`);
+    uids.forEach((uid) => {
+      const memberElement = $('<label class="fp-new-group-member"><input type="checkbox"> <span></span></label>');
+      $('input', memberElement).val(uid);
+      $('span', memberElement).text(profiles[uid].full_name || 'Anonymous');
+      $('.fp-new-group-members', content).append(memberElement);
+    });
+
+    const confirmed = await swal({
+      title: 'New group',
+      content: content[0],
+      buttons: ['Cancel', 'Create'],
+      closeOnEsc: true,
+    });
+    if (!confirmed) {
+      return;
+    }
+    const name = $('.fp-new-group-name', content).val().trim();
+    const memberUids = $('.fp-new-group-member input:checked', content).map((index, input) => input.value).get();
+    if (!name || memberUids.length === 0) {
+      MaterialUtils.showSnackbar(this.toast, {message: 'Groups need a name and at least one member.', timeout: 5000});
+      return;
+    }
+    try {
+      const conversationId = await this.firebaseHelper.startConversation(memberUids, name);
+      page(`/messages/${conversationId}`);
+    } catch (error) {
+      console.error(error);
+      MaterialUtils.showSnackbar(this.toast, {message: 'There was an error while creating the group.', timeout: 5000});
+    }
+  }
+
+  /**
+   * Leaves the current conversation once the user has confirmed.
+   */
+  async leaveConversation() {
+    const isGroup = this.conversationId.startsWith('group_');
+    const willLeave = await swal({
+      title: 'Are you sure?',
+      text: isGroup ? 'You will no longer receive the messages of this group.' :
+          'This conversation will be removed from your messages until a new message is sent.',
+      icon: 'warning',
+      buttons: ['Cancel', isGroup ? 'Leave group' : 'Delete conversation'],
+      dangerMode: true,
+      closeOnEsc: true,
+    });
+    if (willLeave) {
+      await this.firebaseHelper.leaveConversation(this.conversationId);
+      page('/messages');
+    }
+  }
+
+  /**
+   * Clears the UI.
+   */
+  clear() {
+    this.conversationId = null;
+    this.conversationsContainer.empty();
+    this.messagesContainer.empty();
+    this.conversationTitle.text('');
+    this.messageInput.val('');
+
+    // Cancel all Firebase listeners.
+    this.firebaseHelper.cancelAllSubscriptions();
+
+    // Hides the "Load older messages" button and the "empty list" message.
+    this.previousMessagesButton.hide();
+    this.noConversations.hide();
+    this.blockedMessage.hide();
+  }
+}
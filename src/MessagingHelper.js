@@ -49,11 +49,14 @@ export default class Messaging {
     this.enableNotificationsContainer = $('.fp-notifications');
     this.enableNotificationsCheckbox = $('#notifications');
     this.enableNotificationsLabel = $('.mdl-switch__label', this.enableNotificationsContainer);
+    this.notificationPrefsContainer = $('.fp-notification-prefs');
+    this.notificationPrefsCheckboxes = $('.mdl-switch__input', this.notificationPrefsContainer);
 
     this.toast = $('.mdl-js-snackbar');
 
     // Event bindings
     this.enableNotificationsCheckbox.change(() => this.onEnableNotificationsChange());
+    this.notificationPrefsCheckboxes.change((e) => this.onNotificationPrefChange($(e.target)));
     this.auth.onAuthStateChanged(() => this.trackNotificationsEnabledStatus());
     if (this.messaging) {
       this.messaging.onTokenRefresh(() => this.saveToken());
@@ -102,12 +105,13 @@ export default class Messaging {
 
     // If we get a notification while focus on the app
     if (payload.notification) {
-      const userId = payload.notification.click_action.split('/user/')[1];
+      // Open the page the notification links to within the app.
+      const path = payload.notification.click_action.replace(/^https?:\/\/[^/]+/, '');
 
       const data = {
         message: payload.notification.body,
-        actionHandler: () => page(`/user/${userId}`),
-        actionText: 'Profile',
+        actionHandler: () => page(path),
+        actionText: path.startsWith('/user/') ? 'Profile' : 'View',
         timeout: 10000,
       };
       MaterialUtils.showSnackbar(this.toast, data);
@@ -125,7 +129,16 @@ export default class Messaging {
   }
 
   /**
-   * Starts tracking the "Notifications Enabled" checkbox status.
+   * Triggered when the user changes one of the notification types checkboxes.
+   */
+  onNotificationPrefChange(checkbox) {
+    checkbox.prop('disabled', true);
+
+    return this.firebaseHelper.setNotificationPref(checkbox.val(), checkbox.prop('checked'));
+  }
+
+  /**
+   * Starts tracking the "Notifications Enabled" checkbox status and the notification preferences.
    */
   trackNotificationsEnabledStatus() {
     if (this.auth.currentUser) {
@@ -134,11 +147,21 @@ export default class Messaging {
         this.enableNotificationsCheckbox.prop('disabled', false);
         this.enableNotificationsLabel.text(data.val() ? 'Notifications Enabled' : 'Enable Notifications');
         MaterialUtils.refreshSwitchState(this.enableNotificationsContainer);
+        // The notification types can only be picked once notifications are enabled.
+        this.notificationPrefsContainer.toggle(!!data.val());
 
         if (data.val() && this.messaging) {
           this.saveToken();
         }
       });
+      this.firebaseHelper.registerToNotificationPrefsUpdate((prefs) => {
+        this.notificationPrefsCheckboxes.each((index, checkbox) => {
+          // Notification types are enabled unless they have been turned off.
+          $(checkbox).prop('checked', prefs[checkbox.value] !== false);
+          $(checkbox).prop('disabled', false);
+          MaterialUtils.refreshSwitchState($(checkbox).parent());
+        });
+      });
     }
   }
 }
@@ -21,11 +21,20 @@ import 'firebase/auth';
 import {MaterialUtils, Utils} from './Utils';
 import swal from 'sweetalert';
 import page from 'page';
+import MentionsAutocomplete from './MentionsAutocomplete';
 
 /**
  * Handles the single post UI.
  */
 export default class Post {
+  /**
+   * Name of the collection offered when a user saves a post for the first time.
+   * @return {string}
+   */
+  static get DEFAULT_COLLECTION_NAME() {
+    return 'Saved';
+  }
+
   /**
    * Initializes the single post's UI.
    * @constructor
@@ -41,6 +50,8 @@ export default class Post {
     // Pointers to DOM elements.
     this.postElement = $(Post.createPostHtml(postId));
     MaterialUtils.upgradeTextFields(this.postElement);
+    this.mentionsAutocomplete = new MentionsAutocomplete(firebaseHelper,
+        $('.fp-add-comment .mdl-textfield__input', this.postElement));
     this.toast = $('.mdl-js-snackbar');
     this.theatre = $('.fp-theatre');
 
@@ -54,14 +65,29 @@ export default class Post {
    * Loads the given post's details.
    */
   async loadPost(postId) {
-    // Load the posts information.
-    const snapshot = await this.firebaseHelper.getPostData(postId);
-    const post = snapshot.val();
+    // Load the posts information. Posts of private accounts can't be read by non-followers.
+    let snapshot = null;
+    try {
+      snapshot = await this.firebaseHelper.getPostData(postId);
+    } catch (error) {
+      console.log('Unable to read post', postId, error.message);
+    }
+    let post = snapshot ? snapshot.val() : null;
+    const isHidden = this.firebaseHelper.isHiddenPendingReview(post);
+    if (isHidden) {
+      post = null;
+    }
     // Clear listeners and previous post data.
     this.clear();
     if (!post) {
+      // Posts hidden pending review can't be read either.
+      let message = snapshot ? 'This post does not exists.' :
+          'This post is from a private account or is hidden until a moderator reviews it.';
+      if (isHidden) {
+        message = 'This post has been reported and is hidden until a moderator reviews it.';
+      }
       const data = {
-        message: 'This post does not exists.',
+        message: message,
         timeout: 5000,
       };
       MaterialUtils.showSnackbar(this.toast, data);
@@ -71,8 +97,7 @@ export default class Post {
         page(`/home`);
       }
     } else {
-      this.fillPostData(snapshot.key, post.thumb_url || post.url, post.text, post.author,
-          post.timestamp, post.thumb_storage_uri, post.full_storage_uri, post.full_url);
+      this.fillPostData(snapshot.key, post);
     }
   }
 
@@ -100,30 +125,45 @@ export default class Post {
 
   /**
    * Displays a single comment or replace the existing one with new content.
+   * Replies are displayed in the thread of their parent comment, only if the thread's replies have
+   * been expanded. Comments of muted users and comments hidden pending review are not displayed.
    */
   displayComment(comment, postId, commentId, prepend = true) {
-    if ($(`#comment-${commentId}`, this.postElement).length) {
+    if ($(`#comment-${commentId}`, this.postElement).length || this.firebaseHelper.isMutedUser(comment.author.uid) ||
+        this.firebaseHelper.isHiddenPendingReview(comment)) {
       return;
     }
-    const newElement = this.createComment(comment.author, comment.text, postId,
-        commentId, this.auth.currentUser && comment.author.uid === this.auth.currentUser.uid);
+    let newElement = this.createComment(comment, postId, commentId,
+        this.auth.currentUser && comment.author.uid === this.auth.currentUser.uid);
+    let container = $('.fp-comments', this.postElement);
+    if (comment.parent_id) {
+      const thread = $(`#thread-${comment.parent_id}`, this.postElement);
+      if (!thread.hasClass('fp-replies-expanded')) {
+        return;
+      }
+      container = $('.fp-replies', thread);
+    } else {
+      newElement = this._createCommentThread(newElement, postId, commentId);
+    }
     if (prepend) {
-      $('.fp-comments', this.postElement).prepend(newElement);
+      container.prepend(newElement);
     } else {
-      $('.fp-comments', this.postElement).append(newElement);
+      container.append(newElement);
     }
+    this._updateViewRepliesButton(commentId, comment.replies_count);
     MaterialUtils.upgradeDropdowns(this.postElement);
 
     // Subscribe to updates of the comment.
     this.firebaseHelper.subscribeToComment(postId, commentId, (snap) => {
       const updatedComment = snap.val();
       if (updatedComment) {
-        const updatedElement = this.createComment(updatedComment.author,
-            updatedComment.text, postId, commentId,
+        const updatedElement = this.createComment(updatedComment, postId, commentId,
             this.auth.currentUser && updatedComment.author.uid === this.auth.currentUser.uid);
         const element = $('#comment-' + commentId);
         element.replaceWith(updatedElement);
+        this._updateViewRepliesButton(commentId, updatedComment.replies_count);
       } else {
+        $('#thread-' + commentId).remove();
         $('#comment-' + commentId).remove();
       }
       MaterialUtils.upgradeDropdowns(this.postElement);
@@ -133,9 +173,9 @@ export default class Post {
   /**
    * Shows the "show more comments" button and binds it the `nextPage` callback. If `nextPage` is
    * `null` then the button is hidden.
+   * A different button can be given, typically the "show previous replies" button of a thread.
    */
-  displayNextPageButton(postId, nextPage) {
-    const nextPageButton = $('.fp-morecomments', this.postElement);
+  displayNextPageButton(postId, nextPage, nextPageButton = $('.fp-morecomments', this.postElement)) {
     if (nextPage) {
       nextPageButton.show();
       nextPageButton.unbind('click');
@@ -144,7 +184,7 @@ export default class Post {
         const data = await nextPage();
         nextPageButton.prop('disabled', true);
         this.displayComments(postId, data.entries);
-        this.displayNextPageButton(postId, data.nextPage);
+        this.displayNextPageButton(postId, data.nextPage, nextPageButton);
       });
     } else {
       nextPageButton.hide();
@@ -152,27 +192,108 @@ export default class Post {
   }
 
   /**
-   * Fills the post's Card with the given details.
+   * Returns a thread element containing the given comment element and its collapsed replies.
+   * @private
+   */
+  _createCommentThread(commentElement, postId, commentId) {
+    const thread = $(`
+        <div id="thread-${Utils.escapeHtml(commentId)}" class="fp-comment-thread">
+          <div class="fp-view-replies"></div>
+          <div class="fp-morereplies">View previous replies...</div>
+          <div class="fp-replies"></div>
+        </div>`);
+    thread.prepend(commentElement);
+    $('.fp-view-replies', thread).click(() => this._expandReplies(postId, commentId));
+    return thread;
+  }
+
+  /**
+   * Updates the number of replies displayed on the "View N replies" button of the given comment's
+   * thread. The button is hidden if there are no replies or if they have been expanded already.
+   * @private
+   */
+  _updateViewRepliesButton(commentId, nbReplies = 0) {
+    const thread = $(`#thread-${commentId}`, this.postElement);
+    const viewRepliesButton = $('.fp-view-replies', thread);
+    viewRepliesButton.text(`View ${nbReplies} repl${nbReplies === 1 ? 'y' : 'ies'}`);
+    viewRepliesButton.toggle(nbReplies > 0 && !thread.hasClass('fp-replies-expanded'));
+  }
+
+  /**
+   * Loads the first page of replies of the given comment and displays any new replies.
+   * @private
+   */
+  async _expandReplies(postId, commentId) {
+    const thread = $(`#thread-${commentId}`, this.postElement);
+    if (thread.hasClass('fp-replies-expanded')) {
+      return;
+    }
+    thread.addClass('fp-replies-expanded');
+    $('.fp-view-replies', thread).hide();
+
+    const data = await this.firebaseHelper.getCommentReplies(postId, commentId);
+    this.displayComments(postId, data.entries);
+    this.displayNextPageButton(postId, data.nextPage, $('.fp-morereplies', thread));
+  }
+
+  /**
+   * Sets the comment that new comments will reply to. Replies to a reply are added to the thread of
+   * the parent comment. Passing `null` cancels the reply.
+   * @private
+   */
+  _setReplyTarget(parentId, author = {}) {
+    const post = this.postElement;
+
+    this.replyToCommentId = parentId;
+    if (parentId) {
+      $('.fp-replying-to-name', post).text(author.full_name || 'Anonymous');
+      $('.fp-replying-to', post).show();
+      $('.mdl-textfield__input', post).focus();
+    } else {
+      $('.fp-replying-to', post).hide();
+    }
+  }
+
+  /**
+   * Fills the post's Card with the details of the given `postData`.
    * Also sets all auto updates and listeners on the UI elements of the post.
    */
-  async fillPostData(postId, thumbUrl, imageText, author = {}, timestamp, thumbStorageUri, picStorageUri, picUrl) {
+  async fillPostData(postId, postData) {
     const post = this.postElement;
+    const author = postData.author || {};
+    const imageText = postData.text;
+    const timestamp = postData.timestamp;
+    const storageUris = Post.getStorageUris(postData);
 
     MaterialUtils.upgradeDropdowns(this.postElement);
 
     // Fills element's author profile.
-    $('.fp-usernamelink', post).attr('href', `/user/${author.uid}`);
+    $('.fp-usernamelink', post).attr('href', author.username ? `/@${author.username}` : `/user/${author.uid}`);
     $('.fp-avatar', post).css('background-image',
         `url(${Utils.addSizeToGoogleProfilePic(author.profile_picture) || '/images/silhouette.jpg'})`);
     $('.fp-username', post).text(author.full_name || 'Anonymous');
 
-    // Shows the pic's thumbnail.
-    this._setupThumb(thumbUrl, picUrl);
+    const images = Post.getImages(postData);
+    if (postData.media_type === 'video') {
+      // Shows the video player.
+      this._setupVideo(postData.video_url, images[0].full_url);
+    } else {
+      // Shows the pics' thumbnails.
+      this._setupImages(images);
 
-    // Make sure we update if the thumb or pic URL changes.
-    this.firebaseHelper.registerForThumbChanges(postId, (thumbUrl) => {
-      this._setupThumb(thumbUrl, picUrl);
-    });
+      // Make sure we update if the thumb or pic URLs change.
+      if (postData.images) {
+        this.firebaseHelper.registerForImagesChanges(postId, (updatedImages) => {
+          if (updatedImages) {
+            this._setupImages(Post.getImages({images: updatedImages}), this.currentImageIndex);
+          }
+        });
+      } else {
+        this.firebaseHelper.registerForThumbChanges(postId, (thumbUrl) => {
+          this._setupImages([{thumb_url: thumbUrl, full_url: images[0].full_url}]);
+        });
+      }
+    }
 
     if (this.auth.currentUser) {
       const snapshot = await this.firebaseHelper.getPrivacySettings(this.auth.currentUser.uid);
@@ -182,57 +303,222 @@ export default class Post {
       }
 
       this._setupDate(postId, timestamp);
-      this._setupDeleteButton(postId, author, picStorageUri, thumbStorageUri);
+      this._setupDeleteButton(postId, author, storageUris);
+      this._setupEditButton(postId);
       this._setupReportButton(postId);
       this._setupLikeCountAndStatus(postId, socialEnabled);
-      this._setupComments(postId, author, imageText, socialEnabled);
+      this._setupSavedStatus(postId);
+      this._setupComments(postId, author, imageText, postData.mentions, socialEnabled);
     } else {
       this._setupDate(postId, timestamp);
-      this._setupDeleteButton(postId, author, picStorageUri, thumbStorageUri);
+      this._setupDeleteButton(postId, author, storageUris);
+      this._setupEditButton(postId);
       this._setupReportButton(postId);
       this._setupLikeCountAndStatus(postId);
-      this._setupComments(postId, author, imageText);
+      this._setupComments(postId, author, imageText, postData.mentions);
     }
 
+    // Only the author and admins can see posts hidden pending review.
+    $('.fp-pending-review', post).toggle(postData.hidden_pending_review === true);
+    this._setupModerationNotice(postId, postData);
+    this._setupUnblurButton(postId, postData);
+
+    // Make sure we update if the text of the post is edited.
+    $('.fp-edited', post).toggle(!!postData.edited_at);
+    this.firebaseHelper.registerForTextChanges(postId, (text) => {
+      if (text !== null && text !== this.caption) {
+        this._setupCaption(postId, author, text, Utils.getMentions(text, this.captionMentions));
+        $('.fp-edited', post).show();
+      }
+    });
+
     return post;
   }
 
+  /**
+   * Returns the ordered list of images of the given post. Each image has a `thumb_url` and a
+   * `full_url`. Posts created before multiple images were supported only have a single image saved
+   * at the root of the post.
+   */
+  static getImages(postData) {
+    if (postData.images) {
+      // Arrays may be returned as objects by the Realtime Database.
+      return Object.keys(postData.images).sort((a, b) => a - b).map((key) => postData.images[key]);
+    }
+    return [{
+      thumb_url: postData.thumb_url || postData.url,
+      full_url: postData.full_url,
+    }];
+  }
+
+  /**
+   * Returns the list of all the Cloud Storage URIs of the files of the given post.
+   */
+  static getStorageUris(postData) {
+    const storageUris = [];
+    const addUri = (uri) => {
+      if (uri && storageUris.indexOf(uri) === -1) {
+        storageUris.push(uri);
+      }
+    };
+    addUri(postData.video_storage_uri);
+    addUri(postData.full_storage_uri);
+    addUri(postData.thumb_storage_uri);
+    Post.getImages(postData).forEach((image) => {
+      addUri(image.full_storage_uri);
+      addUri(image.thumb_storage_uri);
+    });
+    return storageUris;
+  }
+
   /**
    * Leaves the theatre mode.
    */
   leaveTheatreMode() {
     this.theatre.hide();
     this.theatre.off('click');
+    $('.fp-theatre-prev, .fp-theatre-next, .fp-fullpic', this.theatre).off('click');
+    $('.fp-theatre-caption', this.theatre).empty().hide();
     $(document).off('keydown');
   }
 
   /**
-   * Leaves the theatre mode.
+   * Enters the theatre mode showing the pic at `index` in the given list of `picUrls`.
+   * If an `onShow` callback is given it is called with the index of each pic displayed and tapping
+   * the pic shows the next one, leaving the theatre mode after the last one.
    */
-  enterTheatreMode(picUrl) {
-    $('.fp-fullpic', this.theatre).prop('src', picUrl);
+  enterTheatreMode(picUrls, index = 0, onShow = null) {
+    const prevButton = $('.fp-theatre-prev', this.theatre);
+    const nextButton = $('.fp-theatre-next', this.theatre);
+    const fullPic = $('.fp-fullpic', this.theatre);
+    const showPic = (newIndex) => {
+      index = Math.max(0, Math.min(newIndex, picUrls.length - 1));
+      fullPic.prop('src', picUrls[index]);
+      prevButton.toggle(index > 0);
+      nextButton.toggle(index < picUrls.length - 1);
+      if (onShow) {
+        onShow(index);
+      }
+    };
+    showPic(index);
     this.theatre.css('display', 'flex');
-    // Leave theatre mode if click or ESC key down.
+    // Leave theatre mode if click or ESC key down. Page through the pics with the arrows.
     this.theatre.off('click');
     this.theatre.click(() => this.leaveTheatreMode());
+    prevButton.off('click');
+    prevButton.click((e) => {
+      e.stopPropagation();
+      showPic(index - 1);
+    });
+    nextButton.off('click');
+    nextButton.click((e) => {
+      e.stopPropagation();
+      showPic(index + 1);
+    });
+    fullPic.off('click');
+    if (onShow) {
+      fullPic.click((e) => {
+        e.stopPropagation();
+        if (index < picUrls.length - 1) {
+          showPic(index + 1);
+        } else {
+          this.leaveTheatreMode();
+        }
+      });
+    }
     $(document).off('keydown');
     $(document).keydown((e) => {
       if (e.which === 27) {
         this.leaveTheatreMode();
+      } else if (e.which === 37) {
+        showPic(index - 1);
+      } else if (e.which === 39) {
+        showPic(index + 1);
       }
     });
   }
 
   /**
-   * Shows the thumbnail and sets up the click to see the full size image.
+   * Shows the carousel of thumbnails and sets up the click to see the full size images.
    * @private
    */
-  _setupThumb(thumbUrl, picUrl) {
+  _setupImages(images, index = 0) {
     const post = this.postElement;
+    this.images = images;
+
+    // Display one indicator dot per image.
+    const dots = $('.fp-carousel-dots', post);
+    dots.empty();
+    if (images.length > 1) {
+      images.forEach(() => dots.append('<span class="fp-carousel-dot"></span>'));
+    }
+
+    const prevButton = $('.fp-carousel-prev', post);
+    const nextButton = $('.fp-carousel-next', post);
+    prevButton.off('click');
+    prevButton.click((e) => {
+      e.stopPropagation();
+      this._showImage(this.currentImageIndex - 1);
+    });
+    nextButton.off('click');
+    nextButton.click((e) => {
+      e.stopPropagation();
+      this._showImage(this.currentImageIndex + 1);
+    });
+
+    // Swipe through the images on touch devices.
+    const image = $('.fp-image', post);
+    image.off('touchstart touchend');
+    let touchStartX = null;
+    image.on('touchstart', (e) => {
+      touchStartX = e.originalEvent.changedTouches[0].clientX;
+    });
+    image.on('touchend', (e) => {
+      if (touchStartX === null) {
+        return;
+      }
+      const deltaX = e.originalEvent.changedTouches[0].clientX - touchStartX;
+      touchStartX = null;
+      if (Math.abs(deltaX) > 50) {
+        this._showImage(this.currentImageIndex + (deltaX < 0 ? 1 : -1));
+      }
+    });
+
+    image.unbind('click');
+    image.click(() => this.enterTheatreMode(
+        this.images.map((picture) => picture.full_url || picture.thumb_url), this.currentImageIndex));
+
+    this._showImage(index);
+  }
+
+  /**
+   * Shows an inline muted player for the video at the given URL.
+   * @private
+   */
+  _setupVideo(videoUrl, posterUrl) {
+    const post = this.postElement;
+    const video = $('.fp-video', post);
+
+    post.addClass('fp-video-post');
+    video.attr('poster', posterUrl || '');
+    video.attr('src', videoUrl);
+    video.prop('muted', true);
+  }
+
+  /**
+   * Shows the image at the given index in the carousel.
+   * @private
+   */
+  _showImage(index) {
+    const post = this.postElement;
+    this.currentImageIndex = Math.max(0, Math.min(index, this.images.length - 1));
+    const thumbUrl = this.images[this.currentImageIndex].thumb_url;
 
     $('.fp-image', post).css('background-image', `url("${thumbUrl ? thumbUrl.replace(/"/g, '\\"') : ''}")`);
-    $('.fp-image', post).unbind('click');
-    $('.fp-image', post).click(() => this.enterTheatreMode(picUrl || thumbUrl));
+    $('.fp-carousel-prev', post).toggle(this.currentImageIndex > 0);
+    $('.fp-carousel-next', post).toggle(this.currentImageIndex < this.images.length - 1);
+    $('.fp-carousel-dot', post).removeClass('fp-carousel-dot-active');
+    $('.fp-carousel-dot', post).eq(this.currentImageIndex).addClass('fp-carousel-dot-active');
   }
 
   /**
@@ -249,16 +535,29 @@ export default class Post {
         () => $('.fp-time', post).text(Post.getTimeText(timestamp)), 60000));
   }
 
+  /**
+   * Shows the text of the post as its first comment.
+   * @private
+   */
+  _setupCaption(postId, author, text, mentions) {
+    const post = this.postElement;
+    this.caption = text;
+    this.captionMentions = mentions;
+
+    $('.fp-first-comment', post).empty();
+    $('.fp-first-comment', post).append(
+        this.createComment({author: author, text: text, mentions: mentions}, postId));
+  }
+
   /**
    * Shows comments and binds actions to the comments form.
    * @private
    */
-  async _setupComments(postId, author, imageText, socialEnabled = false) {
+  async _setupComments(postId, author, imageText, mentions, socialEnabled = false) {
     const post = this.postElement;
 
     // Creates the initial comment with the post's text.
-    $('.fp-first-comment', post).empty();
-    $('.fp-first-comment', post).append(this.createComment(author, imageText, postId));
+    this._setupCaption(postId, author, imageText, mentions);
 
     if (this.auth.currentUser && socialEnabled) {
       // Bind comments form posting.
@@ -269,15 +568,28 @@ export default class Post {
         if (!commentText || commentText.length === 0) {
           return;
         }
-        this.firebaseHelper.addComment(postId, commentText);
+        const parentId = this.replyToCommentId;
+        this.firebaseHelper.addComment(postId, commentText, parentId, this.mentionsAutocomplete.getMentions());
         $(`.mdl-textfield__input`, post).val('');
+        this.mentionsAutocomplete.clear();
+        if (parentId) {
+          // Make sure the new reply is visible.
+          this._expandReplies(postId, parentId);
+        }
+        this._setReplyTarget(null);
       });
+      $('.fp-cancel-reply', post).off('click');
+      $('.fp-cancel-reply', post).click(() => this._setReplyTarget(null));
       const ran = Math.floor(Math.random() * 10000000);
       $('.mdl-textfield__input', post).attr('id', `${postId}-${ran}-comment`);
       $('.mdl-textfield__label', post).attr('for', `${postId}-${ran}-comment`);
       // Show comments form.
       $('.fp-action', post).css('display', 'flex');
+      post.addClass('fp-comments-enabled');
+    } else {
+      post.removeClass('fp-comments-enabled');
     }
+    this._setReplyTarget(null);
 
     // Load first page of comments and listen to new comments.
     const data = await this.firebaseHelper.getComments(postId);
@@ -354,7 +666,7 @@ export default class Post {
    * Shows/Hide and binds actions to the Delete button.
    * @private
    */
-  _setupDeleteButton(postId, author = {}, picStorageUri, thumbStorageUri) {
+  _setupDeleteButton(postId, author = {}, storageUris) {
     const post = this.postElement;
 
     if (this.auth.currentUser && this.auth.currentUser.uid === author.uid) {
@@ -390,7 +702,7 @@ export default class Post {
       if (willDelete) {
         $('.fp-delete-post', post).prop('disabled', true);
         try {
-          await this.firebaseHelper.deletePost(postId, picStorageUri, thumbStorageUri);
+          await this.firebaseHelper.deletePost(postId, storageUris);
           swal({
             title: 'Deleted!',
             text: 'Your post has been deleted.',
@@ -412,6 +724,182 @@ export default class Post {
     });
   }
 
+  /**
+   * Tells the author of the post when its caption or images have been moderated and lets them appeal
+   * the decision once.
+   * @private
+   */
+  async _setupModerationNotice(postId, postData) {
+    const notice = $('.fp-moderated-notice', this.postElement);
+    const appealButton = $('.fp-appeal', notice);
+    const isAuthor = this.auth.currentUser && postData.author && postData.author.uid === this.auth.currentUser.uid;
+    notice.hide();
+    appealButton.hide();
+    if (!isAuthor || (postData.moderated !== true && postData.blurred !== true)) {
+      return;
+    }
+
+    let text = 'This content was moderated.';
+    if (postData.moderated === true) {
+      text += ' Some words of the caption have been replaced.';
+    }
+    if (postData.blurred === true) {
+      text += ' The images have been blurred.';
+    }
+    const snapshot = await this.firebaseHelper.getAppeal(postId);
+    const appeal = snapshot.val();
+    if (appeal && appeal.status === 'pending') {
+      text += ' Your appeal is being reviewed.';
+    } else if (appeal && appeal.status === 'rejected') {
+      text += ' Your appeal has been rejected.';
+    }
+    $('.fp-moderated-text', notice).text(text);
+    appealButton.toggle(!appeal);
+    notice.show();
+
+    appealButton.off('click');
+    appealButton.click(async () => {
+      const reason = await swal({
+        title: 'Appeal',
+        text: 'Tell the moderators why your post should be restored. You can only appeal once.',
+        content: 'input',
+        buttons: ['Cancel', 'Appeal'],
+        closeOnEsc: true,
+      });
+      // Nothing to send if the dialog was cancelled or no reason was given.
+      if (!reason || !reason.trim()) {
+        return;
+      }
+      appealButton.prop('disabled', true);
+      try {
+        await this.firebaseHelper.appealModeration(postId, reason.trim().substring(0, 500));
+        appealButton.hide();
+        $('.fp-moderated-text', notice).text(`${$('.fp-moderated-text', notice).text()} Your appeal is being reviewed.`);
+        MaterialUtils.showSnackbar(this.toast, {message: 'Your appeal has been sent to the moderators.', timeout: 5000});
+      } catch (error) {
+        console.error(error);
+        MaterialUtils.showSnackbar(this.toast, {message: 'Your appeal could not be sent. Sorry!', timeout: 5000});
+      }
+      appealButton.prop('disabled', false);
+    });
+  }
+
+  /**
+   * Shows/Hide and binds actions to the Unblur button, which lets admins restore the originals of
+   * images blurred by mistake.
+   * @private
+   */
+  _setupUnblurButton(postId, postData) {
+    const unblurButton = $('.fp-unblur-post', this.postElement);
+    unblurButton.toggle(this.firebaseHelper.isAdmin && postData.blurred === true);
+
+    unblurButton.off('click');
+    unblurButton.click(async () => {
+      const willUnblur = await swal({
+        title: 'Unblur images?',
+        text: 'The original images of this post will be restored and visible to everyone.',
+        icon: 'warning',
+        buttons: ['Cancel', 'Unblur'],
+        closeOnEsc: true,
+      });
+      if (!willUnblur) {
+        return;
+      }
+      unblurButton.prop('disabled', true);
+      try {
+        await this.firebaseHelper.unblurImage(postId);
+        unblurButton.hide();
+        MaterialUtils.showSnackbar(this.toast, {message: 'The original images have been restored.', timeout: 5000});
+      } catch (error) {
+        console.error(error);
+        MaterialUtils.showSnackbar(this.toast, {message: `The images could not be unblurred: ${error.message}`,
+          timeout: 5000});
+      }
+      unblurButton.prop('disabled', false);
+    });
+  }
+
+  /**
+   * Binds actions to the Edit button, which is only displayed to the author of the post, and to the
+   * "Edited" marker which shows the previous texts of the post.
+   * @private
+   */
+  _setupEditButton(postId) {
+    const post = this.postElement;
+
+    $('.fp-edit-post', post).off('click');
+    $('.fp-edit-post', post).click(async () => {
+      const oldText = this.caption;
+      const content = $(`
+          <div class="fp-edit-post-dialog">
+            <input class="swal-content__input" type="text">
+          </div>`);
+      const input = $('input', content);
+      input.val(oldText);
+      // Suggests people to mention and keeps the people already mentioned in the caption.
+      const mentionsAutocomplete = new MentionsAutocomplete(this.firebaseHelper, input);
+      mentionsAutocomplete.mentions = Object.assign({}, this.captionMentions);
+      const confirmed = await swal({
+        title: 'Edit post',
+        content: content[0],
+        buttons: {
+          cancel: {
+            text: 'Cancel',
+            value: null,
+            visible: true,
+            className: '',
+            closeModal: true,
+          },
+          confirm: {
+            text: 'Save',
+            value: true,
+            visible: true,
+            className: '',
+            closeModal: true,
+          },
+        },
+        closeOnEsc: true,
+      });
+      const newText = input.val();
+      // Nothing to save if the dialog was cancelled or the text wasn't changed.
+      if (!confirmed || newText.trim() === '' || newText === oldText) {
+        return;
+      }
+      try {
+        await this.firebaseHelper.editPost(postId, newText, oldText, mentionsAutocomplete.getMentions());
+      } catch (error) {
+        const data = {
+          message: `There was an error editing your post: ${error}`,
+          timeout: 5000,
+        };
+        this.toast[0].MaterialSnackbar.showSnackbar(data);
+      }
+    });
+
+    $('.fp-edited', post).off('click');
+    $('.fp-edited', post).click(async () => {
+      const revisions = await this.firebaseHelper.getPostRevisions(postId);
+      if (revisions.length === 0) {
+        return;
+      }
+      const list = $('<div class="fp-revisions"></div>');
+      revisions.forEach((revision) => {
+        const element = $(`
+            <div class="fp-revision">
+              <span class="fp-revision-time"></span>
+              <span class="fp-revision-text"></span>
+            </div>`);
+        $('.fp-revision-time', element).text(Post.getTimeText(revision.timestamp));
+        $('.fp-revision-text', element).text(revision.text);
+        list.append(element);
+      });
+      swal({
+        title: 'Edit history',
+        content: list[0],
+      });
+    });
+  }
+
   /**
    * Starts Likes count listener and on/off like status.
    * @private
@@ -453,6 +941,101 @@ export default class Post {
     });
   }
 
+  /**
+   * Starts the saved status listener and binds actions to the bookmark button.
+   * @private
+   */
+  _setupSavedStatus(postId) {
+    const post = this.postElement;
+
+    this.firebaseHelper.registerToSavedStatusUpdate(postId, (collectionName) => {
+      $('.fp-saved', post).toggle(!!collectionName);
+      $('.fp-not-saved', post).toggle(!collectionName);
+      $('.fp-saved', post).attr('title', collectionName ? `Saved in ${collectionName}` : '');
+    });
+
+    $('.fp-saved', post).off('click');
+    $('.fp-saved', post).click(() => this.firebaseHelper.unsavePost(postId));
+    $('.fp-not-saved', post).off('click');
+    $('.fp-not-saved', post).click(async () => {
+      const collectionName = await Post.chooseSavedCollection(
+          await this.firebaseHelper.getSavedCollections());
+      if (collectionName) {
+        await this.firebaseHelper.savePost(postId, collectionName);
+      }
+    });
+  }
+
+  /**
+   * Asks the user to pick one of the given saved posts collections or to name a new one. Returns
+   * a promise which resolves with the name of the collection or `null` if cancelled.
+   */
+  static async chooseSavedCollection(collectionNames) {
+    if (collectionNames.length === 0) {
+      return Post.promptCollectionName('Save to a new collection', Post.DEFAULT_COLLECTION_NAME);
+    }
+    const buttons = {
+      cancel: {
+        text: 'Cancel',
+        value: null,
+        visible: true,
+        className: '',
+        closeModal: true,
+      },
+    };
+    collectionNames.forEach((collectionName, index) => {
+      buttons[`collection${index}`] = {
+        text: collectionName,
+        value: collectionName,
+        visible: true,
+        className: '',
+        closeModal: true,
+      };
+    });
+    // The button value can't collide with a collection name as these can't contain a `/`.
+    buttons.newCollection = {
+      text: 'New collection...',
+      value: '/new',
+      visible: true,
+      className: '',
+      closeModal: true,
+    };
+    const choice = await swal({
+      title: 'Save to collection',
+      buttons: buttons,
+      closeOnEsc: true,
+    });
+    if (choice === '/new') {
+      return Post.promptCollectionName('Save to a new collection');
+    }
+    return choice;
+  }
+
+  /**
+   * Asks the user for the name of a saved posts collection. Returns a promise which resolves with
+   * the name or `null` if cancelled or invalid.
+   */
+  static async promptCollectionName(title, defaultName = '') {
+    const name = await swal({
+      title: title,
+      content: {
+        element: 'input',
+        attributes: {
+          value: defaultName,
+          placeholder: 'Collection name',
+        },
+      },
+      buttons: ['Cancel', 'OK'],
+      closeOnEsc: true,
+    });
+    // Keys of the Realtime Database can't contain `.`, `#`, `$`, `[`, `]` or `/`.
+    const trimmedName = typeof name === 'string' ? (name.trim() || defaultName) : null;
+    if (!trimmedName || !trimmedName.match(/^[^.#$[\]\/]{1,50}$/)) {
+      return null;
+    }
+    return trimmedName;
+  }
+
   /**
    * Returns the HTML for a post's comment.
    */
@@ -468,25 +1051,52 @@ export default class Post {
                 <div class="fp-username mdl-color-text--black"></div>
               </a>
               <a href="/post/" class="fp-time">now</a>
+              <span class="fp-edited">Edited</span>
               <!-- Drop Down Menu -->
               <button class="fp-signed-in-only mdl-button mdl-js-button mdl-button--icon" id="fp-post-menu-${postId}">
                 <i class="material-icons">more_vert</i>
               </button>
               <ul class="fp-menu-list mdl-menu mdl-js-menu mdl-menu--bottom-right" for="fp-post-menu-${postId}">
                 <li class="mdl-menu__item fp-report-post"><i class="material-icons">report</i> Report</li>
+                <li class="mdl-menu__item fp-edit-post"><i class="material-icons">edit</i> Edit post</li>
+                <li class="mdl-menu__item fp-unblur-post"><i class="material-icons">blur_off</i> Unblur images</li>
                 <li class="mdl-menu__item fp-delete-post"><i class="material-icons">delete</i> Delete post</li>
               </ul>
             </div>
-            <div class="fp-image"></div>
+            <div class="fp-moderated-notice">
+              <i class="material-icons">gavel</i> <span class="fp-moderated-text"></span>
+              <button class="fp-appeal mdl-button mdl-js-button">Appeal</button>
+            </div>
+            <div class="fp-pending-review">
+              <i class="material-icons">visibility_off</i> This post has been reported and is hidden from other users until a moderator reviews it.
+            </div>
+            <div class="fp-image">
+              <button class="fp-carousel-prev mdl-button mdl-js-button mdl-button--icon">
+                <i class="material-icons">chevron_left</i>
+              </button>
+              <button class="fp-carousel-next mdl-button mdl-js-button mdl-button--icon">
+                <i class="material-icons">chevron_right</i>
+              </button>
+              <div class="fp-carousel-dots"></div>
+            </div>
+            <video class="fp-video" muted autoplay loop playsinline controls></video>
             <div class="fp-likes">0 likes</div>
             <div class="fp-first-comment"></div>
             <div class="fp-morecomments">View more comments...</div>
             <div class="fp-comments"></div>
+            <div class="fp-replying-to">
+              Replying to <span class="fp-replying-to-name"></span>
+              <i class="fp-cancel-reply material-icons">close</i>
+            </div>
             <div class="fp-action">
               <span class="fp-like">
                 <div class="fp-not-liked material-icons">favorite_border</div>
                 <div class="fp-liked material-icons">favorite</div>
               </span>
+              <span class="fp-save">
+                <div class="fp-not-saved material-icons">bookmark_border</div>
+                <div class="fp-saved material-icons">bookmark</div>
+              </span>
               <form class="fp-add-comment" action="#">
                 <div class="mdl-textfield mdl-js-textfield">
                   <input class="mdl-textfield__input">
@@ -499,21 +1109,32 @@ export default class Post {
   }
 
   /**
-   * Returns the HTML for a post's comment.
+   * Returns the HTML for a post's comment. If the comment is a reply its `parent_id` is the ID of
+   * the comment it replies to.
    */
-  createComment(author = {}, text, postId, commentId, isOwner = false) {
+  createComment(comment, postId, commentId, isOwner = false) {
+    const author = comment.author || {};
+    const text = comment.text || '';
+    const parentId = comment.parent_id;
     const escapedId = Utils.escapeHtml(commentId || postId);
     const hashtags = Utils.getHashtags(text);
     let textHtml = $('<div>').text(text).html();
     hashtags.forEach((hashtag) => {
       textHtml = textHtml.replace(new RegExp(`#${hashtag.replace(/\-/g, '\\-')}`, 'i'), `<a href="/search/${hashtag}">#${hashtag}</a>`);
     });
+    // Mentions link to the profile of the mentioned user, using the name they had at the time.
+    const mentions = comment.mentions || {};
+    Object.keys(mentions).forEach((uid) => {
+      const nameHtml = $('<div>').text(`@${mentions[uid]}`).html();
+      textHtml = textHtml.split(nameHtml).join(`<a href="/user/${encodeURIComponent(uid)}">${nameHtml}</a>`);
+    });
 
     try {
       const element = $(`
-        <div id="comment-${escapedId}" class="fp-comment${isOwner ? ' fp-comment-owned' : ''}">
-          <a class="fp-author" href="/user/${author.uid}">${$('<div>').text(author.full_name || 'Anonymous').html()}</a>:
+        <div id="comment-${escapedId}" class="fp-comment${isOwner ? ' fp-comment-owned' : ''}${comment.hidden_pending_review ? ' fp-comment-pending-review' : ''}">
+          <a class="fp-author" href="${author.username ? `/@${author.username}` : `/user/${author.uid}`}">${$('<div>').text(author.full_name || 'Anonymous').html()}</a>${author.username ? ` <span class="fp-author-username">@${author.username}</span>` : ''}:
           <span class="fp-text">${textHtml}</span>
+          ${commentId ? '<a class="fp-reply-comment">Reply</a>' : ''}
           <!-- Drop Down Menu -->
           <button class="fp-edit-delete-comment-container fp-signed-in-only mdl-button mdl-js-button mdl-button--icon" id="fp-comment-menu-${escapedId}">
             <i class="material-icons">more_vert</i>
@@ -524,6 +1145,13 @@ export default class Post {
             <li class="mdl-menu__item fp-delete-comment"><i class="material-icons">delete</i> Delete comment</li>
           </ul>
         </div>`);
+      // The text of comments hidden pending review is only readable by their author and admins.
+      if (comment.hidden_pending_review && commentId) {
+        this.firebaseHelper.getHiddenComment(postId, commentId).then((snap) => {
+          $('.fp-text', element).text(snap.child('text').val() || '');
+        }, (error) => console.log('Unable to read hidden comment', commentId, error.message));
+      }
+      $('.fp-reply-comment', element).click(() => this._setReplyTarget(parentId || commentId, author));
       $('.fp-delete-comment', element).click(() => {
         if (window.confirm('Delete the comment?')) {
           this.firebaseHelper.deleteComment(postId, commentId).then(() => {
@@ -38,6 +38,7 @@ export default class PrivacySettings {
     this.allowDataProcessing = $('#allow-data');
     this.allowContent = $('#allow-content');
     this.allowSocial = $('#allow-social');
+    this.privateAccount = $('#private-account');
     this.uploadButton = $('button#add');
     this.mobileUploadButton = $('button#add-floating');
 
@@ -97,6 +98,8 @@ export default class PrivacySettings {
           this.allowSocial.prop('checked', true);
         }
       }
+      const profileSnapshot = await this.firebaseHelper.loadUserProfile(uid);
+      this.privateAccount.prop('checked', profileSnapshot.child('private_account').val() === true);
     }
   }
 
@@ -113,6 +116,7 @@ export default class PrivacySettings {
     };
 
     this.firebaseHelper.setPrivacySettings(uid, settings);
+    this.firebaseHelper.setPrivateAccount(this.privateAccount.prop('checked'));
     if (!settings.social) {
       this.firebaseHelper.removeFromSearch(uid);
     }
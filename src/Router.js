@@ -40,11 +40,21 @@ export default class Router {
 
     // Shortcuts to async loaded components.
     const loadUser = async (userId) => (await loadComponents).userPage.loadUser(userId);
+    const loadUserByUsername = async (username) => (await loadComponents).userPage.loadUserByUsername(username);
     const searchHashtag = async (hashtag) => (await loadComponents).searchPage.loadHashtag(hashtag);
+    const searchPosts = async (query) => (await loadComponents).searchPage.searchPosts(query);
+    const showExplore = async (trendWindow) => (await loadComponents).explorePage.showExplore(trendWindow);
     const showHomeFeed = async () => (await loadComponents).feed.showHomeFeed();
     const showGeneralFeed = async () => (await loadComponents).feed.showGeneralFeed();
     const clearFeed = async () => (await loadComponents).feed.clear();
     const showPost = async (postId) => (await loadComponents).post.loadPost(postId);
+    const showActivity = async () => (await loadComponents).activityFeed.showActivity();
+    const showSettings = async () => (await loadComponents).settings.showSettings();
+    const showEditProfile = async () => (await loadComponents).editProfilePage.showEditProfile();
+    const showAdminReports = async () => (await loadComponents).adminReports.showReports();
+    const showSaved = async (collectionName) => (await loadComponents).savedPage.showSaved(collectionName);
+    const showConversations = async () => (await loadComponents).messages.showConversations();
+    const showConversation = async (conversationId) => (await loadComponents).messages.showConversation(conversationId);
 
     // Configuring middlwares.
     page(Router.setLinkAsActive);
@@ -55,7 +65,20 @@ export default class Router {
     page('/recent', () => {showGeneralFeed(); this.displayPage('feed');});
     page('/post/:postId', (context) => {showPost(context.params.postId); this.displayPage('post');});
     page('/user/:userId', (context) => {loadUser(context.params.userId); this.displayPage('user-info');});
+    page('/@:username', (context) => {loadUserByUsername(context.params.username); this.displayPage('user-info');});
     page('/search/:hashtag', (context) => {searchHashtag(context.params.hashtag); this.displayPage('search');});
+    page('/search/:query/posts', (context) => {searchPosts(context.params.query); this.displayPage('search');});
+    page('/explore', () => {showExplore(); this.displayPage('explore');});
+    page('/explore/:trendWindow', (context) => {showExplore(context.params.trendWindow); this.displayPage('explore');});
+    page('/activity', () => {showActivity(); this.displayPage('activity', true);});
+    page('/saved', () => {showSaved(); this.displayPage('saved', true);});
+    page('/saved/:collectionName', (context) => {showSaved(context.params.collectionName); this.displayPage('saved', true);});
+    page('/messages', () => {showConversations(); this.displayPage('messages', true);});
+    page('/messages/:conversationId', (context) => {showConversation(context.params.conversationId); this.displayPage('conversation', true);});
+    page('/settings', () => {showSettings(); this.displayPage('settings', true);});
+    page('/blocked', () => page.redirect('/settings')); // Blocked accounts are managed from the settings.
+    page('/profile/edit', () => {showEditProfile(); this.displayPage('edit-profile', true);});
+    page('/admin/reports', () => {showAdminReports(); this.displayPage('admin-reports', true);});
     page('/about', () => {clearFeed(); this.displayPage('about');});
     page('/terms', () => {clearFeed(); this.displayPage('terms');});
     page('/add', () => {this.displayPage('add', true);});
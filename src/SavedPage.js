@@ -0,0 +1,221 @@
+/**
+ * Copyright 2015 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+import $ from 'jquery';
+import firebase from 'firebase/app';
+import 'firebase/auth';
+import page from 'page';
+import swal from 'sweetalert';
+import {MaterialUtils} from './Utils';
+import Post from './Post';
+
+/**
+ * Handles the page listing the posts saved by the user in their collections.
+ */
+export default class SavedPage {
+  /**
+   * Initializes the saved posts UI. The image cards are created by the given `userPage`.
+   * @constructor
+   */
+  constructor(firebaseHelper, userPage) {
+    this.firebaseHelper = firebaseHelper;
+    this.userPage = userPage;
+    // The names of the user's collections and the one currently displayed.
+    this.collectionNames = [];
+    this.collectionName = null;
+
+    // Firebase SDK.
+    this.auth = firebase.auth();
+
+    // DOM Elements.
+    this.savedPage = $('#page-saved');
+    this.collectionsContainer = $('.fp-saved-collections', this.savedPage);
+    this.collectionActions = $('.fp-saved-collection-actions', this.savedPage);
+    this.imageContainer = $('.fp-image-container', this.savedPage);
+    this.noCollections = $('.fp-no-collections', this.savedPage);
+    this.noSavedPosts = $('.fp-no-saved-posts', this.savedPage);
+    this.nextPageButton = $('.fp-next-page-button button', this.savedPage);
+    this.toast = $('.mdl-js-snackbar');
+
+    // Event bindings.
+    $('.fp-new-collection', this.savedPage).click(() => this.createCollection());
+    $('.fp-rename-collection', this.savedPage).click(() => this.renameCollection());
+    $('.fp-delete-collection', this.savedPage).click(() => this.deleteCollection());
+  }
+
+  /**
+   * Displays the collections of the signed-in user and the posts saved in the given collection, by
+   * default the oldest one.
+   */
+  async showSaved(collectionName = null) {
+    const collectionNames = await this.firebaseHelper.getSavedCollections();
+    // Reset the UI.
+    this.clear();
+
+    this.collectionNames = collectionNames;
+    if (collectionNames.length === 0) {
+      this.noCollections.show();
+      return;
+    }
+    this.collectionName = collectionNames.indexOf(collectionName) !== -1 ? collectionName : collectionNames[0];
+    this.displayCollections();
+    this.collectionActions.show();
+
+    const data = await this.firebaseHelper.getSavedPosts(this.collectionName);
+    if (Object.keys(data.entries).length === 0) {
+      this.noSavedPosts.show();
+    }
+    this.addPosts(data.entries);
+    this.toggleNextPageButton(data.nextPage);
+
+    // Listen for posts being un-saved or moved to another collection.
+    this.firebaseHelper.registerForPostsDeletion((postId) => {
+      $(`.fp-post-${postId}`, this.savedPage).remove();
+      this.noSavedPosts.toggle(this.imageContainer.children().length === 0);
+    }, `/saved/${this.auth.currentUser.uid}/${this.collectionName}`);
+  }
+
+  /**
+   * Displays the list of collections, highlighting the current one.
+   */
+  displayCollections() {
+    this.collectionsContainer.empty();
+    this.collectionNames.forEach((collectionName) => {
+      const element = $(`
+          <a class="fp-saved-collection mdl-chip">
+            <span class="mdl-chip__text"></span>
+          </a>`);
+      element.attr('href', `/saved/${encodeURIComponent(collectionName)}`);
+      element.toggleClass('fp-saved-collection-active', collectionName === this.collectionName);
+      $('.mdl-chip__text', element).text(collectionName);
+      this.collectionsContainer.append(element);
+    });
+  }
+
+  /**
+   * Adds the list of posts to the UI.
+   */
+  addPosts(posts) {
+    const postIds = Object.keys(posts);
+    for (let i = postIds.length - 1; i >= 0; i--) {
+      this.imageContainer.append(
+          this.userPage.createImageCard(postIds[i],
+              posts[postIds[i]].thumb_url || posts[postIds[i]].url, posts[postIds[i]].text));
+      this.noSavedPosts.hide();
+    }
+  }
+
+  /**
+   * Shows the "load next page" button and binds it the `nextPage` callback. If `nextPage` is `null`
+   * then the button is hidden.
+   */
+  toggleNextPageButton(nextPage) {
+    if (nextPage) {
+      this.nextPageButton.show();
+      this.nextPageButton.unbind('click');
+      this.nextPageButton.prop('disabled', false);
+      this.nextPageButton.click(async () => {
+        this.nextPageButton.prop('disabled', true);
+        const data = await nextPage();
+        this.addPosts(data.entries);
+        this.toggleNextPageButton(data.nextPage);
+      });
+    } else {
+      this.nextPageButton.hide();
+    }
+  }
+
+  /**
+   * Asks for the name of a new collection and creates it.
+   */
+  async createCollection() {
+    const collectionName = await Post.promptCollectionName('New collection');
+    if (!collectionName || !this.checkNameAvailable(collectionName)) {
+      return;
+    }
+    await this.firebaseHelper.createSavedCollection(collectionName);
+    page(`/saved/${encodeURIComponent(collectionName)}`);
+  }
+
+  /**
+   * Asks for a new name for the current collection and renames it.
+   */
+  async renameCollection() {
+    const oldName = this.collectionName;
+    const collectionName = await Post.promptCollectionName('Rename collection', oldName);
+    if (!collectionName || collectionName === oldName || !this.checkNameAvailable(collectionName)) {
+      return;
+    }
+    await this.firebaseHelper.renameSavedCollection(oldName, collectionName);
+    page(`/saved/${encodeURIComponent(collectionName)}`);
+  }
+
+  /**
+   * Deletes the current collection once the user has confirmed. The posts of the collection are
+   * un-saved.
+   */
+  async deleteCollection() {
+    const willDelete = await swal({
+      title: 'Are you sure?',
+      text: `You are about to delete the collection "${this.collectionName}". The posts it contains will no longer be saved.`,
+      icon: 'warning',
+      buttons: ['Cancel', 'Yes, delete it!'],
+      dangerMode: true,
+      closeOnEsc: true,
+    });
+    if (willDelete) {
+      await this.firebaseHelper.deleteSavedCollection(this.collectionName);
+      page('/saved');
+    }
+  }
+
+  /**
+   * Returns `true` if the user has no collection with the given name. Otherwise tells the user.
+   */
+  checkNameAvailable(collectionName) {
+    if (this.collectionNames.indexOf(collectionName) === -1) {
+      return true;
+    }
+    const data = {
+      message: `You already have a collection named "${collectionName}".`,
+      timeout: 5000,
+    };
+    MaterialUtils.showSnackbar(this.toast, data);
+    return false;
+  }
+
+  /**
+   * Clears the UI.
+   */
+  clear() {
+    this.collectionNames = [];
+    this.collectionName = null;
+    this.collectionsContainer.empty();
+    $('.fp-image', this.imageContainer).remove();
+
+    // Cancel all Firebase listeners.
+    this.firebaseHelper.cancelAllSubscriptions();
+
+    // Hides the "Load Next Page" button and the collection actions.
+    this.nextPageButton.hide();
+    this.collectionActions.hide();
+
+    // Hide the "empty list" messages.
+    this.noCollections.hide();
+    this.noSavedPosts.hide();
+  }
+}
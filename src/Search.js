@@ -16,6 +16,7 @@
 'use strict';
 
 import $ from 'jquery';
+import page from 'page';
 
 /**
  * Handles the Friendly Pix search feature.
@@ -56,7 +57,13 @@ export default class Search {
     this.searchResults = $('#fp-searchResults');
 
     // Event bindings.
-    this.searchField.keyup(() => this.displaySearchResults());
+    this.searchField.keyup((e) => {
+      if (e.key === 'Enter') {
+        this.searchPosts();
+      } else {
+        this.displaySearchResults();
+      }
+    });
     this.searchField.focus(() => this.displaySearchResults());
     this.searchField.click(() => this.displaySearchResults());
   }
@@ -77,30 +84,28 @@ export default class Search {
       this.searchResults.empty();
       const peopleIds = Object.keys(peopleResults);
       const hashtags = Object.keys(hashtagsResults);
-      if (peopleIds.length + hashtags.length > 0) {
-        this.searchResults.fadeIn();
-        $('html').click(() => {
-          $('html').unbind('click');
-          this.searchResults.fadeOut();
-        });
-        // Display people.
-        if (peopleIds.length > 0) {
-          peopleIds.forEach((peopleId) => {
-            const profile = peopleResults[peopleId];
-            this.searchResults.append(
-                Search.createPersonSearchResultHtml(peopleId, profile));
-          });
-        }
-        // Display hashtags.
-        if (hashtags.length > 0) {
-          hashtags.forEach((hashtag) => {
-            this.searchResults.append(
-                Search.createHashtagSearchResultHtml(hashtag, Object.keys(hashtagsResults[hashtag]).length));
-          });
-        }
-      } else {
+      this.searchResults.fadeIn();
+      $('html').click(() => {
+        $('html').unbind('click');
         this.searchResults.fadeOut();
+      });
+      // Display people.
+      if (peopleIds.length > 0) {
+        peopleIds.forEach((peopleId) => {
+          const profile = peopleResults[peopleId];
+          this.searchResults.append(
+              Search.createPersonSearchResultElement(peopleId, profile));
+        });
       }
+      // Display hashtags.
+      if (hashtags.length > 0) {
+        hashtags.forEach((hashtag) => {
+          this.searchResults.append(
+              Search.createHashtagSearchResultHtml(hashtag, Object.keys(hashtagsResults[hashtag]).length));
+        });
+      }
+      // There is always a link to the posts containing the search query.
+      this.searchResults.append(Search.createPostsSearchResultElement(searchString));
     } else {
       this.searchResults.empty();
       this.searchResults.fadeOut();
@@ -108,15 +113,47 @@ export default class Search {
   }
 
   /**
-   * Returns the HTML for a single search result for a person.
+   * Searches the posts containing the text typed in the search bar.
    */
-  static createPersonSearchResultHtml(peopleId, peopleProfile) {
-    return `
-        <a class="fp-searchResultItem fp-usernamelink fp-hashtagresult mdl-button mdl-js-button" href="/user/${peopleId}">
-            <div class="fp-avatar"style="background-image: url(${peopleProfile.profile_picture ||
-                '/images/silhouette.jpg'})"></div>
-            <div class="fp-username mdl-color-text--black">${peopleProfile.full_name}</div>
-        </a>`;
+  searchPosts() {
+    const searchString = this.searchField.val().trim();
+    if (searchString.length >= Search.MIN_CHARACTERS) {
+      this.searchResults.fadeOut();
+      page(`/search/${encodeURIComponent(searchString)}/posts`);
+    }
+  }
+
+  /**
+   * Returns the element of the search result linking to the posts containing the search query.
+   */
+  static createPostsSearchResultElement(searchString) {
+    const element = $(`
+        <a class="fp-searchResultItem fp-usernamelink mdl-button mdl-js-button">
+            <div class="fp-avatar fp-search-posts-icon"><i class="material-icons">search</i></div>
+            <div class="fp-username mdl-color-text--black">Posts containing "<span></span>"</div>
+        </a>`);
+    element.attr('href', `/search/${encodeURIComponent(searchString)}/posts`);
+    $('.fp-username span', element).text(searchString);
+    return element;
+  }
+
+  /**
+   * Returns the element of a single search result for a person. The profile is set by its owner so
+   * it is never inserted as HTML.
+   */
+  static createPersonSearchResultElement(peopleId, peopleProfile) {
+    const username = peopleProfile.username;
+    const element = $(`
+        <a class="fp-searchResultItem fp-usernamelink fp-hashtagresult mdl-button mdl-js-button">
+            <div class="fp-avatar"></div>
+            <div class="fp-username mdl-color-text--black"><span></span> <i></i></div>
+        </a>`);
+    element.attr('href', username ? `/@${username}` : `/user/${peopleId}`);
+    const profilePicture = peopleProfile.profile_picture || '/images/silhouette.jpg';
+    $('.fp-avatar', element).css('background-image', `url("${profilePicture.replace(/"/g, '\\"')}")`);
+    $('.fp-username span', element).text(peopleProfile.full_name || 'Anonymous');
+    $('.fp-username i', element).text(username ? `@${username}` : '');
+    return element;
   }
 
   /**
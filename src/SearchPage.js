@@ -16,13 +16,22 @@
 'use strict';
 
 import $ from 'jquery';
+import {MaterialUtils} from './Utils';
 
 /**
- * Handles the Hashtags Search UI.
+ * Handles the Hashtags and Posts Search UI.
  */
 export default class SearchPage {
   /**
-   * Initializes the Hashtags Search UI.
+   * The maximum number of posts displayed for a search.
+   * @return {number}
+   */
+  static get NB_POSTS_RESULTS_LIMIT() {
+    return 30;
+  }
+
+  /**
+   * Initializes the Hashtags and Posts Search UI.
    * @constructor
    */
   constructor(firebaseHelper) {
@@ -34,17 +43,50 @@ export default class SearchPage {
     this.noPosts = $('.fp-no-posts', this.searchPage);
     this.nextPageButton = $('.fp-next-page-button button', this.searchPage);
     this.searchPageImageContainer = $('.fp-image-container', this.searchPage);
+    this.muteContainer = $('.fp-mute-hashtag', this.searchPage);
+    this.muteLabel = $('.mdl-switch__label', this.muteContainer);
+    this.muteCheckbox = $('#mute-hashtag');
+    this.hashtagTab = $('.fp-search-tab-hashtag', this.searchPage);
+    this.postsTab = $('.fp-search-tab-posts', this.searchPage);
+
+    // Event bindings.
+    this.muteCheckbox.change(() => this.onMuteChange());
+  }
+
+  /**
+   * Triggered when the user changes the "Mute" checkbox.
+   */
+  async onMuteChange() {
+    const checked = this.muteCheckbox.prop('checked');
+    this.muteCheckbox.prop('disabled', true);
+
+    await this.firebaseHelper.toggleMuteHashtag(this.currentHashtag, checked);
+    this.updateMuteSwitch(checked);
+  }
+
+  /**
+   * Updates the "Mute" checkbox with the given muted status.
+   */
+  updateMuteSwitch(muted) {
+    this.muteCheckbox.prop('checked', muted);
+    this.muteCheckbox.prop('disabled', false);
+    this.muteLabel.text(muted ? 'Muted' : 'Mute');
+    MaterialUtils.refreshSwitchState(this.muteContainer);
   }
 
   /**
    * Displays the posts containing the given hashtag.
    */
   async loadHashtag(hashtag) {
+    this.currentHashtag = hashtag;
     this.hashtag.text('#' + hashtag);
+    this.muteContainer.show();
+    this.updateMuteSwitch(this.firebaseHelper.hasMutedHashtag(`#${hashtag}`));
+    this.displayTabs(hashtag, true);
 
     // Listen for posts deletions.
     this.firebaseHelper.registerForPostsDeletion((postId) =>
-      $(`.fp-post-${postId}`, this.searchPage).remove());
+      $(`.fp-post-${postId}`, this.searchPage).remove(), `/hashtags/${hashtag}`);
 
     // Display hashtags posts.
     const data = await this.firebaseHelper.getHastagsPosts(hashtag);
@@ -56,6 +98,9 @@ export default class SearchPage {
       this.noPosts.show();
     }
     this.firebaseHelper.subscribeToHashtagFeed(hashtag, (postId, postValue) => {
+      if (this.firebaseHelper.isMutedUser(postValue.author.uid) || this.firebaseHelper.isHiddenPendingReview(postValue)) {
+        return;
+      }
       this.searchPageImageContainer.prepend(
           this.createImageCard(postId, postValue.thumb_url, postValue.text));
       this.noPosts.hide();
@@ -66,12 +111,49 @@ export default class SearchPage {
     this.toggleNextPageButton(data.nextPage);
   }
 
+  /**
+   * Displays the posts which caption or comments contain the words of the given search query.
+   */
+  async searchPosts(query) {
+    this.currentHashtag = null;
+    this.hashtag.text(`"${query}"`);
+    this.muteContainer.hide();
+    this.displayTabs(query, false);
+
+    const results = await this.firebaseHelper.searchPosts(query, SearchPage.NB_POSTS_RESULTS_LIMIT);
+    // Reset the UI.
+    this.clear();
+
+    if (results.length === 0) {
+      this.noPosts.show();
+    }
+    results.forEach((result) => this.searchPageImageContainer.append(
+        this.createImageCard(result.id, result.post.thumb_url || result.post.url, result.post.text)));
+  }
+
+  /**
+   * Points the "Hashtag" and "Posts" tabs to the results of the given search query and highlights
+   * the current one. The "Hashtag" tab is hidden if the query can't be a hashtag.
+   */
+  displayTabs(query, isHashtagTab) {
+    const hashtag = query.toLowerCase();
+    this.hashtagTab.attr('href', `/search/${hashtag}`);
+    this.hashtagTab.toggle(/^[a-z0-9_-]+$/.test(hashtag));
+    this.hashtagTab.toggleClass('fp-search-tab-active', isHashtagTab);
+    this.postsTab.attr('href', `/search/${encodeURIComponent(query)}/posts`);
+    this.postsTab.toggleClass('fp-search-tab-active', !isHashtagTab);
+  }
+
   /**
    * Adds the list of posts to the UI.
    */
   addPosts(posts) {
     const postIds = Object.keys(posts);
     for (let i = postIds.length - 1; i >= 0; i--) {
+      if (this.firebaseHelper.isMutedUser(posts[postIds[i]].author.uid) ||
+          this.firebaseHelper.isHiddenPendingReview(posts[postIds[i]])) {
+        continue;
+      }
       this.searchPageImageContainer.append(
           this.createImageCard(postIds[i],
               posts[postIds[i]].thumb_url || posts[postIds[i]].url, posts[postIds[i]].text));
@@ -0,0 +1,148 @@
+/**
+ * Copyright 2015 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+import $ from 'jquery';
+import UserPage from './UserPage';
+import {Utils} from './Utils';
+
+/**
+ * Handles the Settings page where users manage the accounts they blocked and the accounts and
+ * hashtags they muted.
+ */
+export default class Settings {
+  /**
+   * Initializes the Settings UI.
+   * @constructor
+   */
+  constructor(firebaseHelper) {
+    this.firebaseHelper = firebaseHelper;
+
+    // DOM Elements.
+    this.settingsPage = $('#page-settings');
+    this.blockedContainer = $('.fp-blocked-container', this.settingsPage);
+    this.noBlocked = $('.fp-no-blocked', this.settingsPage);
+    this.mutedUsersContainer = $('.fp-muted-users-container', this.settingsPage);
+    this.noMutedUsers = $('.fp-no-muted-users', this.settingsPage);
+    this.mutedHashtagsContainer = $('.fp-muted-hashtags-container', this.settingsPage);
+    this.noMutedHashtags = $('.fp-no-muted-hashtags', this.settingsPage);
+    this.muteHashtagForm = $('.fp-mute-hashtag-form', this.settingsPage);
+    this.muteHashtagInput = $('.mdl-textfield__input', this.muteHashtagForm);
+
+    // Event bindings.
+    this.muteHashtagForm.submit((e) => {
+      e.preventDefault();
+      this.muteHashtag();
+    });
+  }
+
+  /**
+   * Displays the accounts blocked and the accounts and hashtags muted by the signed-in user.
+   */
+  async showSettings() {
+    const results = await Promise.all([
+      this.firebaseHelper.getBlockedProfiles(),
+      this.firebaseHelper.getMutedProfiles(),
+      this.firebaseHelper.getMutedHashtags(),
+    ]);
+    // Reset the UI.
+    this.clear();
+
+    this.displayProfiles(results[0], this.blockedContainer, this.noBlocked, 'Unblock',
+        (uid) => this.firebaseHelper.toggleBlockUser(uid, false));
+    this.displayProfiles(results[1], this.mutedUsersContainer, this.noMutedUsers, 'Unmute',
+        (uid) => this.firebaseHelper.toggleMuteUser(uid, false));
+    this.noMutedHashtags.toggle(results[2].length === 0);
+    results[2].forEach((hashtag) => this.addMutedHashtag(hashtag));
+  }
+
+  /**
+   * Displays the given profiles in the given container, each with a button which calls `action`
+   * and removes the profile from the list.
+   */
+  displayProfiles(profiles, container, emptyMessage, actionText, action) {
+    const uids = Object.keys(profiles);
+    emptyMessage.toggle(uids.length === 0);
+    uids.forEach((uid) => {
+      const element = $(`
+          <div class="fp-settings-account mdl-shadow--2dp mdl-cell mdl-cell--12-col">
+            ${UserPage.createProfileCardHtml(uid, profiles[uid].profile_picture, profiles[uid].full_name)}
+            <button class="mdl-button mdl-js-button mdl-button--raised"></button>
+          </div>`);
+      $('button', element).text(actionText).click(async () => {
+        $('button', element).prop('disabled', true);
+        await action(uid);
+        element.remove();
+        emptyMessage.toggle(container.children().length === 0);
+      });
+      container.append(element);
+    });
+  }
+
+  /**
+   * Mutes the hashtag typed in the input.
+   */
+  async muteHashtag() {
+    const hashtags = Utils.getHashtags(`#${this.muteHashtagInput.val().replace(/^#/, '')}`);
+    if (hashtags.length === 0) {
+      return;
+    }
+    await this.firebaseHelper.toggleMuteHashtag(hashtags[0], true);
+    this.muteHashtagInput.val('');
+    this.muteHashtagInput.parent().removeClass('is-dirty');
+    if ($(`.fp-muted-hashtag-${hashtags[0]}`, this.mutedHashtagsContainer).length === 0) {
+      this.addMutedHashtag(hashtags[0]);
+    }
+  }
+
+  /**
+   * Adds the given hashtag to the list of muted hashtags with a button to unmute it.
+   */
+  addMutedHashtag(hashtag) {
+    const element = $(`
+        <div class="fp-settings-hashtag mdl-shadow--2dp mdl-cell mdl-cell--12-col">
+          <a class="fp-settings-hashtag-link"></a>
+          <button class="mdl-button mdl-js-button mdl-button--raised">Unmute</button>
+        </div>`);
+    element.addClass(`fp-muted-hashtag-${hashtag}`);
+    $('a', element).text(`#${hashtag}`).attr('href', `/search/${hashtag}`);
+    $('button', element).click(async () => {
+      $('button', element).prop('disabled', true);
+      await this.firebaseHelper.toggleMuteHashtag(hashtag, false);
+      element.remove();
+      this.noMutedHashtags.toggle(this.mutedHashtagsContainer.children().length === 0);
+    });
+    this.mutedHashtagsContainer.append(element);
+    this.noMutedHashtags.hide();
+  }
+
+  /**
+   * Clears the UI.
+   */
+  clear() {
+    this.blockedContainer.empty();
+    this.mutedUsersContainer.empty();
+    this.mutedHashtagsContainer.empty();
+
+    // Cancel all Firebase listeners.
+    this.firebaseHelper.cancelAllSubscriptions();
+
+    // Hide the "empty list" messages.
+    this.noBlocked.hide();
+    this.noMutedUsers.hide();
+    this.noMutedHashtags.hide();
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Copyright 2015 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+import $ from 'jquery';
+import firebase from 'firebase/app';
+import 'firebase/auth';
+import {MaterialUtils, Utils} from './Utils';
+import Post from './Post';
+
+/**
+ * Handles the stories strip of the home feed and the stories viewer.
+ */
+export default class Stories {
+  /**
+   * Initializes the stories UI. Stories are displayed in the theatre mode of the given `post` and
+   * images are resized using the given `uploader`.
+   * @constructor
+   */
+  constructor(firebaseHelper, post, uploader) {
+    this.firebaseHelper = firebaseHelper;
+    this.post = post;
+    this.uploader = uploader;
+    // The stories of each user, oldest first, and the ID of the latest story seen of each user.
+    this.stories = {};
+    this.seenStories = {};
+
+    // Firebase SDK.
+    this.auth = firebase.auth();
+
+    // DOM Elements.
+    this.storiesStrip = $('.fp-stories');
+    this.storiesList = $('.fp-stories-list', this.storiesStrip);
+    this.storyInput = $('#fp-story-capture');
+    this.theatreCaption = $('.fp-theatre-caption');
+    this.toast = $('.mdl-js-snackbar');
+
+    // Event bindings.
+    this.storyInput.change((e) => this.uploadStory(e));
+  }
+
+  /**
+   * Displays the strip of stories of the signed-in user and the people they follow.
+   */
+  async showStories() {
+    const uid = this.auth.currentUser.uid;
+    const followingUids = await this.firebaseHelper.getFollowingUids();
+    const results = await Promise.all([
+      this.firebaseHelper.getStories([uid].concat(followingUids)),
+      this.firebaseHelper.getSeenStories(),
+    ]);
+    // The user may have left the home feed while the stories were loading.
+    if (window.location.pathname !== '/home') {
+      return;
+    }
+    this.stories = results[0];
+    this.seenStories = results[1];
+    this.displayStories();
+    this.storiesStrip.show();
+  }
+
+  /**
+   * Returns the UIDs of the authors of the stories in display order: authors with unseen stories
+   * first, then the most recent stories first. The signed-in user's own stories are not included.
+   */
+  getAuthorUids() {
+    const latestStoryId = (uid) => this.stories[uid][this.stories[uid].length - 1].id;
+    return Object.keys(this.stories).filter((uid) => uid !== this.auth.currentUser.uid).sort((a, b) => {
+      if (this.hasUnseenStories(a) !== this.hasUnseenStories(b)) {
+        return this.hasUnseenStories(a) ? -1 : 1;
+      }
+      return latestStoryId(b) > latestStoryId(a) ? 1 : -1;
+    });
+  }
+
+  /**
+   * Returns true if the given user has stories that the signed-in user hasn't seen.
+   */
+  hasUnseenStories(uid) {
+    const stories = this.stories[uid] || [];
+    const seenStoryId = this.seenStories[uid];
+    return stories.length > 0 && (!seenStoryId || seenStoryId < stories[stories.length - 1].id);
+  }
+
+  /**
+   * Displays the avatars of the users with stories, starting with the signed-in user.
+   */
+  displayStories() {
+    const uid = this.auth.currentUser.uid;
+    this.storiesList.empty();
+
+    // The signed-in user's avatar shows their own stories or, if they have none, adds a new one.
+    const ownElement = this.createStoryAvatar(uid, {
+      full_name: 'Your story',
+      profile_picture: this.auth.currentUser.photoURL,
+    });
+    ownElement.addClass('fp-own-story');
+    ownElement.append('<i class="fp-add-story material-icons">add_circle</i>');
+    ownElement.click(() => this.stories[uid] ? this.viewStories(uid) : this.storyInput.click());
+    $('.fp-add-story', ownElement).click((e) => {
+      e.stopPropagation();
+      this.storyInput.click();
+    });
+    this.storiesList.append(ownElement);
+
+    this.getAuthorUids().forEach((authorUid) => {
+      const element = this.createStoryAvatar(authorUid, this.stories[authorUid][0].author);
+      element.click(() => this.viewStories(authorUid));
+      this.storiesList.append(element);
+    });
+  }
+
+  /**
+   * Returns the avatar element of the stories of the given user, with a ring if there are unseen
+   * stories.
+   */
+  createStoryAvatar(uid, author = {}) {
+    const element = $(`
+        <div class="fp-story">
+          <div class="fp-avatar"></div>
+          <div class="fp-story-name"></div>
+        </div>`);
+    element.addClass(`fp-story-${uid}`);
+    element.toggleClass('fp-story-unseen', this.hasUnseenStories(uid));
+    $('.fp-avatar', element).css('background-image',
+        `url(${Utils.addSizeToGoogleProfilePic(author.profile_picture || '/images/silhouette.jpg')})`);
+    $('.fp-story-name', element).text(author.full_name || 'Anonymous');
+    return element;
+  }
+
+  /**
+   * Opens the stories viewer on the first unseen story of the given user. Tapping through goes on
+   * with the stories of the next users of the strip.
+   */
+  viewStories(uid) {
+    const authorUids = uid === this.auth.currentUser.uid ? [uid] :
+        this.getAuthorUids().slice(this.getAuthorUids().indexOf(uid));
+    const storyList = [];
+    authorUids.forEach((authorUid) => {
+      this.stories[authorUid].forEach((story) => storyList.push({authorUid: authorUid, story: story}));
+    });
+    const seenStoryId = this.seenStories[uid];
+    const firstUnseenIndex = storyList.findIndex((entry) => entry.authorUid === uid &&
+        (!seenStoryId || entry.story.id > seenStoryId));
+
+    this.post.enterTheatreMode(storyList.map((entry) => entry.story.full_url),
+        Math.max(firstUnseenIndex, 0), (index) => this.onStoryShown(storyList[index]));
+  }
+
+  /**
+   * Shows the author and views of the story displayed in the viewer and marks it as seen.
+   */
+  async onStoryShown(entry) {
+    const story = entry.story;
+    this.currentStoryId = story.id;
+    this.theatreCaption.html(`
+        <div class="fp-story-author"></div>
+        <div class="fp-story-time"></div>
+        <div class="fp-story-views"></div>`);
+    $('.fp-story-author', this.theatreCaption).text(story.author.full_name || 'Anonymous');
+    $('.fp-story-time', this.theatreCaption).text(Post.getTimeText(story.timestamp));
+    this.theatreCaption.show();
+
+    if (!this.seenStories[entry.authorUid] || this.seenStories[entry.authorUid] < story.id) {
+      this.seenStories[entry.authorUid] = story.id;
+      $(`.fp-story-${entry.authorUid}`, this.storiesList)
+          .toggleClass('fp-story-unseen', this.hasUnseenStories(entry.authorUid));
+    }
+    this.firebaseHelper.markStoryAsSeen(entry.authorUid, story.id);
+
+    // Authors can see who has viewed their stories.
+    if (entry.authorUid === this.auth.currentUser.uid) {
+      const viewers = await this.firebaseHelper.getStoryViewers(story.id);
+      if (this.currentStoryId === story.id) {
+        const names = viewers.map((viewer) => viewer.full_name || 'Anonymous');
+        $('.fp-story-views', this.theatreCaption).text(viewers.length === 0 ? 'No views yet' :
+            `Seen by ${viewers.length}: ${names.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Resizes the image selected by the user and posts it as a new story.
+   */
+  async uploadStory(e) {
+    const file = e.target.files[0];
+    // Clear the selection in the file picker input so the same file can be picked again.
+    this.storyInput.val('');
+    if (!file) {
+      return;
+    }
+    if (!file.type.match('image.*')) {
+      MaterialUtils.showSnackbar(this.toast, {message: 'You can only add images to your story.', timeout: 5000});
+      return;
+    }
+
+    $('.fp-own-story', this.storiesList).addClass('fp-story-uploading');
+    try {
+      const url = URL.createObjectURL(file);
+      const images = await this.uploader.generateImages({url: url, isVideo: false});
+      URL.revokeObjectURL(url);
+      await this.firebaseHelper.uploadNewStory(images.full, file.name);
+      MaterialUtils.showSnackbar(this.toast, {message: 'Your story has been posted!', timeout: 5000});
+      await this.showStories();
+    } catch (error) {
+      console.error(error);
+      $('.fp-own-story', this.storiesList).removeClass('fp-story-uploading');
+      MaterialUtils.showSnackbar(this.toast, {message: 'There was an error while posting your story.', timeout: 5000});
+    }
+  }
+
+  /**
+   * Clears and hides the stories strip.
+   */
+  clear() {
+    this.stories = {};
+    this.seenStories = {};
+    this.storiesList.empty();
+    this.storiesStrip.hide();
+  }
+}
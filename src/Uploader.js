@@ -20,6 +20,7 @@ import firebase from 'firebase/app';
 import 'firebase/auth';
 import page from 'page';
 import {MaterialUtils} from './Utils';
+import MentionsAutocomplete from './MentionsAutocomplete';
 
 /**
  * Handles uploads of new pics.
@@ -45,6 +46,24 @@ export default class Uploader {
     };
   }
 
+  /**
+   * @return {number}
+   */
+  static get MAX_PICTURES() {
+    return 10;
+  }
+
+  /**
+   * @return {number}
+   */
+  static get VIDEO_SPECS() {
+    return {
+      maxDurationSeconds: 30,
+      maxSizeMB: 50,
+      loadTimeoutSeconds: 15,
+    };
+  }
+
   /**
    * Inititializes the pics uploader/post creator.
    * @constructor
@@ -57,21 +76,28 @@ export default class Uploader {
 
     Uploader.addPolyfills();
 
+    // List of the selected pictures, in the order they will be posted.
+    this.currentPictures = [];
+
     // DOM Elements
     this.addButton = $('#add');
     this.addButtonFloating = $('#add-floating');
     this.imageInput = $('#fp-mediacapture');
     this.overlay = $('.fp-overlay', '#page-add');
-    this.newPictureContainer = $('#newPictureContainer');
+    this.uploadProgress = $('#uploadProgress');
+    this.newPicturesContainer = $('#newPicturesContainer');
+    this.addMorePicturesButton = $('.fp-add-more-pics');
     this.uploadButton = $('.fp-upload');
     this.imageCaptionInput = $('#imageCaptionInput');
     this.uploadPicForm = $('#uploadPicForm');
     this.toast = $('.mdl-js-snackbar');
+    this.mentionsAutocomplete = new MentionsAutocomplete(firebaseHelper, this.imageCaptionInput);
 
     // Event bindings
     this.addButton.click(() => this.initiatePictureCapture());
     this.addButtonFloating.click(() => this.initiatePictureCapture());
-    this.imageInput.change((e) => this.readPicture(e));
+    this.imageInput.change((e) => this.readPictures(e));
+    this.addMorePicturesButton.click(() => this.initiatePictureCapture(true));
     this.uploadPicForm.submit((e) => this.uploadPic(e));
     this.imageCaptionInput.keyup(() => this.uploadButton.prop('disabled', !this.imageCaptionInput.val()));
   }
@@ -97,20 +123,83 @@ export default class Uploader {
   }
 
   /**
-   * Start taking a picture.
+   * Start taking a picture. If `addToCurrentPictures` is `true` the selected pictures are added to
+   * the ones already selected instead of replacing them.
    */
-  initiatePictureCapture() {
+  initiatePictureCapture(addToCurrentPictures = false) {
+    this.addToCurrentPictures = addToCurrentPictures;
     this.imageInput.trigger('click');
   }
 
   /**
-   * Displays the given pic in the New Pic Upload dialog.
+   * Displays the currently selected pics in the New Pic Upload dialog.
    */
-  displayPicture(url) {
-    this.newPictureContainer.attr('src', url);
-    page('/add');
-    this.imageCaptionInput.focus();
-    this.uploadButton.prop('disabled', true);
+  displayPictures() {
+    this.newPicturesContainer.empty();
+    this.currentPictures.forEach((picture, index) => {
+      const element = $(`
+          <div class="fp-new-picture">
+            <div class="fp-new-picture-actions">
+              <button type="button" class="fp-move-pic-left mdl-button mdl-js-button mdl-button--icon">
+                <i class="material-icons">chevron_left</i>
+              </button>
+              <button type="button" class="fp-remove-pic mdl-button mdl-js-button mdl-button--icon">
+                <i class="material-icons">close</i>
+              </button>
+              <button type="button" class="fp-move-pic-right mdl-button mdl-js-button mdl-button--icon">
+                <i class="material-icons">chevron_right</i>
+              </button>
+            </div>
+          </div>`);
+      const media = picture.isVideo ? $('<video muted autoplay loop playsinline>') : $('<img alt="New Picture to Upload">');
+      media.attr('src', picture.url);
+      element.prepend(media);
+      $('.fp-move-pic-left', element).prop('disabled', index === 0);
+      $('.fp-move-pic-left', element).click(() => this.movePicture(index, index - 1));
+      $('.fp-move-pic-right', element).prop('disabled', index === this.currentPictures.length - 1);
+      $('.fp-move-pic-right', element).click(() => this.movePicture(index, index + 1));
+      $('.fp-remove-pic', element).click(() => this.removePicture(index));
+      this.newPicturesContainer.append(element);
+    });
+    this.newPicturesContainer.toggleClass('fp-single-picture', this.currentPictures.length === 1);
+    this.addMorePicturesButton.toggle(this.currentPictures.length < Uploader.MAX_PICTURES &&
+        !this._isVideoPost());
+  }
+
+  /**
+   * Returns `true` if the selected media is a video. Videos are always posted on their own.
+   * @private
+   */
+  _isVideoPost() {
+    return this.currentPictures.length > 0 && this.currentPictures[0].isVideo;
+  }
+
+  /**
+   * Moves the selected picture at index `from` to the index `to`.
+   */
+  movePicture(from, to) {
+    if (to < 0 || to >= this.currentPictures.length) {
+      return;
+    }
+    const picture = this.currentPictures.splice(from, 1)[0];
+    this.currentPictures.splice(to, 0, picture);
+    this.displayPictures();
+  }
+
+  /**
+   * Removes the selected picture at the given index. Goes back to the home page if there are no more
+   * selected pictures.
+   */
+  removePicture(index) {
+    const picture = this.currentPictures.splice(index, 1)[0];
+    if (picture.isVideo) {
+      URL.revokeObjectURL(picture.url);
+    }
+    if (this.currentPictures.length === 0) {
+      page('/');
+    } else {
+      this.displayPictures();
+    }
   }
 
   /**
@@ -121,85 +210,231 @@ export default class Uploader {
     this.addButton.prop('disabled', disabled);
     this.addButtonFloating.prop('disabled', disabled);
     this.imageCaptionInput.prop('disabled', disabled);
+    this.addMorePicturesButton.prop('disabled', disabled);
+    $('button', this.newPicturesContainer).prop('disabled', disabled);
     this.overlay.toggle(disabled);
+    this._setUploadProgress(0);
+  }
+
+  /**
+   * Displays the given upload progress, between 0 and 1.
+   * @private
+   */
+  _setUploadProgress(progress) {
+    if (this.uploadProgress[0] && this.uploadProgress[0].MaterialProgress) {
+      this.uploadProgress[0].MaterialProgress.setProgress(progress * 100);
+    }
   }
 
   /**
-   * Reads the picture the has been selected by the file picker.
+   * Reads the pictures that have been selected by the file picker.
    */
-  readPicture(event) {
-    this.clear();
+  async readPictures(event) {
+    if (!this.addToCurrentPictures) {
+      this.clear();
+    }
+    this.addToCurrentPictures = false;
 
-    const file = event.target.files[0]; // FileList object
-    this.currentFile = file;
+    // Only process image and video files.
+    let files = Array.from(event.target.files).filter(
+        (file) => file.type.match('image.*') || file.type.match('video.*'));
 
     // Clear the selection in the file picker input.
     this.imageInput.wrap('<form>').closest('form').get(0).reset();
     this.imageInput.unwrap();
 
-    // Only process image files.
-    if (file.type.match('image.*')) {
+    const remainingSlots = Uploader.MAX_PICTURES - this.currentPictures.length;
+    if (files.length > remainingSlots) {
+      files = files.slice(0, remainingSlots);
+      const data = {
+        message: `You can only post up to ${Uploader.MAX_PICTURES} pictures at a time.`,
+        timeout: 5000,
+      };
+      MaterialUtils.showSnackbar(this.toast, data);
+    }
+    if (files.length === 0) {
+      return;
+    }
+
+    if (files.some((file) => file.type.match('video.*'))) {
+      // Videos can't be mixed with other pictures or videos.
+      if (files.length > 1 || this.currentPictures.length > 0) {
+        const data = {
+          message: 'Videos have to be posted on their own.',
+          timeout: 5000,
+        };
+        MaterialUtils.showSnackbar(this.toast, data);
+        return;
+      }
+      const video = await this._readVideo(files[0]);
+      if (!video) {
+        return;
+      }
+      this.currentPictures.push(video);
+    } else {
+      // Read in the image files as data URLs.
+      const urls = await Promise.all(files.map((file) => Uploader._readAsDataUrl(file)));
+      files.forEach((file, index) => this.currentPictures.push({file: file, url: urls[index]}));
+    }
+    this.disableUploadUi(false);
+    this.displayPictures();
+    page('/add');
+    this.imageCaptionInput.focus();
+    this.uploadButton.prop('disabled', !this.imageCaptionInput.val());
+  }
+
+  /**
+   * Checks that the given video file is not too large or too long and returns the selected video's
+   * details. Returns `null` if the video can't be posted.
+   * @private
+   */
+  async _readVideo(file) {
+    const specs = Uploader.VIDEO_SPECS;
+    const url = URL.createObjectURL(file);
+    let error = null;
+    try {
+      const video = await Uploader._loadVideo(url);
+      if (file.size > specs.maxSizeMB * 1024 * 1024) {
+        error = `Videos have to be smaller than ${specs.maxSizeMB}MB.`;
+      } else if (video.duration > specs.maxDurationSeconds) {
+        error = `Videos have to be shorter than ${specs.maxDurationSeconds} seconds.`;
+      }
+    } catch (e) {
+      console.error('Error while reading the video', e);
+      error = 'This video could not be read.';
+    }
+    if (error) {
+      URL.revokeObjectURL(url);
+      MaterialUtils.showSnackbar(this.toast, {message: error, timeout: 5000});
+      return null;
+    }
+    return {file: file, url: url, isVideo: true};
+  }
+
+  /**
+   * Returns a promise which completes with a video element playing the video at the given URL. The
+   * video is paused on the frame used as the video's poster. The promise fails if the video can't be
+   * read, has no known duration (e.g. some streamed WebM files) or doesn't load in time.
+   * @private
+   * @static
+   */
+  static _loadVideo(url) {
+    return new Promise((resolve, reject) => {
+      const video = document.createElement('video');
+      const timeout = setTimeout(() => reject(new Error('The video took too long to load.')),
+          Uploader.VIDEO_SPECS.loadTimeoutSeconds * 1000);
+      const fail = (error) => {
+        clearTimeout(timeout);
+        reject(error);
+      };
+      video.preload = 'auto';
+      video.muted = true;
+      video.onloadeddata = () => {
+        if (!Number.isFinite(video.duration)) {
+          fail(new Error('The duration of the video is unknown.'));
+          return;
+        }
+        video.currentTime = Math.min(1, video.duration / 2);
+      };
+      video.onseeked = () => {
+        clearTimeout(timeout);
+        resolve(video);
+      };
+      video.onerror = () => fail(video.error);
+      video.src = url;
+    });
+  }
+
+  /**
+   * Returns a promise which completes with a loaded image element for the image at the given URL.
+   * @private
+   * @static
+   */
+  static _loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = reject;
+      image.src = url;
+    });
+  }
+
+  /**
+   * Returns a promise which completes with the content of the given file as a data URL.
+   * @private
+   * @static
+   */
+  static _readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
       const reader = new FileReader();
-      reader.onload = (e) => this.displayPicture(e.target.result);
-      // Read in the image file as a data URL.
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(reader.error);
       reader.readAsDataURL(file);
-      this.disableUploadUi(false);
-    }
+    });
   }
 
   /**
-   * Returns a Canvas containing the given image scaled down to the given max dimension.
+   * Returns a Canvas containing the given image, or current frame of the given video, scaled down to
+   * the given max dimension.
    * @private
    * @static
    */
   static _getScaledCanvas(image, maxDimension) {
+    const width = image.videoWidth || image.width;
+    const height = image.videoHeight || image.height;
     const thumbCanvas = document.createElement('canvas');
-    if (image.width > maxDimension ||
-      image.height > maxDimension) {
-      if (image.width > image.height) {
+    if (width > maxDimension ||
+      height > maxDimension) {
+      if (width > height) {
         thumbCanvas.width = maxDimension;
-        thumbCanvas.height = maxDimension * image.height / image.width;
+        thumbCanvas.height = maxDimension * height / width;
       } else {
-        thumbCanvas.width = maxDimension * image.width / image.height;
+        thumbCanvas.width = maxDimension * width / height;
         thumbCanvas.height = maxDimension;
       }
     } else {
-      thumbCanvas.width = image.width;
-      thumbCanvas.height = image.height;
+      thumbCanvas.width = width;
+      thumbCanvas.height = height;
     }
-    thumbCanvas.getContext('2d').drawImage(image, 0, 0, image.width, image.height,
+    thumbCanvas.getContext('2d').drawImage(image, 0, 0, width, height,
         0, 0, thumbCanvas.width, thumbCanvas.height);
     return thumbCanvas;
   }
 
   /**
-   * Generates the full size image and image thumb using canvas and returns them in a promise.
+   * Generates a JPEG image of the picture at the given URL scaled down to the given specs and
+   * returns it as a blob in a promise.
+   * @static
+   */
+  static async generateScaledImage(url, specs) {
+    const image = await Uploader._loadImage(url);
+    const canvas = Uploader._getScaledCanvas(image, specs.maxDimension);
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', specs.quality));
+  }
+
+  /**
+   * Generates the full size image and image thumb of the given selected picture using canvas and
+   * returns them in a promise. For videos the images are generated from the poster frame.
    */
-  async generateImages() {
+  async generateImages(picture) {
     const fullDeferred = new $.Deferred();
     const thumbDeferred = new $.Deferred();
 
     const resolveFullBlob = (blob) => fullDeferred.resolve(blob);
     const resolveThumbBlob = (blob) => thumbDeferred.resolve(blob);
 
-    const displayPicture = (url) => {
-      const image = new Image();
-      image.src = url;
-
-      // Generate thumb.
-      const maxThumbDimension = Uploader.THUMB_IMAGE_SPECS.maxDimension;
-      const thumbCanvas = Uploader._getScaledCanvas(image, maxThumbDimension);
-      thumbCanvas.toBlob(resolveThumbBlob, 'image/jpeg', Uploader.THUMB_IMAGE_SPECS.quality);
+    const image = picture.isVideo ?
+        await Uploader._loadVideo(picture.url) : await Uploader._loadImage(picture.url);
 
-      // Generate full sized image.
-      const maxFullDimension = Uploader.FULL_IMAGE_SPECS.maxDimension;
-      const fullCanvas = Uploader._getScaledCanvas(image, maxFullDimension);
-      fullCanvas.toBlob(resolveFullBlob, 'image/jpeg', Uploader.FULL_IMAGE_SPECS.quality);
-    };
+    // Generate thumb.
+    const maxThumbDimension = Uploader.THUMB_IMAGE_SPECS.maxDimension;
+    const thumbCanvas = Uploader._getScaledCanvas(image, maxThumbDimension);
+    thumbCanvas.toBlob(resolveThumbBlob, 'image/jpeg', Uploader.THUMB_IMAGE_SPECS.quality);
 
-    const reader = new FileReader();
-    reader.onload = (e) => displayPicture(e.target.result);
-    reader.readAsDataURL(this.currentFile);
+    // Generate full sized image.
+    const maxFullDimension = Uploader.FULL_IMAGE_SPECS.maxDimension;
+    const fullCanvas = Uploader._getScaledCanvas(image, maxFullDimension);
+    fullCanvas.toBlob(resolveFullBlob, 'image/jpeg', Uploader.FULL_IMAGE_SPECS.quality);
 
     const results = await Promise.all([fullDeferred.promise(), thumbDeferred.promise()]);
     return {
@@ -216,13 +451,22 @@ export default class Uploader {
     this.disableUploadUi(true);
     const imageCaption = this.imageCaptionInput.val();
 
-    const pics = await this.generateImages();
     // Upload the File upload to Cloud Storage and create new post.
     try {
-      const postId = await this.firebaseHelper.uploadNewPic(pics.full, pics.thumb, this.currentFile.name, imageCaption);
+      const isVideoPost = this._isVideoPost();
+      const pics = [];
+      for (const picture of this.currentPictures) {
+        const images = await this.generateImages(picture);
+        pics.push({file: picture.file, full: images.full, thumb: images.thumb, fileName: picture.file.name});
+      }
+      const mentions = this.mentionsAutocomplete.getMentions();
+      const onProgress = (progress) => this._setUploadProgress(progress);
+      const postId = isVideoPost ?
+          await this.firebaseHelper.uploadNewVideo(pics[0], imageCaption, mentions, onProgress) :
+          await this.firebaseHelper.uploadNewPic(pics, imageCaption, mentions, onProgress);
       page(`/user/${this.auth.currentUser.uid}`);
       const data = {
-        message: 'New pic has been posted!',
+        message: isVideoPost ? 'New video has been posted!' : 'New pic has been posted!',
         actionHandler: () => page(`/post/${postId}`),
         actionText: 'View',
         timeout: 10000,
@@ -244,16 +488,19 @@ export default class Uploader {
    * Clear the uploader.
    */
   clear() {
-    this.currentFile = null;
+    this.currentPictures.filter((picture) => picture.isVideo)
+        .forEach((picture) => URL.revokeObjectURL(picture.url));
+    this.currentPictures = [];
 
     // Cancel all Firebase listeners.
     this.firebaseHelper.cancelAllSubscriptions();
 
-    // Clear previously displayed pic.
-    this.newPictureContainer.attr('src', '');
+    // Clear previously displayed pics.
+    this.newPicturesContainer.empty();
 
     // Clear the text field.
     MaterialUtils.clearTextField(this.imageCaptionInput[0]);
+    this.mentionsAutocomplete.clear();
 
     // Make sure UI is not disabled.
     this.disableUploadUi(false);
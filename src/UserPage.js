@@ -19,12 +19,21 @@ import $ from 'jquery';
 import firebase from 'firebase/app';
 import 'firebase/auth';
 import page from 'page';
+import swal from 'sweetalert';
 import {MaterialUtils, Utils} from './Utils';
 
 /**
  * Handles the User Profile UI.
  */
 export default class UserPage {
+  /**
+   * Usernames are 3 to 30 lowercase letters, digits and underscores.
+   * @return {RegExp}
+   */
+  static get USERNAME_PATTERN() {
+    return /^[a-z0-9_]{3,30}$/;
+  }
+
   /**
    * Initializes the user's profile UI.
    * @constructor
@@ -41,6 +50,12 @@ export default class UserPage {
     this.userAvatar = $('.fp-user-avatar');
     this.toast = $('.mdl-js-snackbar');
     this.userUsername = $('.fp-user-username');
+    this.userHandle = $('.fp-user-handle', this.userPage);
+    this.editUsernameButton = $('.fp-edit-username', this.userPage);
+    this.editProfileButton = $('.fp-edit-profile', this.userPage);
+    this.userCover = $('.fp-user-cover', this.userPage);
+    this.userBio = $('.fp-user-bio', this.userPage);
+    this.userWebsite = $('.fp-user-website', this.userPage);
     this.userInfoContainer = $('.fp-user-container');
     this.followContainer = $('.fp-follow');
     this.noPosts = $('.fp-no-posts', this.userPage);
@@ -49,6 +64,15 @@ export default class UserPage {
     this.blockContainer = $('.fp-block');
     this.blockLabel = $('.mdl-switch__label', this.blockContainer);
     this.blockCheckbox = $('#block');
+    this.muteContainer = $('.fp-mute');
+    this.muteLabel = $('.mdl-switch__label', this.muteContainer);
+    this.muteCheckbox = $('#mute');
+    this.sendMessageButton = $('.fp-send-message', this.userPage);
+    this.moderationContainer = $('.fp-user-moderation', this.userPage);
+    this.suspensionStatus = $('.fp-user-suspension', this.userPage);
+    this.suspendButton = $('.fp-suspend-user', this.userPage);
+    this.banButton = $('.fp-ban-user', this.userPage);
+    this.reinstateButton = $('.fp-reinstate-user', this.userPage);
     this.nbPostsContainer = $('.fp-user-nbposts', this.userPage);
     this.nbFollowers = $('.fp-user-nbfollowers', this.userPage);
     this.nbFollowing = $('.fp-user-nbfollowing', this.userPage);
@@ -57,12 +81,22 @@ export default class UserPage {
     this.nextPageButton = $('.fp-next-page-button button', this.userPage);
     this.closeFollowingButton = $('.fp-close-following', this.userPage);
     this.userInfoPageImageContainer = $('.fp-image-container', this.userPage);
+    this.privateAccountMessage = $('.fp-private-account', this.userPage);
+    this.followRequestsContainer = $('.fp-follow-requests', this.userPage);
+    this.followRequestsList = $('.fp-follow-requests-list', this.userPage);
 
     // Event bindings.
     this.followCheckbox.change(() => this.onFollowChange());
     this.blockCheckbox.change(() => this.onBlockChange());
+    this.muteCheckbox.change(() => this.onMuteChange());
+    this.sendMessageButton.click(() => this.onSendMessage());
+    this.editUsernameButton.click(() => this.onEditUsername());
+    this.suspendButton.click(() => this.onSuspendUser());
+    this.banButton.click(() => this.onBanUser());
+    this.reinstateButton.click(() => this.onReinstateUser());
     this.auth.onAuthStateChanged(() => this.trackFollowStatus());
     this.auth.onAuthStateChanged(() => this.trackBlockStatus());
+    this.auth.onAuthStateChanged(() => this.trackMuteStatus());
     this.nbFollowingContainer.click(() => this.displayFollowing());
     this.closeFollowingButton.click(() => {
       this.followingContainer.hide();
@@ -77,7 +111,12 @@ export default class UserPage {
     const checked = this.followCheckbox.prop('checked');
     this.followCheckbox.prop('disabled', true);
 
-    this.firebaseHelper.toggleFollowUser(this.userId, checked);
+    // Private accounts need to approve a follow request first.
+    if (this.isPrivateAccount && !this.isFollowing) {
+      this.firebaseHelper.toggleFollowRequest(this.userId, checked);
+    } else {
+      this.firebaseHelper.toggleFollowUser(this.userId, checked);
+    }
   }
 
   /**
@@ -90,30 +129,249 @@ export default class UserPage {
     this.firebaseHelper.toggleBlockUser(this.userId, checked);
   }
 
+  /**
+   * Triggered when the user changes the "Mute" checkbox.
+   */
+  onMuteChange() {
+    const checked = this.muteCheckbox.prop('checked');
+    this.muteCheckbox.prop('disabled', true);
+
+    this.firebaseHelper.toggleMuteUser(this.userId, checked);
+  }
+
+  /**
+   * Triggered when the user clicks the "Message" button. Opens the conversation with the user.
+   */
+  async onSendMessage() {
+    this.sendMessageButton.prop('disabled', true);
+    try {
+      const conversationId = await this.firebaseHelper.startConversation([this.userId]);
+      page(`/messages/${conversationId}`);
+    } catch (error) {
+      console.error(error);
+      MaterialUtils.showSnackbar(this.toast, {message: 'You can\'t send messages to this user.', timeout: 5000});
+    }
+    this.sendMessageButton.prop('disabled', false);
+  }
+
+  /**
+   * Triggered when the user clicks the "Edit username" button. Asks for a new username and saves it
+   * unless the username was changed too recently or is already taken.
+   */
+  async onEditUsername() {
+    const nextChangeTime = await this.firebaseHelper.getNextUsernameChangeTime();
+    if (nextChangeTime) {
+      MaterialUtils.showSnackbar(this.toast, {
+        message: `You can change your username again on ${new Date(nextChangeTime).toLocaleDateString()}.`,
+        timeout: 5000,
+      });
+      return;
+    }
+    const newUsername = await swal({
+      title: 'Edit username',
+      text: 'Usernames are 3 to 30 letters, digits or underscores. You can only change it once every 30 days.',
+      content: {
+        element: 'input',
+        attributes: {
+          value: this.username || '',
+        },
+      },
+      buttons: ['Cancel', 'Save'],
+      closeOnEsc: true,
+    });
+    // Nothing to save if the dialog was cancelled or the username wasn't changed.
+    if (!newUsername || newUsername === true) {
+      return;
+    }
+    const username = newUsername.trim().replace(/^@/, '').toLowerCase();
+    if (username === this.username) {
+      return;
+    }
+    if (!UserPage.USERNAME_PATTERN.test(username)) {
+      MaterialUtils.showSnackbar(this.toast, {
+        message: 'Usernames are 3 to 30 letters, digits or underscores.',
+        timeout: 5000,
+      });
+      return;
+    }
+    try {
+      await this.firebaseHelper.setUsername(username);
+      page(`/@${username}`);
+    } catch (error) {
+      console.error(error);
+      MaterialUtils.showSnackbar(this.toast, {message: `The username @${username} is not available.`, timeout: 5000});
+    }
+  }
+
+  /**
+   * Displays the suspension status of the user and the buttons to suspend, ban or reinstate them if
+   * the signed-in user is an admin.
+   */
+  async displayModerationTools() {
+    const userId = this.userId;
+    const idTokenResult = await this.auth.currentUser.getIdTokenResult();
+    if (idTokenResult.claims.admin !== true) {
+      return;
+    }
+    const snapshot = await this.firebaseHelper.getSuspension(userId);
+    // Another profile may have been displayed in the meantime.
+    if (userId !== this.userId) {
+      return;
+    }
+    const suspension = snapshot.val();
+    if (suspension) {
+      this.suspensionStatus.text(suspension.expires_at ?
+          `Suspended until ${new Date(suspension.expires_at).toLocaleString()}` : 'Banned');
+    } else {
+      this.suspensionStatus.empty();
+    }
+    this.suspendButton.toggle(!suspension);
+    this.banButton.toggle(!suspension || !!suspension.expires_at);
+    this.reinstateButton.toggle(!!suspension);
+    this.moderationContainer.show();
+  }
+
+  /**
+   * Triggered when an admin clicks the "Suspend" button. Asks for the duration and the reason of the
+   * suspension then suspends the user.
+   */
+  async onSuspendUser() {
+    const content = $(`
+        <div class="fp-suspend-form">
+          <label><input class="fp-suspend-days" type="number" min="1" max="365" value="7"> days</label>
+          <input class="fp-suspend-reason" type="text" maxlength="500" placeholder="Reason">
+        </div>`);
+    const confirmed = await swal({
+      title: 'Suspend user',
+      content: content[0],
+      buttons: ['Cancel', 'Suspend'],
+      closeOnEsc: true,
+    });
+    if (!confirmed) {
+      return;
+    }
+    const days = parseInt($('.fp-suspend-days', content).val(), 10);
+    if (!(days > 0)) {
+      MaterialUtils.showSnackbar(this.toast, {message: 'Suspensions last at least one day.', timeout: 5000});
+      return;
+    }
+    const reason = $('.fp-suspend-reason', content).val().trim();
+    await this.applyModeration(() => this.firebaseHelper.suspendUser(this.userId, reason || null,
+        Date.now() + days * 24 * 60 * 60 * 1000), 'User suspended.');
+  }
+
+  /**
+   * Triggered when an admin clicks the "Ban" button. Asks for the reason of the ban then bans the
+   * user.
+   */
+  async onBanUser() {
+    const reason = await swal({
+      title: 'Ban user',
+      text: 'Banned users can\'t post, comment, like, follow people or send messages until reinstated.',
+      content: {
+        element: 'input',
+        attributes: {
+          placeholder: 'Reason',
+        },
+      },
+      buttons: ['Cancel', 'Ban'],
+      closeOnEsc: true,
+    });
+    // The dialog was cancelled.
+    if (reason === null) {
+      return;
+    }
+    await this.applyModeration(() => this.firebaseHelper.banUser(this.userId, reason.trim() || null), 'User banned.');
+  }
+
+  /**
+   * Triggered when an admin clicks the "Lift suspension" button.
+   */
+  async onReinstateUser() {
+    await this.applyModeration(() => this.firebaseHelper.reinstateUser(this.userId), 'User reinstated.');
+  }
+
+  /**
+   * Runs the given moderation action then refreshes the moderation tools and displays the given
+   * message, or the error.
+   */
+  async applyModeration(action, message) {
+    $('button', this.moderationContainer).prop('disabled', true);
+    try {
+      await action();
+      MaterialUtils.showSnackbar(this.toast, {message: message, timeout: 5000});
+    } catch (error) {
+      console.error(error);
+      MaterialUtils.showSnackbar(this.toast, {message: error.message, timeout: 5000});
+    }
+    $('button', this.moderationContainer).prop('disabled', false);
+    await this.displayModerationTools();
+  }
+
   /**
    * Starts tracking the "Follow" checkbox status.
    */
   trackFollowStatus() {
     if (this.auth.currentUser) {
       this.firebaseHelper.registerToFollowStatusUpdate(this.userId, (data) => {
-        this.followCheckbox.prop('checked', data.val() !== null);
-        this.followCheckbox.prop('disabled', false);
-        this.followLabel.text(data.val() ? 'Following' : 'Follow');
-        MaterialUtils.refreshSwitchState(this.followContainer);
+        this.isFollowing = data.val() !== null;
+        this.updateFollowSwitch();
+        // Display the posts of a private account once the follow request has been approved.
+        if (this.isFollowing && this.privateAccountMessage.is(':visible')) {
+          this.privateAccountMessage.hide();
+          this.displayPosts(this.userId);
+        }
+      });
+      this.firebaseHelper.registerToFollowRequestStatusUpdate(this.userId, (data) => {
+        this.isFollowRequested = data.val() !== null;
+        this.updateFollowSwitch();
       });
     }
   }
 
+  /**
+   * Updates the "Follow" checkbox and its label with the current follow status.
+   */
+  updateFollowSwitch() {
+    let label = this.isPrivateAccount ? 'Request to follow' : 'Follow';
+    if (this.isFollowing) {
+      label = 'Following';
+    } else if (this.isFollowRequested) {
+      label = 'Requested';
+    }
+    this.followCheckbox.prop('checked', this.isFollowing || this.isFollowRequested);
+    this.followCheckbox.prop('disabled', false);
+    this.followLabel.text(label);
+    MaterialUtils.refreshSwitchState(this.followContainer);
+  }
+
   /**
    * Starts tracking the "Blocked" checkbox status.
    */
   trackBlockStatus() {
     if (this.auth.currentUser) {
-      this.firebaseHelper.registerToBlockedStatusUpdate(this.userId, (data) => {
+      this.firebaseHelper.registerToBlockedStatusUpdate(this.userId, async (data) => {
+        await this.firebaseHelper.blockedUsersLoaded;
         this.blockCheckbox.prop('checked', data.val() !== null);
         this.blockCheckbox.prop('disabled', false);
         this.blockLabel.text(data.val() ? 'Blocked' : 'Block');
         MaterialUtils.refreshSwitchState(this.blockContainer);
+        // Users can't message people they blocked or who blocked them.
+        this.sendMessageButton.toggle(data.val() === null && !this.firebaseHelper.isBlockedBy(this.userId));
+      });
+    }
+  }
+
+  /**
+   * Starts tracking the "Mute" checkbox status.
+   */
+  trackMuteStatus() {
+    if (this.auth.currentUser) {
+      this.firebaseHelper.registerToMuteStatusUpdate(this.userId, (data) => {
+        this.muteCheckbox.prop('checked', data.val() !== null);
+        this.muteCheckbox.prop('disabled', false);
+        this.muteLabel.text(data.val() ? 'Muted' : 'Mute');
+        MaterialUtils.refreshSwitchState(this.muteContainer);
       });
     }
   }
@@ -124,6 +382,9 @@ export default class UserPage {
   addPosts(posts) {
     const postIds = Object.keys(posts);
     for (let i = postIds.length - 1; i >= 0; i--) {
+      if (this.firebaseHelper.isHiddenPendingReview(posts[postIds[i]])) {
+        continue;
+      }
       this.userInfoPageImageContainer.append(
           this.createImageCard(postIds[i],
               posts[postIds[i]].thumb_url || posts[postIds[i]].url, posts[postIds[i]].text));
@@ -152,6 +413,19 @@ export default class UserPage {
     }
   }
 
+  /**
+   * Displays the information of the user with the given username in the UI.
+   */
+  async loadUserByUsername(username) {
+    const userId = await this.firebaseHelper.getUidForUsername(username);
+    if (userId) {
+      this.loadUser(userId);
+    } else {
+      MaterialUtils.showSnackbar(this.toast, {message: 'This user does not exists.', timeout: 5000});
+      page(`/home`);
+    }
+  }
+
   /**
    * Displays the given user information in the UI.
    */
@@ -167,31 +441,75 @@ export default class UserPage {
     if (this.auth.currentUser && userId === this.auth.currentUser.uid) {
       this.followContainer.hide();
       this.blockContainer.hide();
+      this.muteContainer.hide();
+      this.editUsernameButton.show();
+      this.editProfileButton.show();
       this.messaging.enableNotificationsContainer.show();
       this.messaging.enableNotificationsCheckbox.prop('disabled', true);
       MaterialUtils.refreshSwitchState(this.messaging.enableNotificationsContainer);
       this.messaging.trackNotificationsEnabledStatus();
+      // Display the pending follow requests.
+      this.firebaseHelper.registerForFollowRequests((profiles) => this.displayFollowRequests(profiles));
     } else {
       this.messaging.enableNotificationsContainer.hide();
+      this.messaging.notificationPrefsContainer.hide();
       this.followContainer.show();
       this.followCheckbox.prop('disabled', true);
       this.blockContainer.show();
       this.blockContainer.prop('disabled', true);
+      this.muteContainer.show();
+      this.muteCheckbox.prop('disabled', true);
+      MaterialUtils.refreshSwitchState(this.muteContainer);
       MaterialUtils.refreshSwitchState(this.followContainer);
       // Start live tracking the state of the "Follow" Checkbox.
       this.trackFollowStatus();
       // Start live tracking the state of the "Block" Checkbox.
       this.trackBlockStatus();
+      // Start live tracking the state of the "Mute" Checkbox.
+      this.trackMuteStatus();
+      // Admins can suspend and ban users.
+      if (this.auth.currentUser) {
+        this.displayModerationTools();
+      }
     }
 
     // Load user's profile.
-    this.firebaseHelper.loadUserProfile(userId).then((snapshot) => {
-      const userInfo = snapshot.val();
+    this.firebaseHelper.loadUserProfile(userId).then(async (snapshot) => {
+      // Users who blocked the current user are displayed as if they did not exist.
+      await this.firebaseHelper.blockedUsersLoaded;
+      const userInfo = this.firebaseHelper.isBlockedBy(userId) ? null : snapshot.val();
       if (userInfo) {
         this.userAvatar.css('background-image',
             `url("${Utils.addSizeToGoogleProfilePic(userInfo.profile_picture) || '/images/silhouette.jpg'}")`);
         this.userUsername.text(userInfo.full_name || 'Anonymous');
+        this.username = userInfo.username || null;
+        this.userHandle.text(this.username ? `@${this.username}` : '');
+        this.userBio.html(UserPage.createBioHtml(userInfo.bio || ''));
+        if (userInfo.website) {
+          this.userWebsite.attr('href', userInfo.website).text(userInfo.website.replace(/^https?:\/\//, ''));
+        }
+        if (userInfo.cover_picture) {
+          this.userCover.css('background-image', `url("${userInfo.cover_picture.replace(/"/g, '\\"')}")`).show();
+        }
         this.userInfoContainer.show();
+        this.isPrivateAccount = userInfo.private_account === true;
+        // Refresh the "Follow" label if the follow status is already known.
+        if (this.followCheckbox.prop('disabled') === false) {
+          this.updateFollowSwitch();
+        }
+
+        // Only the approved followers of private accounts can see their posts.
+        const currentUser = this.auth.currentUser;
+        const canViewPosts = !this.isPrivateAccount || (currentUser &&
+            (currentUser.uid === userId || await this.firebaseHelper.isFollowing(userId)));
+        if (userId !== this.userId) {
+          return;
+        }
+        if (canViewPosts) {
+          this.displayPosts(userId);
+        } else {
+          this.privateAccountMessage.show();
+        }
       } else {
         const data = {
           message: 'This user does not exists.',
@@ -213,7 +531,12 @@ export default class UserPage {
     // Lod user's number of posts.
     this.firebaseHelper.registerForPostsCount(userId,
         (nbPosts) => this.nbPostsContainer.text(nbPosts));
+  }
 
+  /**
+   * Displays the posts of the given user.
+   */
+  displayPosts(userId) {
     // Display user's posts.
     this.firebaseHelper.getUserFeedPosts(userId).then((data) => {
       const postIds = Object.keys(data.entries);
@@ -222,6 +545,9 @@ export default class UserPage {
       }
       this.firebaseHelper.subscribeToUserFeed(userId,
           (postId, postValue) => {
+            if (this.firebaseHelper.isHiddenPendingReview(postValue)) {
+              return;
+            }
             this.userInfoPageImageContainer.prepend(
                 this.createImageCard(postId,
                     postValue.thumb_url || postValue.url, postValue.text));
@@ -235,7 +561,26 @@ export default class UserPage {
 
     // Listen for posts deletions.
     this.firebaseHelper.registerForPostsDeletion((postId) =>
-      $(`.fp-post-${postId}`, this.userPage).remove());
+      $(`.fp-post-${postId}`, this.userPage).remove(), `/people/${userId}/posts`);
+  }
+
+  /**
+   * Displays the given pending follow requests with buttons to approve or reject them.
+   */
+  displayFollowRequests(profiles) {
+    this.followRequestsList.empty();
+    Object.keys(profiles).forEach((uid) => {
+      const element = $(`
+          <div class="fp-follow-request">
+            ${UserPage.createProfileCardHtml(uid, profiles[uid].profile_picture, profiles[uid].full_name)}
+            <button class="fp-approve-request mdl-button mdl-js-button mdl-button--raised mdl-button--colored">Approve</button>
+            <button class="fp-reject-request mdl-button mdl-js-button">Reject</button>
+          </div>`);
+      $('.fp-approve-request', element).click(() => this.firebaseHelper.approveFollowRequest(uid));
+      $('.fp-reject-request', element).click(() => this.firebaseHelper.rejectFollowRequest(uid));
+      this.followRequestsList.append(element);
+    });
+    this.followRequestsContainer.toggle(Object.keys(profiles).length > 0);
   }
 
   /**
@@ -272,8 +617,18 @@ export default class UserPage {
     // Hides the "Load Next Page" button.
     this.nextPageButton.hide();
 
-    // Hides the user info box.
+    // Hides the user info box, the profile details, the moderation tools and the "Message", "Edit
+    // username" and "Edit profile" buttons.
     this.userInfoContainer.hide();
+    this.sendMessageButton.hide();
+    this.moderationContainer.hide();
+    this.editUsernameButton.hide();
+    this.editProfileButton.hide();
+    this.userHandle.empty();
+    this.username = null;
+    this.userCover.hide().css('background-image', '');
+    this.userBio.empty();
+    this.userWebsite.removeAttr('href').empty();
 
     // Hide and empty the list of Followed people.
     this.followingContainer.hide();
@@ -282,8 +637,18 @@ export default class UserPage {
     // Stops then infinite scrolling listeners.
     MaterialUtils.stopOnEndScrolls();
 
-    // Hide the "No posts" message.
+    // Hide the "No posts" and the "Private account" messages.
     this.noPosts.hide();
+    this.privateAccountMessage.hide();
+
+    // Hide and empty the list of follow requests.
+    this.followRequestsContainer.hide();
+    this.followRequestsList.empty();
+
+    // Reset the follow status.
+    this.isPrivateAccount = false;
+    this.isFollowing = false;
+    this.isFollowRequested = false;
   }
 
   /**
@@ -317,14 +682,31 @@ export default class UserPage {
     return element;
   }
 
+  /**
+   * Returns the HTML of the given bio where hashtags link to their posts and URLs are clickable.
+   */
+  static createBioHtml(bio) {
+    return bio.split(/(https?:\/\/\S+|#[a-z0-9_-]+)/i).map((part, index) => {
+      const escapedPart = Utils.escapeHtml(part);
+      // Hashtags and URLs are at the odd indexes.
+      if (index % 2 === 0) {
+        return escapedPart;
+      } else if (part.startsWith('#')) {
+        return `<a href="/search/${escapedPart.substring(1).toLowerCase()}">${escapedPart}</a>`;
+      }
+      return `<a href="${escapedPart}" target="_blank" rel="noopener noreferrer">${escapedPart}</a>`;
+    }).join('');
+  }
+
   /**
    * Returns an image Card element for the image with the given URL.
    */
   static createProfileCardHtml(uid, profilePic = '/images/silhouette.jpg', fullName = 'Anonymous') {
     fullName = Utils.escapeHtml(fullName);
+    profilePic = Utils.escapeHtml(Utils.addSizeToGoogleProfilePic(profilePic));
     return `
         <a class="fp-usernamelink mdl-button mdl-js-button" href="/user/${uid}">
-            <div class="fp-avatar" style="background-image: url('${Utils.addSizeToGoogleProfilePic(profilePic)}')"></div>
+            <div class="fp-avatar" style="background-image: url('${profilePic}')"></div>
             <div class="fp-username mdl-color-text--black">${fullName}</div>
         </a>`;
   }
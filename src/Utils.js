@@ -16,6 +16,8 @@
 'use strict';
 
 import $ from 'jquery';
+import latinize from 'latinize';
+import stemmer from 'stemmer';
 
 /**
  * Set of utilities to handle Material Design Lite elements.
@@ -53,6 +55,13 @@ export class MaterialUtils {
     element.parentElement.MaterialTextfield.boundUpdateClassesHandler();
   }
 
+  /**
+   * Refreshes the state of the given Material Text Field after its value was changed.
+   */
+  static refreshTextField(element) {
+    element.parentElement.MaterialTextfield.boundUpdateClassesHandler();
+  }
+
   /**
    * Upgrades the text fields in the element.
    */
@@ -171,6 +180,18 @@ export class Utils {
         .replace(/"/g, '&quot;').replace(/'/g, '&#039;');
   }
 
+  // Returns the subset of the given map of UIDs to names which are mentioned with an `@` in the given
+  // string or `null` if none of them are.
+  static getMentions(text, candidates) {
+    const mentions = {};
+    Object.keys(candidates || {}).forEach((uid) => {
+      if (text.indexOf(`@${candidates[uid]}`) !== -1) {
+        mentions[uid] = candidates[uid];
+      }
+    });
+    return Object.keys(mentions).length > 0 ? mentions : null;
+  }
+
   // Returns an array of all the hashtags in the given string.
   static getHashtags(text) {
     const hashtags = [];
@@ -181,4 +202,22 @@ export class Utils {
     });
     return hashtags;
   }
+
+  // Returns the latinized and stemmed words of the given string, without duplicates and stop words.
+  // These are the tokens under which posts are listed in the search index, see
+  // `functions/searchIndexer.js`.
+  static getSearchTokens(text) {
+    const stopWords = ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of',
+      'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'];
+    const tokens = [];
+    latinize(text).toLowerCase().split(/[^a-z0-9]+/).forEach((word) => {
+      if (word.length > 1 && stopWords.indexOf(word) === -1) {
+        const token = stemmer(word);
+        if (tokens.indexOf(token) === -1) {
+          tokens.push(token);
+        }
+      }
+    });
+    return tokens;
+  }
 }
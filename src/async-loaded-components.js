@@ -16,11 +16,19 @@
 'use strict';
 
 import MessagingHelper from './MessagingHelper';
+import ActivityFeed from './ActivityFeed';
+import AdminReports from './AdminReports';
 import AuthData from './AuthData';
+import EditProfilePage from './EditProfilePage';
+import ExplorePage from './ExplorePage';
 import Feed from './Feed';
+import Messages from './Messages';
 import Post from './Post';
+import SavedPage from './SavedPage';
 import Search from './Search';
 import SearchPage from './SearchPage';
+import Settings from './Settings';
+import Stories from './Stories';
 import Uploader from './Uploader';
 import FirebaseHelper from './FirebaseHelper';
 import PrivacySettings from './PrivacySettings';
@@ -32,8 +40,16 @@ const privacySettings = new PrivacySettings(firebaseHelper);
 const messagingHelper = new MessagingHelper(firebaseHelper);
 export const post = new Post(firebaseHelper);
 export const userPage = new UserPage(firebaseHelper, messagingHelper);
-export const feed = new Feed(firebaseHelper);
+const uploader = new Uploader(firebaseHelper);
+const stories = new Stories(firebaseHelper, post, uploader);
+export const feed = new Feed(firebaseHelper, stories);
 export const searchPage = new SearchPage(firebaseHelper);
+export const explorePage = new ExplorePage(firebaseHelper, searchPage);
+export const activityFeed = new ActivityFeed(firebaseHelper);
+export const settings = new Settings(firebaseHelper);
+export const editProfilePage = new EditProfilePage(firebaseHelper);
+export const adminReports = new AdminReports(firebaseHelper);
+export const savedPage = new SavedPage(firebaseHelper, userPage);
+export const messages = new Messages(firebaseHelper, uploader);
 new AuthData(firebaseHelper, privacySettings);
-new Uploader(firebaseHelper);
 new Search(firebaseHelper);